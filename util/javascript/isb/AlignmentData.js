@@ -0,0 +1,750 @@
+//
+// Alignment Data
+//
+//   Builds the summaryData and detailData JSON taken by AlignmentSummary
+//  and AlignmentViewer from multiply aligned sequences, so that a page
+//  can show an alignment without viewMSA.pl.  The derivation follows
+//  MultAln.pm and viewMultipleMSA.pl:
+//
+//    - The reference is the consensus of the aligned sequences
+//      ( MultAln::buildConsensusFromArray ) or one of the sequences
+//      chosen by ID.
+//    - detailData.alignmentScore is the low scoring column profile
+//      ( MultAln::getLowScoringAlignmentColumns ).
+//    - Each summary row has the quality of every 10bp block of the
+//      reference it covers and its Kimura divergence from the
+//      reference ( MultAln::kimuraDivergence ).
+//
+//  Sequence IDs of the form "seq_id:start-end" give the position of a
+//  sequence in its source.  A start greater than the end ( or a "_-"
+//  suffix ) marks a sequence aligned on the reverse strand.
+//
+//  Files are read by the readers registered with addReader().  Aligned
+//  FASTA and the JSON generated by viewMSA.pl are built in.
+//
+//  Example:
+//    var data = AlignmentData.read(fileText, "family.fa").records[0].load();
+//    var summary = new AlignmentSummary(alignCanvas, guideCanvas,
+//                                       detailCanvas, data.summaryData, {});
+//    var viewer = new AlignmentViewer(canvas, data.detailData, {});
+//
+// UMD wrapper ( see index.mjs )
+(function (root, factory) {
+    if (typeof define === "function" && define.amd) {
+        define([], factory);
+    } else if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AlignmentData = factory();
+    }
+}(typeof self !== "undefined" ? self : this, function () {
+
+var AlignmentData = {};
+
+AlignmentData.qualityBlockLen = 10;
+
+
+//
+// Build a lookup of pairwise scores from a square matrix given in
+// alphabet order.
+//
+function buildMatrix(alphabet, values) {
+    var matrix = {};
+    for (var i = 0; i < alphabet.length; i += 1) {
+        for (var j = 0; j < alphabet.length; j += 1) {
+            matrix[alphabet[i] + alphabet[j]] = values[(i * alphabet.length) + j];
+        }
+    }
+    return matrix;
+}
+
+
+// Consensus lineup matrix ( for mammals where there is a strong A/T
+// bias ) from MultAln::buildConsensusFromArray
+var consensusAlphabet = ["A", "R", "G", "C", "Y", "T", "K", "M", "S", "W",
+                         "N", "X", "Z", "V", "H", "D", "B"];
+var consensusMatrix = buildMatrix(consensusAlphabet, [
+      9,   0,  -8, -15, -16, -17, -13,  -3, -11,  -4,  -2,  -7,  -3,  -3,  -3,  -3,  -3,
+      2,   1,   1, -15, -15, -16,  -7,  -6,  -6,  -7,  -2,  -7,  -3,  -3,  -3,  -3,  -3,
+     -4,   3,  10, -14, -14, -15,  -2,  -9,  -2,  -9,  -2,  -7,  -3,  -3,  -3,  -3,  -3,
+    -15, -14, -14,  10,   3,  -4,  -9,  -2,  -2,  -9,  -2,  -7,  -3,  -3,  -3,  -3,  -3,
+    -16, -15, -15,   1,   1,   2,  -6,  -7,  -6,  -7,  -2,  -7,  -3,  -3,  -3,  -3,  -3,
+    -17, -16, -15,  -8,   0,   9,  -3, -13, -11,  -4,  -2,  -7,  -3,  -3,  -3,  -3,  -3,
+    -11,  -6,  -2, -11,  -7,  -3,  -2, -11,  -6,  -7,  -2,  -7,  -3,  -3,  -3,  -3,  -3,
+     -3,  -7, -11,  -2,  -6, -11, -11,  -2,  -6,  -7,  -2,  -7,  -3,  -3,  -3,  -3,  -3,
+     -9,  -5,  -2,  -2,  -5,  -9,  -5,  -5,  -2,  -9,  -2,  -7,  -3,  -3,  -3,  -3,  -3,
+     -4,  -8, -11, -11,  -8,  -4,  -8,  -8, -11,  -4,  -2,  -7,  -3,  -3,  -3,  -3,  -3,
+     -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -1,  -7,  -3,  -3,  -3,  -3,  -3,
+     -7,  -7,  -7,  -7,  -7,  -7,  -7,  -7,  -7,  -7,  -7,  -7,  -3,  -3,  -3,  -3,  -3,
+     -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,
+     -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,
+     -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,
+     -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,
+     -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3,  -3
+]);
+// Gaps score -6 against bases and +3 against gaps
+consensusAlphabet.forEach(function (base) {
+    consensusMatrix[base + "-"] = consensusMatrix["-" + base] = -6;
+});
+consensusAlphabet = consensusAlphabet.concat(["-"]);
+consensusMatrix["--"] = 3;
+
+// CpG site scoring ( see MultAln::buildConsensusFromArray )
+var CG_PARAM = 12;       // TG or CA
+var TA_PARAM = -5;       // TA
+var CG_TRANS_PARAM = 2;  // A transition at a CpG site
+
+// Column scoring matrix from MultAln::getLowScoringAlignmentColumns
+var columnMatrix = buildMatrix(["A", "R", "G", "C", "Y", "T", "K", "M", "S",
+                                "W", "N", "V", "H", "D", "B"], [
+      9,   1,  -6, -15, -16, -17, -12,  -2, -10,  -4,  -1,  -2,  -2,  -2,  -2,
+      1,   1,   1, -15, -15, -16,  -6,  -6,  -6,  -7,  -1,  -2,  -2,  -2,  -2,
+     -6,   1,  10, -15, -15, -15,  -2, -10,  -2, -10,  -1,  -2,  -2,  -2,  -2,
+    -15, -15, -15,  10,   2,  -6,  -9,  -2,  -2,  -9,  -1,  -2,  -2,  -2,  -2,
+    -16, -15, -15,   1,   1,   1,  -6,  -7,  -7,  -7,  -1,  -2,  -2,  -2,  -2,
+    -17, -16, -15,  -6,   1,   9,  -2, -12, -11,  -4,  -1,  -2,  -2,  -2,  -2,
+    -12,  -6,  -2, -11,  -6,  -2,  -2, -11,  -7,  -7,  -1,  -2,  -2,  -2,  -2,
+     -2,  -6, -10,  -2,  -7, -12, -11,  -2,  -7,  -7,  -1,  -2,  -2,  -2,  -2,
+    -10,  -6,  -2,  -2,  -7, -11,  -7,  -7,  -2, -10,  -1,  -2,  -2,  -2,  -2,
+     -4,  -7, -10, -11,  -7,  -4,  -7,  -7, -10,  -4,  -1,  -2,  -2,  -2,  -2,
+     -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1,  -2,  -2,  -2,  -2,
+     -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,
+     -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,
+     -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,
+     -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2,  -2
+]);
+var GAP_OPEN_PENALTY = -40;
+var GAP_EXT_PENALTY = -15;
+
+var TRANSITIONS = { CT: 1, TC: 1, AG: 1, GA: 1 };
+var TRANSVERSIONS = { GT: 1, TG: 1, GC: 1, CG: 1, CA: 1, AC: 1, AT: 1, TA: 1 };
+
+
+//
+// Make an aligned row from a sequence ( without prefix/suffix gaps )
+// and the alignment column it starts at.  The source position and
+// strand come from a "seq_id:start-end" ID, where the strand may also
+// be given by a "_+" or "_-" suffix ( the Dfam seed naming ), or
+// default to the whole sequence on the forward strand.
+//
+AlignmentData.makeRow = function (id, sequence, start) {
+    var row = {
+        id: id,
+        name: id,
+        start: start,
+        end: start + sequence.length - 1,
+        sequence: sequence,
+        seqStart: 1,
+        seqEnd: sequence.replace(/[.\-\s]/g, "").length,
+        orient: "+"
+    };
+    var match = /(\S+):(\d+)-(\d+)_([+\-])$/.exec(id) || /(\S+):(\d+)-(\d+)/.exec(id);
+    if (match) {
+        row.name = match[1];
+        row.seqStart = parseInt(match[2], 10);
+        row.seqEnd = parseInt(match[3], 10);
+    }
+    if (row.seqStart > row.seqEnd) {
+        var tmp = row.seqStart;
+        row.seqStart = row.seqEnd;
+        row.seqEnd = tmp;
+        row.orient = "-";
+    }
+    if (match && match[4]) {
+        row.orient = match[4];
+    }
+    return row;
+};
+
+
+//
+// Import padded aligned sequences ( [{ id: , sequence: }, ...], all
+// the same length ) as an alignment to the given reference ( a
+// sequence of the same length with "-" at insert columns ) or, by
+// default, their consensus.  Returns { reference: , rows: [] } where
+// each row is as made by makeRow().
+//
+AlignmentData.importSequences = function (sequences, reference) {
+    var rows = [];
+    for (var i = 0; i < sequences.length; i += 1) {
+        var sequence = sequences[i].sequence.toUpperCase().replace(/\./g, "-");
+        // Prefix/suffix gaps are not part of the aligned sequence
+        var prefix = /^[\s\-]*/.exec(sequence)[0].length;
+        sequence = sequence.substring(prefix).replace(/[\s\-]+$/, "");
+        if (sequence.length === 0) {
+            continue;
+        }
+        rows.push(AlignmentData.makeRow(sequences[i].id, sequence, prefix));
+    }
+    var msa = { reference: "", rows: rows };
+    msa.reference = reference ? reference.toUpperCase().replace(/\./g, "-") :
+                                AlignmentData.consensus(msa);
+    return msa;
+};
+
+
+//
+// The consensus of an alignment.  Each column is called as the base
+// with the best lineup matrix score against the column, after which
+// dinucleotides are changed to CG where the aligned sequences are
+// better explained by a decayed CpG site.
+//
+AlignmentData.consensus = function (msa) {
+    var seqs = msa.rows.map(function (row) {
+        return new Array(row.start + 1).join(" ") +
+               row.sequence.toUpperCase().replace(/[^ARGCYTKMSWNXZVHDB\-\s]/g, "N");
+    });
+
+    // Profile of the base counts in each column
+    var profile = [];
+    var i, j, k;
+    seqs.forEach(function (seq) {
+        for (var p = 0; p < seq.length; p += 1) {
+            var base = seq.charAt(p);
+            profile[p] = profile[p] || {};
+            profile[p][base] = (profile[p][base] || 0) + 1;
+        }
+    });
+
+    // First pass - highest matrix score wins
+    var consensus = [];
+    for (i = 0; i < profile.length; i += 1) {
+        var maxScore = -1000000;
+        var nScore = -1000000;
+        var call = "";
+        for (j = 0; j < consensusAlphabet.length; j += 1) {
+            var a = consensusAlphabet[j];
+            var score = 0;
+            for (var b in profile[i]) {
+                if (profile[i].hasOwnProperty(b) && b != " ") {
+                    score += profile[i][b] * consensusMatrix[a + b];
+                }
+            }
+            if (a == "N") {
+                nScore = score;
+            }
+            if (score > maxScore) {
+                call = a;
+                maxScore = score;
+            }
+        }
+        if (call != "N" && nScore == maxScore) {
+            call = "N";
+        }
+        consensus.push(call);
+    }
+
+    // Consider changing each dinucleotide ( gaps between the pair are
+    // ok, i.e. CG, C--G ) to a CG
+    for (i = 0; i < consensus.length - 1; i += 1) {
+        if (consensus[i] == "-") {
+            continue;
+        }
+        k = i + 1;
+        while (k < consensus.length && consensus[k] == "-") {
+            k += 1;
+        }
+        if (k >= consensus.length) {
+            break;
+        }
+        var cgScore = 0;
+        var dnScore = 0;
+        for (j = 0; j < seqs.length; j += 1) {
+            var hitLeft = seqs[j].charAt(i);
+            var hitRight = (k < seqs[j].length) ? seqs[j].charAt(k) : " ";
+            if (hitLeft === "" || hitLeft == " " || hitRight == " ") {
+                continue;
+            }
+            var hitDN = hitLeft + hitRight;
+            dnScore += (consensusMatrix[consensus[i] + hitLeft] || 0) +
+                       (consensusMatrix[consensus[k] + hitRight] || 0);
+            if (hitDN == "CA" || hitDN == "TG") {
+                cgScore += CG_PARAM;
+            } else if (hitDN == "TA") {
+                cgScore += TA_PARAM;
+            } else if (hitDN == "TC" || hitDN == "TT") {
+                // C->T transition and a transversion scored normally
+                cgScore += CG_TRANS_PARAM + (consensusMatrix["G" + hitRight] || 0);
+            } else if (hitDN == "AA" || hitDN == "GA") {
+                cgScore += CG_TRANS_PARAM + (consensusMatrix["C" + hitLeft] || 0);
+            } else {
+                cgScore += (consensusMatrix["C" + hitLeft] || 0) +
+                           (consensusMatrix["G" + hitRight] || 0);
+            }
+        }
+        if (cgScore > dnScore) {
+            consensus[i] = "C";
+            consensus[k] = "G";
+        }
+    }
+    return consensus.join("");
+};
+
+
+//
+// Ruzzo-Tompa maximal scoring subsequences.  Returns a mask the size
+// of scores holding, for each position in a maximal subsequence, the
+// total score of that subsequence and 0 elsewhere.
+//
+function maximalScoringMask(scores) {
+    var I = [];
+    var L = [];
+    var R = [];
+    var total = 0;
+    var k = 0;
+    var i, j;
+    for (i = 0; i < scores.length; i += 1) {
+        total += scores[i];
+        if (scores[i] <= 0) {
+            continue;
+        }
+        I[k] = [i, i + 1];
+        L[k] = total - scores[i];
+        R[k] = total;
+        while (true) {
+            var maxj = -1;
+            for (j = k - 1; j > -1; j -= 1) {
+                if (L[j] < L[k]) {
+                    maxj = j;
+                    break;
+                }
+            }
+            if (maxj != -1 && R[maxj] < R[k]) {
+                I[maxj] = [I[maxj][0], i + 1];
+                R[maxj] = total;
+                k = maxj;
+            } else {
+                k += 1;
+                break;
+            }
+        }
+    }
+    var mask = scores.map(function () {
+        return 0;
+    });
+    for (i = 0; i < k; i += 1) {
+        for (j = I[i][0]; j < I[i][1]; j += 1) {
+            mask[j] = R[i] - L[i];
+        }
+    }
+    return mask;
+}
+
+
+//
+// Score each alignment column by the average pairwise score of the
+// sequences against the reference, and return the score of the low
+// scoring region each column belongs to ( 0 for well aligned columns )
+// truncated to one decimal place.  This is detailData.alignmentScore.
+//
+AlignmentData.columnScores = function (msa) {
+    var profile = [];
+    var counts = [];
+    var i, j;
+    for (i = 0; i < msa.reference.length; i += 1) {
+        profile.push(0);
+        counts.push(0);
+    }
+    msa.rows.forEach(function (row) {
+        var inGap = false;
+        for (var j = 0; j < row.sequence.length; j += 1) {
+            var col = row.start + j;
+            var trgBase = row.sequence.charAt(j);
+            var refBase = msa.reference.charAt(col);
+            if (col >= profile.length) {
+                break;
+            }
+            counts[col] += 1;
+            if ((refBase == "-") != (trgBase == "-")) {
+                profile[col] += inGap ? GAP_EXT_PENALTY : GAP_OPEN_PENALTY;
+                inGap = true;
+            } else if (refBase != "-") {
+                profile[col] += columnMatrix[refBase + trgBase] || 0;
+                inGap = false;
+            }
+        }
+    });
+    // Low scoring regions are the maximal scoring regions of the
+    // inverted profile
+    for (i = 0; i < profile.length; i += 1) {
+        if (counts[i] > 0) {
+            profile[i] = profile[i] / counts[i];
+        }
+        profile[i] = -profile[i];
+    }
+    var mask = maximalScoringMask(profile);
+    for (j = 0; j < mask.length; j += 1) {
+        mask[j] = Math.floor(mask[j] * 10) / 10;
+    }
+    return mask;
+};
+
+
+//
+// The Kimura divergence of a row from the reference.  Gapped columns
+// are not counted and saturated divergences are reported as 1.
+//
+AlignmentData.kimuraDivergence = function (reference, row) {
+    var alignedBases = 0;
+    var transI = 0;
+    var transV = 0;
+    for (var j = 0; j < row.sequence.length; j += 1) {
+        var a = reference.charAt(row.start + j);
+        var b = row.sequence.charAt(j);
+        if (a == "-" || a == "*" || b == "-" || b == "*") {
+            continue;
+        }
+        if (TRANSITIONS[a + b]) {
+            transI += 1;
+        } else if (TRANSVERSIONS[a + b]) {
+            transV += 1;
+        }
+        alignedBases += 1;
+    }
+    var p = 0;
+    var q = 0;
+    if (alignedBases > 0) {
+        p = transI / alignedBases;
+        q = transV / alignedBases;
+    }
+    var logOperand = (1 - (2 * p) - q) * Math.pow(1 - (2 * q), 0.5);
+    if (q > 0.5 || logOperand <= 0) {
+        return 1;
+    }
+    return Math.abs(-0.5 * Math.log(logOperand));
+};
+
+
+//
+// The quality of each qualityBlockLen bp block of the reference a row
+// covers: the number of identities, less one if the block contains
+// an insertion, and at least 1.  Returns { scores: [], length: } where
+// length is the number of reference bases covered.
+//
+// In full MSA mode ( fullMSA true ) the blocks are qualityBlockLen
+// alignment columns, gapped reference columns included, and a block
+// where both the reference and the row are gapped throughout scores 0
+// so that it is drawn as a gap.  length is then the number of columns.
+//
+AlignmentData.qualityBlocks = function (reference, row, blockLen, fullMSA) {
+    var scores = [];
+    var totalLen = 0;
+    var blockCols = 0;
+    var ins = 0;  // Ref=-, Seq=A
+    var una = 0;  // Ref=-, Seq=-
+    var idt = 0;  // Ref=A, Seq=A
+    var other = 0; // Deletions and mutations
+    var blockScore = function () {
+        if (fullMSA && una == blockLen) {
+            return 0;
+        }
+        var score = idt;
+        if (ins) {
+            score -= 1;
+        }
+        return Math.max(score, 1);
+    };
+    for (var j = 0; j < row.sequence.length; j += 1) {
+        var rChar = reference.charAt(row.start + j);
+        var aChar = row.sequence.charAt(j);
+        if (rChar == "-") {
+            if (fullMSA) {
+                blockCols += 1;
+            }
+            if (aChar == "-") {
+                una += 1;
+            } else {
+                ins += 1;
+            }
+        } else {
+            blockCols += 1;
+            if (aChar == rChar) {
+                idt += 1;
+            } else {
+                other += 1;
+            }
+        }
+        if (blockCols == blockLen) {
+            scores.push(blockScore());
+            totalLen += blockCols;
+            blockCols = 0;
+            ins = una = idt = other = 0;
+        }
+    }
+    if (ins || una || idt || other) {
+        scores.push(blockScore());
+        totalLen += blockCols;
+    }
+    return {
+        scores: scores,
+        length: totalLen
+    };
+};
+
+
+//
+// The detailData for an alignment
+//
+AlignmentData.buildDetail = function (msa) {
+    var alignment = [{
+        id: "reference",
+        sequence: msa.reference
+    }];
+    msa.rows.forEach(function (row) {
+        alignment.push({
+            id: row.name,
+            start: row.start,
+            sequence: row.sequence
+        });
+    });
+    return {
+        alignment: alignment,
+        alignWidth: msa.reference.length,
+        alignmentScore: AlignmentData.columnScores(msa)
+    };
+};
+
+
+//
+// The summaryData for an alignment.  Positions are in reference
+// ( consensus ) coordinates, or with fullMSA true in alignment columns
+// with a columnMap giving the reference position of each column ( as
+// viewMultipleMSA.pl -fullmsa ).
+//
+AlignmentData.buildSummary = function (msa, fullMSA) {
+    var blockLen = AlignmentData.qualityBlockLen;
+    var reference = msa.reference;
+    var alignments = msa.rows.map(function (row) {
+        // 1-based position of the first aligned column, or of the
+        // reference base after it when it is an insert column
+        var refStart = fullMSA ? row.start + 1 :
+            reference.substring(0, row.start).replace(/-/g, "").length + 1;
+        var blocks = AlignmentData.qualityBlocks(reference, row, blockLen, fullMSA);
+        return [row.name, refStart, blocks.length, blocks.scores,
+                (row.orient == "-") ? "R" : "F",
+                AlignmentData.kimuraDivergence(reference, row).toFixed(2),
+                row.seqStart, row.seqEnd];
+    });
+    var summaryData = {
+        num_alignments: alignments.length,
+        length: fullMSA ? reference.length : reference.replace(/-/g, "").length,
+        qualityBlockLen: blockLen,
+        alignments: alignments
+    };
+    if (fullMSA) {
+        var pos = 0;
+        summaryData.columnMap = [];
+        for (var j = 0; j < reference.length; j += 1) {
+            if (reference.charAt(j) != "-") {
+                pos += 1;
+            }
+            summaryData.columnMap.push(pos);
+        }
+    }
+    return summaryData;
+};
+
+
+//
+// Both datasets for padded aligned sequences.  Options:
+//
+//    referenceId : ID of the sequence to use as the reference.  It is
+//                  taken out of the rows and its gaps mark the insert
+//                  columns.  By default the reference is the consensus.
+//    fullMSA     : Give the summary in alignment columns ( see
+//                  buildSummary() ).
+//
+AlignmentData.fromSequences = function (sequences, options) {
+    options = options || {};
+    var reference;
+    if (options.referenceId) {
+        var rest = sequences.filter(function (seq) {
+            return seq.id != options.referenceId;
+        });
+        if (rest.length == sequences.length) {
+            throw new Error("There is no sequence " + options.referenceId +
+                            " to use as the reference");
+        }
+        reference = sequences.filter(function (seq) {
+            return seq.id == options.referenceId;
+        })[0].sequence.replace(/\s/g, "-");
+        sequences = rest;
+    }
+    var msa = AlignmentData.importSequences(sequences, reference);
+    if (msa.rows.length === 0) {
+        throw new Error("The alignment has no sequences");
+    }
+    return {
+        summaryData: AlignmentData.buildSummary(msa, options.fullMSA),
+        detailData: AlignmentData.buildDetail(msa)
+    };
+};
+
+
+//
+// Both datasets for detailData on its own ( e.g. saved from a
+// viewMSA.pl page ).  The summary is derived from the alignment to the
+// reference row.  Either version of the detailData schema is accepted
+// ( see AlignmentSchema.js ).
+//
+AlignmentData.fromDetail = function (detailData) {
+    var msa = { reference: null, rows: [] };
+    var entries = detailData.alignment;
+    if (detailData.version >= 1) {
+        entries = [{ id: "reference", sequence: detailData.reference }].concat(detailData.rows || []);
+    }
+    entries.forEach(function (entry) {
+        if (entry.id == "reference") {
+            msa.reference = entry.sequence;
+        } else {
+            msa.rows.push(AlignmentData.makeRow(entry.id, entry.sequence,
+                                                entry.start || 0));
+        }
+    });
+    if (msa.reference === null) {
+        throw new Error("The alignment has no reference sequence");
+    }
+    return {
+        summaryData: AlignmentData.buildSummary(msa),
+        detailData: detailData
+    };
+};
+
+
+//
+// Read aligned FASTA.  Repeated IDs are given a "_<n>" suffix.
+// Returns [{ id: , sequence: }, ...].
+//
+AlignmentData.readFasta = function (text) {
+    var sequences = [];
+    var ids = {};
+    var current = null;
+    text.split(/\r?\n/).forEach(function (line) {
+        var match = /^>(\S+)/.exec(line);
+        if (match) {
+            var id = match[1];
+            if (ids[id]) {
+                var ver = 1;
+                while (ids[id + "_" + ver]) {
+                    ver += 1;
+                }
+                id = id + "_" + ver;
+            }
+            ids[id] = true;
+            current = { id: id, sequence: "" };
+            sequences.push(current);
+        } else if (current) {
+            current.sequence += line.replace(/\s+/g, "");
+        }
+    });
+    return sequences;
+};
+
+
+//
+// File readers
+//
+//   A reader is { format: , test: function (text), read: function
+// (text, filename) }.  test() is given the start of a file and returns
+// true if the reader handles it.  read() returns the alignments in
+// the file as a list of records:
+//
+//    { name         : Name of the alignment ( e.g. the family ID ),
+//      load         : function (options) returning { summaryData: ,
+//                     detailData: } where either may be null if it
+//                     can't be built from the file,
+//      loadOptions  : ( optional ) Names of the options of
+//                     fromSequences() that load() takes,
+//      referenceIds : ( optional ) IDs of the sequences that may be
+//                     chosen as the reference }
+//
+// Records are loaded on demand so that files holding many alignments
+// are only read once.  Readers throw an Error for malformed files.
+//
+var readers = [];
+
+AlignmentData.addReader = function (reader) {
+    readers.push(reader);
+};
+
+
+//
+// Read the text of an alignment file with the first reader that
+// handles it.  Returns { format: , records: [] }.
+//
+AlignmentData.read = function (text, filename) {
+    var trimmed = text.replace(/^\s+/, "");
+    var head = trimmed.substring(0, 1000);
+    for (var i = 0; i < readers.length; i += 1) {
+        if (readers[i].test(head)) {
+            var records = readers[i].read(trimmed, filename);
+            if (records.length === 0) {
+                throw new Error(filename + " contains no alignments");
+            }
+            return {
+                format: readers[i].format,
+                records: records
+            };
+        }
+    }
+    throw new Error("Unrecognised file format: " + filename);
+};
+
+
+// A record that has already been loaded
+function loadedRecord(name, data) {
+    return {
+        name: name,
+        load: function () {
+            return data;
+        }
+    };
+}
+
+
+// summaryData or detailData JSON as inlined by viewMSA.pl
+AlignmentData.addReader({
+    format: "json",
+    test: function (head) {
+        return /^\{/.test(head);
+    },
+    read: function (text, filename) {
+        var json = JSON.parse(text);
+        if (json.alignments) {
+            return [loadedRecord(filename, {
+                summaryData: json,
+                detailData: null
+            })];
+        }
+        if (json.alignment || json.rows) {
+            return [loadedRecord(filename, AlignmentData.fromDetail(json))];
+        }
+        throw new Error("Unrecognised JSON in " + filename +
+                        " ( expected summary or detail data )");
+    }
+});
+
+
+AlignmentData.addReader({
+    format: "fasta",
+    test: function (head) {
+        return /^>/.test(head);
+    },
+    read: function (text, filename) {
+        var sequences = AlignmentData.readFasta(text);
+        return [{
+            name: filename,
+            load: function (options) {
+                return AlignmentData.fromSequences(sequences, options);
+            },
+            loadOptions: ["referenceId", "fullMSA"],
+            referenceIds: sequences.map(function (seq) {
+                return seq.id;
+            })
+        }];
+    }
+});
+
+
+return AlignmentData;
+}));
@@ -0,0 +1,313 @@
+//
+// Alignment Viewer Custom Elements
+//
+//   <alignment-summary> and <alignment-viewer> wrap an AlignmentSummary
+//  and an AlignmentViewer so that other pages can embed them without
+//  setting up the canvases by hand.  The data ( the same JSON the
+//  classes take, as generated by viewMSA.pl ) is either fetched from
+//  the URL in the "src" attribute or set with the "data" property.
+//
+//  Attributes:
+//    src     : URL of the JSON data.  Changing it loads the new data.
+//    viewer  : ( alignment-summary only ) ID of an <alignment-viewer>
+//              showing the same alignment to link to the summary.
+//    height  : ( alignment-viewer only ) Height in pixels ( default
+//              400 ).
+//
+//  Properties:
+//    data    : The JSON data.  Setting it replaces the data shown.
+//    options : Options for the AlignmentSummary/AlignmentViewer.  Only
+//              used when the object is created, so set it before data.
+//    summary : ( alignment-summary ) The AlignmentSummary, or null
+//              until data has been loaded.
+//    viewer  : ( alignment-viewer ) The AlignmentViewer, or null until
+//              data has been loaded.
+//
+//  The events of the wrapped object ( see AlignmentSummary.on() and
+//  AlignmentViewer.on() ) are dispatched from the element as DOM
+//  CustomEvents named "alignment-<event>" with the payload as the
+//  event detail.  "alignment-load" is dispatched whenever data is shown
+//  and "alignment-error" ( detail { src: , message: } ) when it can't
+//  be fetched.  The wrapped object is destroyed when the element is
+//  removed from the document.
+//
+//  Example:
+//  --------
+//    <alignment-summary id="summary" src="DF000001.summary.json"
+//                       viewer="detail"></alignment-summary>
+//    <alignment-viewer id="detail" src="DF000001.detail.json"
+//                      height="500"></alignment-viewer>
+//
+//    document.getElementById("summary").addEventListener(
+//        "alignment-rowclick", function (evt) {
+//            console.log(evt.detail.id, evt.detail.start, evt.detail.end);
+//        });
+//
+// UMD wrapper ( see index.mjs )
+(function (root, factory) {
+    if (typeof define === "function" && define.amd) {
+        define(["./AlignmentSummary", "./AlignmentViewer"], factory);
+    } else if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./AlignmentSummary.js"),
+                                 require("./AlignmentViewer.js"));
+    } else {
+        root.AlignmentElements = factory(root.AlignmentSummary, root.AlignmentViewer);
+    }
+}(typeof self !== "undefined" ? self : this, function (AlignmentSummary, AlignmentViewer) {
+
+var summaryEvents = ["rowhover", "rowclick", "select", "sort", "filter",
+                     "zoom", "scroll"];
+var viewerEvents = ["rowhover", "rowclick", "select", "scroll", "viewtype"];
+
+
+//
+// Methods shared by both elements.  Each element supplies buildDOM()
+// and create( json ) to make the wrapped object ( this.view ).
+//
+var elementMethods = {
+
+    connectedCallback: function () {
+        if (!this.shadowRoot) {
+            this.attachShadow({ mode: "open" });
+            this.buildDOM();
+        }
+        if (this.json) {
+            this.show(this.json);
+        } else if (this.getAttribute("src")) {
+            this.load(this.getAttribute("src"));
+        }
+    },
+
+    disconnectedCallback: function () {
+        if (this.view) {
+            this.view.destroy();
+            this.view = null;
+        }
+    },
+
+    attributeChangedCallback: function (name, oldValue, newValue) {
+        if (name == "src" && newValue && newValue != oldValue && this.isConnected) {
+            this.load(newValue);
+        }
+    },
+
+    // Fetch the JSON data from a URL
+    load: function (url) {
+        var that = this;
+        this.loadingSrc = url;
+        fetch(url).then(function (response) {
+            if (!response.ok) {
+                throw new Error(response.status + " " + response.statusText);
+            }
+            return response.json();
+        }).then(function (json) {
+            // Ignore responses to an earlier src
+            if (that.loadingSrc == url) {
+                that.data = json;
+            }
+        }).catch(function (err) {
+            that.emit("error", {
+                src: url,
+                message: String(err.message || err)
+            });
+        });
+    },
+
+    // Show new data, creating the wrapped object the first time
+    show: function (json) {
+        if (this.view) {
+            this.view.setData(json);
+        } else {
+            this.view = this.create(json);
+            this.forwardEvents();
+        }
+        this.emit("load", null);
+    },
+
+    forwardEvents: function () {
+        var that = this;
+        var events = (this.view instanceof AlignmentSummary) ? summaryEvents : viewerEvents;
+        events.forEach(function (name) {
+            that.view.on(name, function (payload) {
+                that.emit(name, payload);
+            });
+        });
+    },
+
+    emit: function (name, detail) {
+        this.dispatchEvent(new CustomEvent("alignment-" + name, {
+            detail: detail
+        }));
+    },
+
+    // The width to create the canvases at ( they follow the element
+    // once created )
+    initialWidth: function () {
+        return this.clientWidth || 800;
+    }
+};
+
+
+var elementProperties = {
+    data: {
+        get: function () {
+            return this.json || null;
+        },
+        set: function (json) {
+            this.json = json;
+            if (this.isConnected && this.shadowRoot) {
+                this.show(json);
+            }
+        }
+    },
+    options: {
+        get: function () {
+            return this.viewOptions || {};
+        },
+        set: function (options) {
+            this.viewOptions = options;
+        }
+    }
+};
+
+
+//
+// Define a custom element class in ES5 style.  Custom elements must
+// be constructed with Reflect.construct() as HTMLElement can't be
+// called as a function.
+//
+function defineElement(name, methods, properties) {
+    function Element() {
+        var element = Reflect.construct(HTMLElement, [], Element);
+        element.json = null;
+        element.view = null;
+        element.viewOptions = null;
+        element.loadingSrc = null;
+        return element;
+    }
+    Element.prototype = Object.create(HTMLElement.prototype);
+    Element.prototype.constructor = Element;
+    Object.setPrototypeOf(Element, HTMLElement);
+    Element.observedAttributes = ["src"];
+
+    var key;
+    for (key in elementMethods) {
+        if (elementMethods.hasOwnProperty(key)) {
+            Element.prototype[key] = elementMethods[key];
+        }
+    }
+    for (key in methods) {
+        if (methods.hasOwnProperty(key)) {
+            Element.prototype[key] = methods[key];
+        }
+    }
+    Object.defineProperties(Element.prototype, elementProperties);
+    Object.defineProperties(Element.prototype, properties);
+
+    if (!customElements.get(name)) {
+        customElements.define(name, Element);
+    }
+    return customElements.get(name);
+}
+
+
+// Nothing to define outside of a browser with custom element support
+if (typeof HTMLElement === "undefined" || typeof customElements === "undefined") {
+    return {
+        AlignmentSummaryElement: null,
+        AlignmentViewerElement: null
+    };
+}
+
+
+var AlignmentSummaryElement = defineElement("alignment-summary", {
+
+    buildDOM: function () {
+        var style = document.createElement("style");
+        style.textContent = ":host { display: block; } " +
+                            "canvas { position: absolute; left: 0px; top: 0px; }";
+        this.container = document.createElement("div");
+        this.container.style.position = "relative";
+        this.canvases = [];
+        // Alignment, detail and guide canvases in stacking order
+        for (var i = 0; i < 3; i += 1) {
+            var canvas = document.createElement("canvas");
+            canvas.style.zIndex = i + 1;
+            this.container.appendChild(canvas);
+            this.canvases.push(canvas);
+        }
+        this.shadowRoot.appendChild(style);
+        this.shadowRoot.appendChild(this.container);
+    },
+
+    create: function (json) {
+        for (var i = 0; i < this.canvases.length; i += 1) {
+            this.canvases[i].width = this.initialWidth();
+        }
+        var summary = new AlignmentSummary(this.canvases[0], this.canvases[2],
+                                           this.canvases[1], json, this.options);
+        this.linkViewerElement(summary);
+        return summary;
+    },
+
+    // Link the <alignment-viewer> named by the viewer attribute once
+    // it has data
+    linkViewerElement: function (summary) {
+        var id = this.getAttribute("viewer");
+        var element = id ? document.getElementById(id) : null;
+        if (!element) {
+            return;
+        }
+        if (element.viewer) {
+            summary.linkViewer(element.viewer);
+            return;
+        }
+        var that = this;
+        var linkOnLoad = function () {
+            element.removeEventListener("alignment-load", linkOnLoad, false);
+            if (that.view === summary) {
+                summary.linkViewer(element.viewer);
+            }
+        };
+        element.addEventListener("alignment-load", linkOnLoad, false);
+    }
+}, {
+    summary: {
+        get: function () {
+            return this.view;
+        }
+    }
+});
+
+
+var AlignmentViewerElement = defineElement("alignment-viewer", {
+
+    buildDOM: function () {
+        var style = document.createElement("style");
+        style.textContent = ":host { display: block; } canvas { display: block; }";
+        this.container = document.createElement("div");
+        this.canvas = document.createElement("canvas");
+        this.container.appendChild(this.canvas);
+        this.shadowRoot.appendChild(style);
+        this.shadowRoot.appendChild(this.container);
+    },
+
+    create: function (json) {
+        this.canvas.width = this.initialWidth();
+        this.canvas.height = parseInt(this.getAttribute("height"), 10) || 400;
+        return new AlignmentViewer(this.canvas, json, this.options);
+    }
+}, {
+    viewer: {
+        get: function () {
+            return this.view;
+        }
+    }
+});
+
+
+return {
+    AlignmentSummaryElement: AlignmentSummaryElement,
+    AlignmentViewerElement: AlignmentViewerElement
+};
+}));
@@ -0,0 +1,382 @@
+//
+// Alignment Data Schema
+//
+//   Describes and checks the summaryData taken by AlignmentSummary and
+//  the detailData taken by AlignmentViewer.  Both classes pass their
+//  data through normalizeSummary() / normalizeDetail() and, if it is
+//  malformed or empty, draw the error on their canvas ( see
+//  drawError() ) rather than failing part way through drawing.
+//
+//  Datasets carry a "version".  Data without one is the original
+//  format written by viewMSA.pl and viewMultipleMSA.pl ( version 0 ),
+//  which is still accepted.
+//
+//  summaryData version 1:
+//
+//    { version         : 1,
+//      length          : Length of the reference ( or the number of
+//                        alignment columns when there is a columnMap ),
+//      qualityBlockLen : Length of a quality block ( default 10 ),
+//      alignments      : [{ id          : Sequence ID,
+//                           refStart    : 1-based start on the reference,
+//                           alignedLen  : Reference bases covered,
+//                           scores      : [ Quality of each block ],
+//                           strand      : "F" or "R",
+//                           divergence  : Kimura divergence ( 0.23 ),
+//                           contigStart : Start on the sequence,
+//                           contigEnd   : End on the sequence,
+//                           metadata    : ( optional ) { field: value }
+//                                         used for sorting and grouping
+//                                         ( see AlignmentSummary.render()
+//                                         and setGrouping() ) }, ...],
+//      columnMap       : ( optional ) Reference position of each
+//                        alignment column for full MSA data,
+//      tracks          : ( optional ) Feature tracks ( see
+//                        AlignmentSummary.buildTracks() ) }
+//
+//    In version 0 each alignment is the array [ id, refStart,
+//   alignedLen, scores, strand, divergence, contigStart, contigEnd
+//   ( , metadata ) ] ( divergence and the contig positions may be
+//   strings ), and num_alignments gives the number of alignments.
+//
+//  detailData version 1:
+//
+//    { version        : 1,
+//      reference      : The gapped reference sequence,
+//      rows           : [{ id       : Sequence ID,
+//                          start    : Alignment column ( 0-based ) of
+//                                     the first base,
+//                          sequence : The aligned sequence,
+//                          tracks, properties : ( optional ) as
+//                                     read by StockholmReader.js },
+//                         ...],
+//      alignmentScore : ( optional ) Low scoring region score of each
+//                       column,
+//      alignWidth     : ( optional ) Number of alignment columns
+//                       ( default the length of the reference ),
+//      header, columnTracks : ( optional ) as read by
+//                       StockholmReader.js }
+//
+//    In version 0 the reference is the entry of "alignment" with the
+//   id "reference" and the rows are the other entries.
+//
+//  The viewers work on version 0, so normalizeSummary() returns
+//  version 0 summary data and normalizeDetail() version 0 detail data
+//  with the index of the reference ( referenceIndex ) added.
+//
+// UMD wrapper ( see index.mjs )
+(function (root, factory) {
+    if (typeof define === "function" && define.amd) {
+        define([], factory);
+    } else if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AlignmentSchema = factory();
+    }
+}(typeof self !== "undefined" ? self : this, function () {
+
+var AlignmentSchema = {};
+
+// The latest version of the datasets
+AlignmentSchema.VERSION = 1;
+
+
+function isNumber(val) {
+    return typeof val === "number" && isFinite(val);
+}
+
+function isNumeric(val) {
+    return isNumber(val) ||
+           (typeof val === "string" && val !== "" && isFinite(Number(val)));
+}
+
+function isCount(val) {
+    return isNumber(val) && val >= 0 && Math.floor(val) === val;
+}
+
+function isPosition(val) {
+    return isCount(val) && val >= 1;
+}
+
+function isString(val) {
+    return typeof val === "string" && val !== "";
+}
+
+function isScores(val) {
+    return Array.isArray(val) && val.every(isNumber);
+}
+
+function isStrand(val) {
+    return val === "F" || val === "R";
+}
+
+function isMetadata(val) {
+    return val === undefined ||
+           (val !== null && typeof val === "object" && !Array.isArray(val));
+}
+
+
+// The fields of a summary alignment in version 0 array order
+var summaryFields = [
+    { name: "id", check: isString, expected: "a sequence ID" },
+    { name: "refStart", check: isPosition, expected: "a position" },
+    { name: "alignedLen", check: isCount, expected: "a length" },
+    { name: "scores", check: isScores, expected: "an array of block scores" },
+    { name: "strand", check: isStrand, expected: "\"F\" or \"R\"" },
+    { name: "divergence", check: isNumeric, expected: "a number" },
+    { name: "contigStart", check: isNumeric, expected: "a position" },
+    { name: "contigEnd", check: isNumeric, expected: "a position" },
+    { name: "metadata", check: isMetadata, expected: "an object" }
+];
+
+AlignmentSchema.summaryFields = summaryFields.map(function (field) {
+    return field.name;
+});
+
+
+// A version 1 summary alignment as a version 0 array.  The metadata
+// is only appended when there is some.
+AlignmentSchema.toTuple = function (row) {
+    var tuple = summaryFields.map(function (field) {
+        return row[field.name];
+    });
+    if (tuple[8] === undefined) {
+        tuple.length = 8;
+    }
+    return tuple;
+};
+
+
+// A version 0 summary alignment as a version 1 object
+AlignmentSchema.toRow = function (tuple) {
+    var row = {};
+    summaryFields.forEach(function (field, idx) {
+        if (tuple[idx] !== undefined) {
+            row[field.name] = tuple[idx];
+        }
+    });
+    return row;
+};
+
+
+function checkVersion(json, what) {
+    if (json === null || typeof json !== "object" || Array.isArray(json)) {
+        throw new Error("The " + what + " is not an object");
+    }
+    var version = (json.version === undefined) ? 0 : json.version;
+    if (version !== 0 && version !== 1) {
+        throw new Error("The " + what + " is version " + version + " but only " +
+                        "versions up to " + AlignmentSchema.VERSION + " can be read");
+    }
+    return version;
+}
+
+
+// Copy the fields of an object other than those listed
+function copyExcept(json, names) {
+    var copy = {};
+    for (var key in json) {
+        if (json.hasOwnProperty(key) && names.indexOf(key) < 0) {
+            copy[key] = json[key];
+        }
+    }
+    return copy;
+}
+
+
+//
+// Check summaryData and return it as version 0 data.  Throws an Error
+// naming the first problem found.
+//
+AlignmentSchema.normalizeSummary = function (json) {
+    var version = checkVersion(json, "summary data");
+    if (!isNumber(json.length) || json.length <= 0) {
+        throw new Error("The summary data has no reference length");
+    }
+    if (json.qualityBlockLen !== undefined &&
+        (!isNumber(json.qualityBlockLen) || json.qualityBlockLen <= 0)) {
+        throw new Error("The summary data qualityBlockLen must be a positive number");
+    }
+    if (!Array.isArray(json.alignments)) {
+        throw new Error("The summary data has no alignments array");
+    }
+    if (json.alignments.length === 0) {
+        throw new Error("The summary data has no alignments");
+    }
+    if (json.columnMap !== undefined &&
+        (!isScores(json.columnMap) || json.columnMap.length != json.length)) {
+        throw new Error("The summary data columnMap must give a position for " +
+                        "each of the " + json.length + " columns");
+    }
+
+    var alignments = json.alignments.map(function (row, idx) {
+        var isTuple = Array.isArray(row);
+        if ((version === 0) !== isTuple) {
+            throw new Error("Alignment " + (idx + 1) + " of the summary data is " +
+                            "not " + (isTuple ? "an object" : "an array") +
+                            " ( expected for version " + version + " data )");
+        }
+        summaryFields.forEach(function (field, fieldIdx) {
+            var val = isTuple ? row[fieldIdx] : row[field.name];
+            if (!field.check(val)) {
+                throw new Error("Alignment " + (idx + 1) + " of the summary data " +
+                                "has " + field.name + " " + JSON.stringify(val) +
+                                " ( expected " + field.expected + " )");
+            }
+        });
+        return isTuple ? row : AlignmentSchema.toTuple(row);
+    });
+
+    var summary = copyExcept(json, ["version", "alignments"]);
+    summary.alignments = alignments;
+    summary.num_alignments = alignments.length;
+    return summary;
+};
+
+
+//
+// Check detailData and return it as version 0 data with the index of
+// the reference in its alignment ( referenceIndex ).  Throws an Error
+// naming the first problem found.
+//
+AlignmentSchema.normalizeDetail = function (json) {
+    var version = checkVersion(json, "detail data");
+    var detail;
+    if (version === 0) {
+        if (!Array.isArray(json.alignment)) {
+            throw new Error("The detail data has no alignment array");
+        }
+        detail = copyExcept(json, []);
+        detail.referenceIndex = -1;
+        json.alignment.forEach(function (entry, idx) {
+            if (entry && entry.id == "reference") {
+                if (detail.referenceIndex >= 0) {
+                    throw new Error("The detail data has more than one " +
+                                    "reference row");
+                }
+                detail.referenceIndex = idx;
+            }
+        });
+        if (detail.referenceIndex < 0) {
+            throw new Error("The detail data has no reference row ( an " +
+                            "alignment entry with the id \"reference\" )");
+        }
+    } else {
+        if (!Array.isArray(json.rows)) {
+            throw new Error("The detail data has no rows array");
+        }
+        detail = copyExcept(json, ["version", "reference", "rows"]);
+        detail.alignment = [{
+            id: "reference",
+            sequence: json.reference
+        }].concat(json.rows);
+        detail.referenceIndex = 0;
+    }
+
+    var reference = detail.alignment[detail.referenceIndex];
+    if (!isString(reference.sequence)) {
+        throw new Error("The detail data has no reference sequence");
+    }
+    if (detail.alignment.length < 2) {
+        throw new Error("The detail data has no aligned sequences");
+    }
+    detail.alignment.forEach(function (entry, idx) {
+        if (idx == detail.referenceIndex) {
+            return;
+        }
+        var what = "Sequence " + idx + " of the detail data";
+        if (!entry || !isString(entry.id)) {
+            throw new Error(what + " has no id");
+        }
+        what = "Sequence " + entry.id + " of the detail data";
+        if (typeof entry.sequence !== "string") {
+            throw new Error(what + " has no sequence");
+        }
+        if (!isCount(entry.start)) {
+            throw new Error(what + " has start " + JSON.stringify(entry.start) +
+                            " ( expected an alignment column )");
+        }
+        if (entry.start + entry.sequence.length > reference.sequence.length) {
+            throw new Error(what + " runs past the end of the reference");
+        }
+    });
+
+    if (detail.alignWidth === undefined) {
+        detail.alignWidth = reference.sequence.length;
+    }
+    if (detail.alignmentScore === undefined) {
+        detail.alignmentScore = [];
+    } else if (!isScores(detail.alignmentScore)) {
+        throw new Error("The detail data alignmentScore must be an array of numbers");
+    }
+    return detail;
+};
+
+
+//
+// Valid data with nothing to draw.  The viewers show this in place of
+// data that fails the checks.
+//
+AlignmentSchema.emptySummary = function () {
+    return {
+        num_alignments: 0,
+        length: 1,
+        qualityBlockLen: 10,
+        alignments: []
+    };
+};
+
+AlignmentSchema.emptyDetail = function () {
+    return {
+        alignment: [{ id: "reference", sequence: "" }],
+        alignWidth: 0,
+        alignmentScore: [],
+        referenceIndex: 0
+    };
+};
+
+
+//
+// Draw an error message in a box at the top of a canvas.  The message
+// is wrapped to the width of the canvas.
+//
+AlignmentSchema.drawError = function (ctx, width, title, message) {
+    var margin = 10;
+    var lineHeight = 16;
+    ctx.save();
+    ctx.font = "13px sans-serif";
+    var lines = [];
+    var line = "";
+    message.split(/\s+/).forEach(function (word) {
+        var next = line ? line + " " + word : word;
+        if (line && ctx.measureText(next).width > width - (4 * margin)) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = next;
+        }
+    });
+    lines.push(line);
+
+    var boxHeight = (lines.length + 1) * lineHeight + margin;
+    ctx.fillStyle = "#fff0f0";
+    ctx.strokeStyle = "#cc0000";
+    ctx.lineWidth = 1;
+    ctx.fillRect(margin, margin, width - (2 * margin), boxHeight);
+    ctx.strokeRect(margin + 0.5, margin + 0.5, width - (2 * margin) - 1, boxHeight - 1);
+    ctx.fillStyle = "#cc0000";
+    ctx.textBaseline = "top";
+    ctx.font = "bold 13px sans-serif";
+    ctx.fillText(title, 2 * margin, margin + (margin / 2));
+    ctx.font = "13px sans-serif";
+    ctx.fillStyle = "#000000";
+    lines.forEach(function (text, idx) {
+        ctx.fillText(text, 2 * margin, margin + (margin / 2) + ((idx + 1) * lineHeight));
+    });
+    ctx.restore();
+    return boxHeight + (2 * margin);
+};
+
+
+return AlignmentSchema;
+}));
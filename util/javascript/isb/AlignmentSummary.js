@@ -25,6 +25,81 @@
 //  
 //
 //
+//  10/2026
+//    Large families may be rendered in a virtualized mode, where the
+//    canvas is only as tall as the viewport and the zynga Scroller
+//    drives the scroll position.  Added zooming and panning on the
+//    ruler ( setRegion() ), a quality legend, coverage and feature
+//    tracks above the ruler ( buildTracks() ), filtering
+//    ( setFilter() ), multi-key sorting and grouping ( render(),
+//    setGrouping() ), fragment chaining ( setChaining() ), a guide
+//    tree panel ( setTree() ), animated transitions ( setAnimated() ),
+//    hover tooltips, SVG/PNG export ( exportSVG(), exportPNG() ) and
+//    the events below.  Clicking a bar opens a genomic context panel
+//    ( ContextPanel.js ), so the detail_canvas is no longer drawn on.
+//    A summary may be linked to an AlignmentViewer ( linkViewer() )
+//    and a DivergenceHistogram.  The data is checked against
+//    AlignmentSchema.js, may be replaced with setData(), and
+//    destroy() removes the event listeners.
+//
+//  Options:
+//    virtualize        : true, false or "auto" ( default ).  In "auto"
+//                        mode the virtualized view is used when the
+//                        summary would be taller than maxCanvasHeight.
+//    maxCanvasHeight   : Tallest canvas to allocate before virtualizing
+//                        ( default 8000px ).
+//    viewportHeight    : Height of the canvases when virtualized
+//                        ( default 600px ).
+//    responsive        : Size the canvases to the width of their
+//                        container and re-layout when it is resized
+//                        ( default true ).
+//    pixelRatio        : Backing store scale ( default
+//                        window.devicePixelRatio ).
+//    palette           : Quality block colors.  The name of one of the
+//                        AlignmentSummary.palettes ( "heat" ( default ),
+//                        "viridis", "cividis" or "greyscale" ) or an
+//                        array of colors from low to high scores.
+//    scoreRange        : [min, max] scores mapped onto the palette
+//                        ( default [1, qualityBlockLen] ).
+//    missingColor      : Color for a score of 0 ( default "#ffffff" ).
+//    showLegend        : Draw the quality legend above the ruler
+//                        ( default true ).
+//    showCoverage      : Draw the coverage histogram above the ruler
+//                        ( default true ).
+//    showColumnAxis    : Draw the alignment column axis below the
+//                        ruler for full MSA data ( default true ).
+//    groupBy           : Initial grouping ( see setGrouping() ).
+//    chainDist         : Largest gap ( bp ) between chained fragments
+//                        ( default 1000, see setChaining() ).
+//    tree              : Newick text of a guide tree ( see setTree() ).
+//    treeWidth         : Width of the tree panel ( default 120px ).
+//    animate           : Animate the transitions ( default true ).
+//    animationDuration : Length of a transition ( default 400ms ).
+//    animationMaxRows  : No transitions while more rows than this are
+//                        displayed ( default 2000 ).
+//
+//  Events ( see on() ):
+//    Events about a row pass { index ( -1 if it's filtered out ), id,
+//    start, end, startColumn, endColumn ( full MSA data only ),
+//    strand, divergence, contigStart, contigEnd, row }.
+//
+//    rowhover      : The row under the mouse changed ( null when the
+//                    mouse leaves the rows ).
+//    rowclick      : A row was clicked.
+//    select        : The selected row changed ( see selectRow() ).
+//    sort          : { order: } after the rows are sorted.
+//    filter        : { filter: , shown: , total: } after setFilter().
+//    zoom          : { start: , end: ( , startColumn: , endColumn: ) }
+//                    after the visible region changes.
+//    scroll        : { scrollTop: , firstIndex: , lastIndex: } as the
+//                    virtualized view scrolls.
+//    groupcollapse : { label: , collapsed: } after a group or clade is
+//                    collapsed or expanded ( label is null for all
+//                    groups ).
+//    cladeselect   : { label: , ids: } after a clade of the guide tree
+//                    is selected ( label null and ids empty when
+//                    cleared ).
+//
 //  Example invocation:
 //  -------------------
 //  HTML:
@@ -53,467 +128,3749 @@
 //                 document.getElementById('guideline_canvas'),
 //                 document.getElementById('detail_canvas'),
 //                 summaryData, {});
+//   mySummary.linkViewer(myViewer);   // Optional
 //
 //  Example JSFIDDLE: http://jsfiddle.net/4wGm8/101/
 //
+// UMD wrapper ( see index.mjs )
+(function (root, factory) {
+    if (typeof define === "function" && define.amd) {
+        define(["./AlignmentSchema", "./ContextPanel", "./SVGContext", "./NewickTree", "./TreePanel", "./ZyngaScroller"], factory);
+    } else if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./AlignmentSchema.js"), require("./ContextPanel.js"), require("./SVGContext.js"), require("./NewickTree.js"), require("./TreePanel.js"), require("./ZyngaScroller.js"));
+    } else {
+        root.AlignmentSummary = factory(root.AlignmentSchema, root.ContextPanel, root.SVGContext, root.NewickTree, root.TreePanel, root.ZyngaScroller);
+    }
+}(typeof self !== "undefined" ? self : this, function (AlignmentSchema, ContextPanel, SVGContext, NewickTree, TreePanel, Zynga) {
+
 function AlignmentSummary(align_canvas, guide_canvas, detail_canvas, json, options) {
-    this.json = json;
+    this.json = this.checkData(json);
+    this.options = options || {};
     this.align_canvas = align_canvas;
     this.guide_canvas = guide_canvas;
     this.detail_canvas = detail_canvas;
 
-    this.alignDetailVisible = false;
-    this.alignDetailXPos = 0;
-    this.alignDetailYPos = 0;
-    this.alignDetailWidth = 400;
-    this.alignDetailHeight = 150;
+    // Genomic context panels ( see showContext() ) and the row
+    // selected in them
+    this.contextPanels = [];
+    this.contigIndex = null;
+    this.selectedRow = null;
 
-    // TODO: Use above general layout variables to determine canvas height
-    this.align_canvas.height = (this.json.num_alignments * 2) + 10 + 8 + 10 + 10;
-    this.guide_canvas.height = this.align_canvas.height;
-    this.detail_canvas.height = this.align_canvas.height + this.alignDetailHeight;
-    this.cdiv = this.align_canvas.parentNode;
-    this.cdiv.style.height = this.align_canvas.height;
+    // Layout constants
+    this.divMargin = 10; // Left margin in div block in pixels
+    this.alignmentGlyphHeight = 1;
+    this.alignmentSpacing = this.alignmentGlyphHeight + 1;
+    this.rulerHeight = 8;
+    this.rulerLabelHeight = 10;
+    this.rulerVerticalMargin = 10;
+    this.scrollBarWidth = 8;
+
+    // Guide tree ( see setTree() ) drawn in a panel left of the rows,
+    // the displayed rows of each of its leaves, the collapsed clades
+    // ( and the groups standing in for them ) and the selected
+    // sequences ( see selectClade() )
+    this.treePanel = null;
+    this.treeWidth = this.options.treeWidth || 120;
+    this.treeError = null;
+    this.treeRows = null;
+    this.collapsedClades = [];
+    this.cladeGroups = {};
+    this.selectedIds = null;
+    this.loadTree(this.options.tree);
+
+    // Consensus to alignment column lookup for full MSA data
+    this.buildColumnAxis();
+
+    // Quality legend, feature and coverage tracks drawn above the ruler
+    this.showLegend = (this.options.showLegend !== false);
+    this.legendHeight = 28;
+    this.featureTitleHeight = 11;
+    this.featureLaneHeight = 10;
+    this.tracks = this.buildTracks(this.json.tracks);
+    this.showCoverage = (this.options.showCoverage !== false);
+    this.coverageHeight = 40;
+    this.coverage = null;
+
+    // Height of the summary if every row were painted
+    this.contentHeight = (this.json.num_alignments * this.alignmentSpacing) +
+                         this.bandHeight() + (2 * this.rulerVerticalMargin) + 10;
+
+    // Decide if we need to virtualize the view
+    this.maxCanvasHeight = this.options.maxCanvasHeight || 8000;
+    this.viewportHeight = this.options.viewportHeight || 600;
+    // The backing store of each canvas is scaled by the device pixel
+    // ratio, so the browser limit applies to the scaled height.
+    this.pixelRatio = this.options.pixelRatio || window.devicePixelRatio || 1;
+    if (this.options.virtualize === true ||
+        (this.options.virtualize !== false &&
+         this.contentHeight * this.pixelRatio > this.maxCanvasHeight)) {
+        this.virtualized = true;
+    } else {
+        this.virtualized = false;
+    }
+    this.scrollTop = 0;
 
     // Get drawing contexts
     this.guide_context = this.guide_canvas.getContext("2d");
     this.align_context = this.align_canvas.getContext("2d");
     this.detail_context = this.detail_canvas.getContext("2d");
 
+    // Size the canvases to the width of their container unless
+    // responsive sizing has been turned off.
+    this.cdiv = this.align_canvas.parentNode;
+    this.responsive = (this.options.responsive !== false);
+    var width = this.align_canvas.width;
+    if (this.responsive && this.cdiv.clientWidth > 0) {
+        width = this.cdiv.clientWidth;
+    }
+    this.sizeCanvases(width, this.virtualized ? this.viewportHeight : this.contentHeight);
+
     // 
     this.maxGroupingDist = 2000;
 
     // Heatmap Colors
-    this.qualColor = ["#ff6600", "#ffcc00", "#ccff00", "#66ff00", "#00ff00",
-        "#00ff66", "#00ffcc", "#00ccff", "#0066ff", "#0000ff"];
+    this.setPalette(this.options.palette || "heat", true);
+    var scoreRange = this.options.scoreRange || [1, this.json.qualityBlockLen || 10];
+    this.scoreMin = scoreRange[0];
+    this.scoreMax = scoreRange[1];
+    this.missingColor = this.options.missingColor || "#ffffff";
 
-    // Constants to reduce lookup(?) in event listener
-    this.WIDTH = this.align_canvas.width;
-    this.HEIGHT = this.align_canvas.height;
-    this.pixelToBP = this.json.length / this.WIDTH;
     this.currRulerY = 0;
 
+    // Visible region of the reference ( 1-based, inclusive )
+    this.minRegionLen = 10;
+    this.regionStart = 1;
+    this.regionEnd = this.json.length;
+    this.xScale = this.viewWidth / this.json.length;
+    this.pixelToBP = this.json.length / this.viewWidth;
+    this.brush = null;
+
+    // Vertical layout of the current ordering ( see layoutRows() )
+    this.rulerRowIdx = 0;
+    this.bandY = 0;
+    this.rulerY = 0;
+    this.rowKeyIdx = {};
+
+    // The sorted and filtered rows currently displayed
+    this.alignments = this.json.alignments;
+    this.filter = {};
+
+    // Fragment chains ( see setChaining() ) and the chain index of
+    // each displayed row
+    this.chainDist = this.options.chainDist || 1000;
+    this.chains = null;
+    this.rowChain = null;
+
+    // Row grouping ( see setGrouping() ), the groups laid out for the
+    // displayed rows and the labels of the collapsed groups
+    this.groupHeaderHeight = 14;
+    this.groupBarHeight = 4;
+    this.groupBy = null;
+    this.groupValue = null;
+    this.groupCompare = null;
+    this.groups = null;
+    this.collapsedGroups = {};
+
+    // Animated transitions between layouts and zoom levels ( see
+    // setAnimated() ), the running animation, the positions drawn
+    // part way through a row transition and the layout that the
+    // rows are leaving
+    this.animated = (this.options.animate !== false);
+    this.animationDuration = this.options.animationDuration || 400;
+    this.animationMaxRows = this.options.animationMaxRows || 2000;
+    this.animation = null;
+    this.transition = null;
+    this.previousLayout = null;
+    this.layoutReady = false;
+
+    // Linked AlignmentViewer and the part of it currently on screen
+    this.linkedViewer = null;
+    this.viewerWindow = null;
+
+    // Linked DivergenceHistogram and the divergence range it has
+    // selected for highlighting
+    this.linkedHistogram = null;
+    this.divHighlight = null;
+
+    // Event listeners added by listen() and the document listeners
+    // attached for the duration of a drag ( see startDrag() )
+    this.listeners = [];
+    this.dragListeners = null;
+    this.destroyed = false;
+
+    // Handlers registered with on() and the row under the mouse
+    this.handlers = {};
+    this.hoverIdx = -1;
+
     var that = this;
-    this.guide_canvas.addEventListener("mousemove", function (evt) {
+    this.scrollBarDrag = null;
+    if (this.virtualized) {
+        this.initScroller();
+    }
+
+    this.listen(this.guide_canvas, "mousemove", function (evt) {
         that.mouseMoveHndlr(evt);
-    }, false);
-    this.guide_canvas.addEventListener("mousedown", function (evt) {
+    });
+    this.listen(this.guide_canvas, "mousedown", function (evt) {
         that.mouseDownHndlr(evt);
-    }, false);
+    });
+    this.listen(this.guide_canvas, "wheel", function (evt) {
+        that.wheelHndlr(evt);
+    });
+    this.listen(this.guide_canvas, "mouseout", function (evt) {
+        if (!that.brush) {
+            that.redrawGuide();
+        }
+        that.setHoverRow(-1);
+    });
+
+    // Follow changes to the container width and to the pixel ratio
+    // ( e.g. browser zoom or moving the window to another display )
+    if (this.responsive) {
+        if (window.ResizeObserver) {
+            this.resizeObserver = new ResizeObserver(function () {
+                that.resize();
+            });
+            this.resizeObserver.observe(this.cdiv);
+        }
+        this.listen(window, "resize", function () {
+            that.resize();
+        });
+    }
 
-    this.render("norm", this.maxGroupingDist);
+    if (this.treePanel) {
+        // Follow the guide tree until the rows are sorted otherwise
+        this.order = "tree";
+    }
+    if (this.options.groupBy) {
+        this.setGrouping(this.options.groupBy);
+    } else {
+        this.render(this.order || "norm", this.maxGroupingDist);
+    }
 }
 
 
-AlignmentSummary.prototype.getMousePos = function (canvas, evt) {
-    var rect = canvas.getBoundingClientRect();
-    return {
-        x: evt.clientX - rect.left,
-        y: evt.clientY - rect.top
-    };
+//
+// Set the size of the canvases in CSS pixels.  The backing stores
+// are allocated at the device pixel ratio and the contexts scaled to
+// match so that all drawing continues in CSS pixels.  Setting a
+// canvas size resets its context, so callers must redraw.
+//
+AlignmentSummary.prototype.sizeCanvases = function (width, height) {
+    var canvases = [this.align_canvas, this.guide_canvas, this.detail_canvas];
+    var contexts = [this.align_context, this.guide_context, this.detail_context];
+    for (var i = 0; i < canvases.length; i += 1) {
+        canvases[i].width = Math.round(width * this.pixelRatio);
+        canvases[i].height = Math.round(height * this.pixelRatio);
+        canvases[i].style.width = width + "px";
+        canvases[i].style.height = height + "px";
+        contexts[i].setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    }
+    this.cdiv.style.height = height + "px";
+
+    // Constants to reduce lookup(?) in event listener
+    this.WIDTH = width;
+    this.HEIGHT = height;
+    this.viewWidth = this.WIDTH - this.divMargin; // Width of reference sequence in pixels
+    if (this.virtualized) {
+        this.viewWidth = this.viewWidth - this.scrollBarWidth;
+    }
 };
 
 
-// Detect clicks on individual alignment lines and 
-// draw a "alignDetail" box alongside the mouse pointer. 
-// Subsequent clicks on the box will make it disappear.
-AlignmentSummary.prototype.mouseDownHndlr = function (evt) {
-    var mousePos = this.getMousePos(this.guide_canvas, evt);
+//
+// Re-layout the summary after the container is resized or the
+// device pixel ratio changes.  The visible region is kept and
+// stretched over the new width.
+//
+AlignmentSummary.prototype.resize = function () {
+    var width = this.WIDTH;
+    if (this.responsive && this.cdiv.clientWidth > 0) {
+        width = this.cdiv.clientWidth;
+    }
+    var ratio = this.options.pixelRatio || window.devicePixelRatio || 1;
+    if (width == this.WIDTH && ratio == this.pixelRatio) {
+        return;
+    }
+    this.pixelRatio = ratio;
+    this.sizeCanvases(width, this.HEIGHT);
+    if (this.virtualized) {
+        this.scroller.setDimensions(this.WIDTH, this.HEIGHT, this.WIDTH,
+                                    this.contentHeight);
+    }
+    // Recomputes xScale and pixelToBP for the new width and redraws
+    this.setRegion(this.regionStart, this.regionEnd, true);
+    this.redrawGuide();
+};
 
-    if (this.alignDetailVisible) {
-        this.detail_context.beginPath();
-        this.detail_context.rect(this.alignDetailXPos, this.alignDetailYPos,
-        this.alignDetailWidth, this.alignDetailHeight);
-        if (this.detail_context.isPointInPath(mousePos.x, mousePos.y)) {
-            this.detail_context.clearRect(0, 0, this.detail_canvas.width,
-            this.detail_canvas.height);
-            this.alignDetailVisible = false;
-            return;
-        }
+
+//
+// Check summary data against the schema ( see AlignmentSchema.js ).
+// Returns the data in the form used for drawing.  Data that fails the
+// checks is replaced by an empty summary and the reason is kept in
+// dataError to be drawn in place of the rows.
+//
+AlignmentSummary.prototype.checkData = function (json) {
+    this.dataError = null;
+    try {
+        return AlignmentSchema.normalizeSummary(json);
+    } catch (err) {
+        this.dataError = err.message;
+        return AlignmentSchema.emptySummary();
     }
-    this.alignDetailXPos = mousePos.x;
-    if ( this.alignDetailXPos + this.alignDetailWidth > this.detail_canvas.width )
-    { 
-      this.alignDetailXPos = this.alignDetailXPos -
-                             ((this.alignDetailXPos + this.alignDetailWidth) - this.detail_canvas.width);
+};
+
+
+//
+// Replace the summary data ( see the example above for the format )
+// without recreating the summary.  The options, sort order, filter,
+// chaining and links are kept.  The visible region, selection and
+// context panels are reset.  The canvases are refitted to
+// the new data, switching to the virtualized view if it's needed.
+//
+AlignmentSummary.prototype.setData = function (json) {
+    for (var i = this.contextPanels.length - 1; i >= 0; i -= 1) {
+        this.contextPanels[i].close();
+    }
+    // The rows of the new data are not animated into place
+    this.stopAnimation();
+    this.layoutReady = false;
+    json = this.checkData(json);
+    this.json = json;
+    this.contigIndex = null;
+    this.selectedRow = null;
+    this.buildColumnAxis();
+    this.tracks = this.buildTracks(json.tracks);
+    if (!this.options.scoreRange) {
+        this.scoreMin = 1;
+        this.scoreMax = json.qualityBlockLen || 10;
+        this.scoreColors = {};
+    }
+    this.alignments = json.alignments;
+    this.rowChain = null;
+    if (this.chains) {
+        this.chains = this.buildChains(this.chainDist);
     }
-    this.alignDetailYPos = mousePos.y;
-    this.alignDetailVisible = true;
-    var alignIdx = parseInt((mousePos.y - (8 + 10)) / (1 + 1));
-    if ( alignIdx >= 0 )
-    {
-      this.drawAlignDetail2(this.alignDetailXPos, this.alignDetailYPos,
-                           this.alignDetailWidth, this.alignDetailHeight, alignIdx, this.maxGroupingDist);
-    }
-};
-
-// Draw a popup box on the "detail_canvas" containing the alignment 
-// details a given sequence from the alignment collection. 
-// TODO: Testing variant.  This one displays the whole instance sequence rather than
-//       discrete portions of the instance sequence.
-AlignmentSummary.prototype.drawAlignDetail2 = function (x, y, width, height, alignIdx, maxGroupingDist) {
-    var popupWidth = width;
-    var popupHeight = height;
-    var titleHeight = 25;
-    var margin = 10;
-    var alignViewWidth = popupWidth - (2 * margin);
-    var alignSpacing = 20;
-
-    // Sequence clicked on by the user (alignIdx) may also used in other
-    // alignments.  We are only interested in showing the alignments
-    // that are nearby (maxGroupingDist) or overlaping the sequence the
-    // user clicked on. 
-    var name = this.json.alignments[alignIdx][0];
-    var refStart = this.json.alignments[alignIdx][6];
-    var refEnd = this.json.alignments[alignIdx][7];
-
-    // Identify the length of the genomic sequence that covers
-    // all alignments we will be displaying.
-    var idxs = [];
-    var alignLevels = [];
-    var minAlignPos = -1;
-    var maxAlignPos = -1;
-    for (var j = 0; j < this.json.alignments.length; j += 1) {
-        var instStart = this.json.alignments[j][6];
-        var instEnd = this.json.alignments[j][7];
-        if (this.json.alignments[j][0] === name &&
-            ((instStart > (refStart-maxGroupingDist) && instStart < (refEnd+maxGroupingDist))  || 
-            (instEnd > (refStart-maxGroupingDist) && instEnd < (refEnd+maxGroupingDist)))) 
-        {
-            idxs[idxs.length] = this.json.alignments[j];
-            if (minAlignPos == -1 || instStart < minAlignPos) minAlignPos = instStart;
-            if (maxAlignPos == -1 || instEnd > maxAlignPos) maxAlignPos = instEnd;
-        }
-    }
-    idxs.sort(function (a, b) {
-        if (a[6] === b[6]) {
-            return ((b[7] - b[6]) - (a[7] - a[6]));
-        } else {
-            return (a[6] - b[6]);
-        }
-    });
 
-    var referenceXOffset;
-    var alignedLen = maxAlignPos - minAlignPos + 1;
-    var xsc;
-    if (alignedLen > this.json.length) {
-        xsc = alignViewWidth / alignedLen;
-        referenceXOffset = parseInt(x + margin + (((alignedLen - this.json.length) / 2) * xsc));
-    } else {
-        referenceXOffset = parseInt(x + margin);
-        xsc = alignViewWidth / this.json.length;
-    }
-    
-    // Draw the popup frame
-    var calcHeight = (2*margin) + titleHeight + ((idxs.length + 2) * alignSpacing);
-    if ( calcHeight > height ){
-      height = calcHeight;
-    }
-    this.detail_context.clearRect(0, 0, 1200, 2000);
-    this.detail_context.fillStyle = "rgba(255, 255, 255, 1.0)";
-    this.detail_context.fillRect(x, y, width, height);
-    this.detail_context.beginPath();
-    this.detail_context.rect(x, y, width, height);
-    this.detail_context.lineWidth = 2;
-    this.detail_context.strokeStyle = 'black';
-    this.detail_context.stroke();
-
-    // Write detail header
-    this.detail_context.font = "15px Georgia";
-    this.detail_context.fillStyle = 'black';
-    this.detail_context.fillText(alignIdx + " : " + this.json.alignments[alignIdx][0] + " : " + this.json.alignments[alignIdx][6] + "-" + this.json.alignments[alignIdx][7] , x + margin, y + margin + 5);
-
-    // Draw forward strand reference line
-    this.detail_context.beginPath();
-    this.detail_context.lineWidth = 2;
-    this.detail_context.strokeStyle = 'green';
-    this.detail_context.moveTo(referenceXOffset, y + margin + titleHeight);
-    this.detail_context.lineTo(referenceXOffset + parseInt(this.json.length * xsc), y + margin + titleHeight);
-    this.detail_context.stroke();
-
-    var levels = [];
-    for (var j = 0; j < idxs.length; j += 1) {
-        for (var k = 0; k <= levels.length; k += 1) {
-            if (k == levels.length) {
-                levels[k] = [];
-                levels[k][0] = idxs[j];
-                break;
-            }
-            var prevEle = levels[k][levels[k].length - 1];
-            var prevEnd = prevEle[7];
-            var curStart = idxs[j][6];
-            if (parseInt(prevEnd) <= parseInt(curStart)) {
-                levels[k][levels[k].length] = idxs[j];
-                break;
-            }
-        }
+    this.regionStart = 1;
+    this.regionEnd = json.length;
+    this.xScale = this.viewWidth / json.length;
+    this.pixelToBP = json.length / this.viewWidth;
+    this.scrollTop = 0;
+
+    // Switch to the virtualized view if the unfiltered rows need it,
+    // or back to a full height canvas if they fit again ( as decided
+    // by the constructor )
+    this.layoutRows(this.order);
+    var tooTall = (this.contentHeight * this.pixelRatio > this.maxCanvasHeight);
+    if (!this.virtualized && this.options.virtualize !== false && tooTall) {
+        this.virtualized = true;
+        this.sizeCanvases(this.WIDTH, this.viewportHeight);
+        this.xScale = this.viewWidth / json.length;
+        this.pixelToBP = json.length / this.viewWidth;
+        this.initScroller();
+    } else if (this.virtualized && this.options.virtualize !== true && !tooTall) {
+        this.virtualized = false;
+        this.scrollBarDrag = null;
+        // Stop any scrolling still running and start from the top when
+        // the view is virtualized again
+        this.scroller.scrollTo(0, 0, false);
+        this.sizeCanvases(this.WIDTH, this.contentHeight);
+        this.xScale = this.viewWidth / json.length;
+        this.pixelToBP = json.length / this.viewWidth;
     }
+    this.render(this.order, this.maxGroupingDist);
 
-    // Draw main instance sequence line [gray]
-    this.detail_context.strokeStyle = 'gray';
-    this.detail_context.lineWidth = 2;
-    var offset = parseInt(x + margin + ((alignViewWidth/2) - ((alignedLen * xsc)/2)));
-    var alignYOffset = y + height - margin - (levels.length * (alignSpacing + 2));
-
-    this.detail_context.beginPath();
-    this.detail_context.moveTo(offset, alignYOffset + (levels.length * alignSpacing));
-    this.detail_context.lineTo(offset+(alignedLen*xsc), alignYOffset + (levels.length * alignSpacing));
-    this.detail_context.stroke();
-
-    for (var j = 0; j < levels.length; j += 1) {
-        for (var k = 0; k < levels[j].length; k += 1) {
-            this.detail_context.beginPath();
-            this.detail_context.strokeStyle = 'black';
-            var start = offset + ((parseInt(levels[j][k][6]) - minAlignPos) * xsc);
-            //var start = offset + ((levels[j][k][6]) * xsc);
-            var end = start + ((parseInt(levels[j][k][7]) - parseInt(levels[j][k][6]) + 1) * xsc);
-
-            // Draw alignment line
-            this.detail_context.moveTo(start, alignYOffset + (j * alignSpacing));
-            if ( parseInt(levels[j][k][6]) === refStart &&
-                 parseInt(levels[j][k][7]) === refEnd
-               ) {
-              this.detail_context.lineWidth = 4;
-            }else {
-              this.detail_context.lineWidth = 2;
-            }
-            this.detail_context.lineTo(end, alignYOffset + (j * alignSpacing));
-            if (levels[j][k][4] === "F") this.detail_context.strokeStyle = 'black';
-            else this.detail_context.strokeStyle = 'red';
-            this.detail_context.stroke();
-            // write divergence
-            this.detail_context.font = "8px Georgia";
-            this.detail_context.fillStyle = 'black';
-            this.detail_context.fillText(levels[j][k][5],
-                                         start,alignYOffset + (j * alignSpacing) + 8);
-
-            // Draw start connector
-            this.detail_context.strokeStyle = 'black';
-            this.detail_context.lineWidth = 1;
-            this.detail_context.setLineDash([2, 3]);
-            this.detail_context.beginPath();
-            this.detail_context.moveTo(start, alignYOffset + (j * alignSpacing));
-            this.detail_context.lineTo(parseInt(referenceXOffset + (levels[j][k][1] * xsc)), y + margin + titleHeight);
-            this.detail_context.stroke();
-            // Draw end connector
-            this.detail_context.beginPath();
-            this.detail_context.moveTo(end, alignYOffset + (j * alignSpacing));
-            this.detail_context.lineTo(parseInt(referenceXOffset + ((levels[j][k][1] + levels[j][k][2]) * xsc)), y + margin + titleHeight);
-            this.detail_context.stroke();
-
-            this.detail_context.setLineDash([]);
-        }
+    if (this.virtualized) {
+        this.scroller.scrollTo(0, 0, false);
+    } else if (this.contentHeight != this.HEIGHT) {
+        // relayout() only grows the canvases
+        this.sizeCanvases(this.WIDTH, this.contentHeight);
+        this.draw();
     }
 };
 
-AlignmentSummary.prototype.mouseMoveHndlr = function (evt) {
-    var mousePos = this.getMousePos(this.guide_canvas, evt);
-    if (mousePos.x >= 10) {
-        this.guide_context.clearRect(0, 0, this.WIDTH, this.HEIGHT);
-        this.guide_context.strokeStyle = "#ff0000";
-        this.guide_context.beginPath();
-        this.guide_context.moveTo(mousePos.x, 0);
-        this.guide_context.lineTo(mousePos.x, this.HEIGHT);
-        this.guide_context.stroke();
 
-        this.guide_context.font = "italic 11pt Calibri";
-        var txt = "" + Math.round(((mousePos.x - 10) * this.pixelToBP) + 1);
-        var text_width = this.guide_context.measureText(txt).width;
-        var text_height = 12; //Estimated based on font ( no height call in HTML5 )
-        var textXPos = mousePos.x - (text_width / 2);
-        // TODO: Use coordinates of ruler....get somehow
-        if (textXPos < 10) {
-            textXPos = 10;
-        }
-        if (textXPos + text_width > this.WIDTH) {
-            textXPos = this.WIDTH - text_width;
+//
+// Remove all event listeners, close the context panels, unlink the
+// viewer and histogram and clear the canvases.  The summary must not
+// be used afterwards.
+//
+AlignmentSummary.prototype.destroy = function () {
+    var i;
+    this.endDrag();
+    this.stopAnimation();
+    for (i = 0; i < this.listeners.length; i += 1) {
+        var l = this.listeners[i];
+        l[0].removeEventListener(l[1], l[2], false);
+    }
+    this.listeners = [];
+    if (this.resizeObserver) {
+        this.resizeObserver.disconnect();
+        this.resizeObserver = null;
+    }
+    for (i = this.contextPanels.length - 1; i >= 0; i -= 1) {
+        this.contextPanels[i].close();
+    }
+    if (this.linkedViewer) {
+        this.linkedViewer.setLinkedSummary(null);
+        this.linkedViewer = null;
+    }
+    // The histogram belongs to the caller, which destroys it
+    this.linkedHistogram = null;
+    this.destroyed = true;
+    this.align_context.clearRect(0, 0, this.WIDTH, this.HEIGHT);
+    this.guide_context.clearRect(0, 0, this.WIDTH, this.HEIGHT);
+    this.detail_context.clearRect(0, 0, this.WIDTH, this.HEIGHT);
+};
+
+
+//
+// Register a handler for one of the summary events ( see the list
+// at the top of this file ).  Handlers are called with the event
+// payload and with "this" set to the summary.  Returns the summary
+// so that calls may be chained.
+//
+AlignmentSummary.prototype.on = function (event, handler) {
+    if (!this.handlers[event]) {
+        this.handlers[event] = [];
+    }
+    this.handlers[event].push(handler);
+    return this;
+};
+
+
+// Remove a handler added with on(), or all handlers for the event
+// when no handler is given.
+AlignmentSummary.prototype.off = function (event, handler) {
+    var handlers = this.handlers[event];
+    if (!handlers) {
+        return this;
+    }
+    if (!handler) {
+        delete this.handlers[event];
+        return this;
+    }
+    for (var i = handlers.length - 1; i >= 0; i -= 1) {
+        if (handlers[i] === handler) {
+            handlers.splice(i, 1);
         }
+    }
+    return this;
+};
 
-        this.guide_context.fillStyle = "#FAF7F8";
-        this.guide_context.fillRect(textXPos, this.currRulerY, text_width, text_height);
-        this.guide_context.fillStyle = "#000000";
 
-        this.guide_context.fillText(txt, textXPos, this.currRulerY + 11);
+AlignmentSummary.prototype.emit = function (event, payload) {
+    var handlers = this.handlers[event];
+    if (!handlers) {
+        return;
+    }
+    // Copied so handlers may call off()
+    handlers = handlers.slice(0);
+    for (var i = 0; i < handlers.length; i += 1) {
+        handlers[i].call(this, payload);
+    }
+};
+
 
+// Track the row under the mouse and emit "rowhover" when it changes
+AlignmentSummary.prototype.setHoverRow = function (alignIdx) {
+    if (alignIdx == this.hoverIdx) {
+        return;
     }
+    this.hoverIdx = alignIdx;
+    this.emit("rowhover", (alignIdx >= 0) ?
+              this.rowInfo(this.alignments[alignIdx], alignIdx) : null);
 };
 
 
-AlignmentSummary.prototype.ruler = function (x, y, width, height, minVal, maxVal, minorTickInterval, majorTickInterval) {
-    this.align_context.beginPath();
-    this.align_context.moveTo(x, y);
-    this.align_context.lineTo(x + width, y);
-    this.align_context.stroke();
+// The consensus coordinates of an interval in the summary coordinates
+// ( alignment columns for full MSA data ) as used in event payloads.
+AlignmentSummary.prototype.spanInfo = function (start, end) {
+    var info = {
+        start: start,
+        end: end
+    };
+    if (this.consensusToColumn) {
+        info.startColumn = start;
+        info.endColumn = end;
+        info.start = this.json.columnMap[start - 1];
+        info.end = this.json.columnMap[end - 1];
+    }
+    return info;
+};
 
-    // Translations
-    var pixelsPerUnit = width / (maxVal - minVal + 1);
-    var pixelsPerMajorTick = majorTickInterval * pixelsPerUnit;
-    var pixelsPerMinorTick = minorTickInterval * pixelsPerUnit;
 
-    for (var i = 0; i < width; i += pixelsPerMajorTick) {
-        this.align_context.beginPath();
-        this.align_context.moveTo(x + i, y);
-        this.align_context.lineTo(x + i, y + height);
-        this.align_context.stroke();
+// The event payload describing a row ( see the list of events )
+AlignmentSummary.prototype.rowInfo = function (row, alignIdx) {
+    if (!row) {
+        return null;
     }
+    var info = this.spanInfo(row[1], row[1] + row[2] - 1);
+    info.index = alignIdx;
+    info.id = row[0];
+    info.strand = row[4];
+    info.divergence = parseFloat(row[5]);
+    info.contigStart = parseInt(row[6], 10);
+    info.contigEnd = parseInt(row[7], 10);
+    info.row = row;
+    return info;
+};
+
 
-    for (var i = 0; i < width; i += pixelsPerMinorTick) {
-        this.align_context.beginPath();
-        this.align_context.moveTo(x + i, y);
-        this.align_context.lineTo(x + i, y + (height / 2));
-        this.align_context.stroke();
+// Create the Scroller which drives the viewport in the virtualized
+// mode.  The Scroller is kept when setData() leaves the virtualized
+// mode and reused if the view is virtualized again.
+AlignmentSummary.prototype.initScroller = function () {
+    var that = this;
+    if (!this.scroller) {
+        this.scroller = new Zynga.Scroller(function (left, top, zoom) {
+            // An animation may still be running after destroy() or
+            // after leaving the virtualized mode
+            if (!that.destroyed && that.virtualized) {
+                that.scrollTop = Math.round(top);
+                that.draw();
+                var range = that.visibleRange();
+                that.emit("scroll", {
+                    scrollTop: that.scrollTop,
+                    firstIndex: range.first,
+                    lastIndex: range.last
+                });
+            }
+        }, {
+            scrollingX: false,
+            bouncing: false
+        });
+        this.bindScrollEvents();
     }
+    this.scroller.setDimensions(this.WIDTH, this.HEIGHT, this.WIDTH,
+                                this.contentHeight);
+};
+
+
+// Wire up the touch events used to move the viewport in the
+// virtualized mode.  Touch events are delivered to the element the
+// touch started on so there is no need to listen on the document.
+AlignmentSummary.prototype.bindScrollEvents = function () {
+    var that = this;
+
+    this.listen(this.guide_canvas, "touchstart", function (evt) {
+        if (that.virtualized) {
+            that.scroller.doTouchStart(evt.touches, evt.timeStamp);
+            evt.preventDefault();
+        }
+    });
+    this.listen(this.guide_canvas, "touchmove", function (evt) {
+        if (that.virtualized) {
+            that.scroller.doTouchMove(evt.touches, evt.timeStamp, evt.scale);
+        }
+    });
+    this.listen(this.guide_canvas, "touchend", function (evt) {
+        if (that.virtualized) {
+            that.scroller.doTouchEnd(evt.timeStamp);
+        }
+    });
+};
+
+
+// Add an event listener which is removed again by destroy()
+AlignmentSummary.prototype.listen = function (target, type, handler) {
+    target.addEventListener(type, handler, false);
+    this.listeners.push([target, type, handler]);
 };
 
 
 //
+// Follow a drag ( a ruler selection or the scrollbar thumb ) outside
+// of the canvas.  The document listeners are only attached while the
+// button is down so that several summaries on a page don't all
+// receive every mouse movement.
 //
-//
-AlignmentSummary.prototype.render = function (order, maxGroupingDist) {
-    // Visual Constants
-    var divMargin = 10; // Left margin in div block in pixels
-    var alignmentGlyphHeight = 1;
-    var alignmentSpacing = alignmentGlyphHeight + 1;
-    var rulerHeight = 8;
-    var rulerVerticalMargin = 10;
-
-    var viewWidth = this.align_canvas.width - divMargin; // Width of reference sequence in pixels
-    var xScale = viewWidth / this.json.length;
-    var alignments = this.json.alignments;
-    var qualWidthBP = this.json.qualityBlockLen;
+AlignmentSummary.prototype.startDrag = function () {
+    if (this.dragListeners) {
+        return;
+    }
+    var that = this;
+    this.dragListeners = {
+        mousemove: function (evt) {
+            that.dragMoveHndlr(evt);
+        },
+        mouseup: function (evt) {
+            that.endDrag();
+            that.mouseUpHndlr(evt);
+        }
+    };
+    document.addEventListener("mousemove", this.dragListeners.mousemove, false);
+    document.addEventListener("mouseup", this.dragListeners.mouseup, false);
+};
 
-    // Clear overlayed canvases
-    this.align_context.clearRect(0, 0, this.align_canvas.width,
-    this.align_canvas.height);
-    this.guide_context.clearRect(0, 0, this.guide_canvas.width,
-    this.guide_canvas.height);
-    this.detail_context.clearRect(0, 0, this.detail_canvas.width,
-    this.detail_canvas.height);
 
-    // Reset the max grouping dist
-    this.maxGroupingDist = maxGroupingDist;
+AlignmentSummary.prototype.endDrag = function () {
+    if (!this.dragListeners) {
+        return;
+    }
+    document.removeEventListener("mousemove", this.dragListeners.mousemove, false);
+    document.removeEventListener("mouseup", this.dragListeners.mouseup, false);
+    this.dragListeners = null;
+};
 
-    // Select ordering
-    if (order == "orient") {
-        alignments.sort(function (a, b) {
-            if (a[4] === b[4]) {
-                if (a[4] === "R") {
-                    if (a[1] === b[1]) {
-                        return (b[2] - a[2]);
-                    } else {
-                        return (a[1] - b[1]);
-                    }
-                } else {
-                    if (a[1] === b[1]) {
-                        return (a[2] - b[2]);
-                    } else {
-                        return (b[1] - a[1]);
-                    }
-                }
-            } else {
-                return a[4] < b[4] ? -1 : a[4] > b[4] ? 1 : 0;
-            }
-        });
-    } else if (order == "end") {
-        alignments.sort(function (a, b) {
-            if ((a[1] + a[2]) == (b[1] + b[2])) {
-                return (a[1] - b[1]);
-            } else {
-                return ((b[1] + b[2]) - (a[1] + a[2]));
-            }
-        });
-    } else if (order == "div") {
-        alignments.sort(function (a, b) {
-            return (a[5] - b[5]);
-        });
-    }else if (order == "groupById") {
-        alignments.sort(function (a, b) {
-               if (a[0] < b[0]) {
-                  return -1;
-                } else if (a[0] > b[0]) {
-                  return 1;
-                }else if (a[1] === b[1]) {
-                  return (b[2] - a[2]);
-                } else {
-                  return (a[1] - b[1]);
-                }
-            });
-    } else {
-        alignments.sort(function (a, b) {
-            if (a[1] === b[1]) {
-                return (b[2] - a[2]);
-            } else {
-                return (a[1] - b[1]);
-            }
-        });
+
+// Move the scrollbar thumb while it's being dragged
+AlignmentSummary.prototype.dragMoveHndlr = function (evt) {
+    if (this.scrollBarDrag) {
+        var mousePos = this.getMousePos(this.guide_canvas, evt);
+        var dy = mousePos.y - this.scrollBarDrag.y;
+        this.scroller.scrollTo(0, this.scrollBarDrag.top +
+                               (dy * this.contentHeight / this.HEIGHT), false);
     }
+};
+
 
-    var curY = 0;
-    var referenceDrawn = 0;
-    if (order != "orient") {
-        this.ruler(divMargin, 0, viewWidth, rulerHeight, 1, 946, 10, 100);
-        this.currRulerY = 0;
-        curY = rulerVerticalMargin + rulerHeight;
-        referenceDrawn = 1;
+// Horizontal wheel motion ( or shift+wheel ) pans a zoomed view,
+// vertical motion scrolls the virtualized view.
+AlignmentSummary.prototype.wheelHndlr = function (evt) {
+    var dx = evt.deltaX;
+    var dy = evt.deltaY;
+    // Normalize line and page based deltas to pixels
+    if (evt.deltaMode == 1) {
+        dx = dx * 16;
+        dy = dy * 16;
+    } else if (evt.deltaMode == 2) {
+        dx = dx * this.viewWidth;
+        dy = dy * this.HEIGHT;
     }
-    for (var i = 0; i < alignments.length; i += 1) {
-        if (referenceDrawn == 0 && alignments[i][4] == "R") {
-            curY = curY + rulerVerticalMargin;
-            this.ruler(divMargin, curY + (i * alignmentSpacing),
-            viewWidth, rulerHeight, 1, 946, 10, 100);
-            this.currRulerY = curY + (i * alignmentSpacing);
-            curY = curY + rulerHeight + rulerVerticalMargin;
-            referenceDrawn = 1;
+    if (evt.shiftKey && dx == 0) {
+        dx = dy;
+        dy = 0;
+    }
+    if (Math.abs(dx) > Math.abs(dy)) {
+        if (this.isZoomed()) {
+            // Wheel events arrive too quickly to animate each one
+            this.panBy(dx * this.pixelToBP, true);
+            evt.preventDefault();
         }
+    } else if (this.virtualized) {
+        this.scroller.scrollBy(0, dy, false);
+        evt.preventDefault();
+    }
+};
 
-        var xOffset = alignments[i][1];
-        var qualities = alignments[i][3];
-        var qualIdx = 0;
-        for (var j = 0; j < alignments[i][2]; j += qualWidthBP) {
 
-            // TODO fix this indexing error
-            if (qualIdx < qualities.length) {
+// Scroll the virtualized view so that the given row is visible.
+AlignmentSummary.prototype.scrollToRow = function (alignIdx) {
+    if (!this.virtualized) {
+        return;
+    }
+    var y = this.rowY(alignIdx);
+    if (y < this.scrollTop || y > this.scrollTop + this.HEIGHT) {
+        this.scroller.scrollTo(0, y - (this.HEIGHT / 2), true);
+    }
+};
+
+AlignmentSummary.prototype.getMousePos = function (canvas, evt) {
+    var rect = canvas.getBoundingClientRect();
+    return {
+        x: evt.clientX - rect.left,
+        y: evt.clientY - rect.top
+    };
+};
 
-                var grd = this.align_context.createLinearGradient(
-                0, 0, (xScale * qualWidthBP), 0);
 
-                //var grad = this.qualColor[qualities[qualIdx] - 1] + " - ";
-                if (  qualities[qualIdx] > 0 ) {
-                  grd.addColorStop(0, this.qualColor[qualities[qualIdx] - 1]);
-                }else { 
-                  grd.addColorStop(0,"#ffffff");
-                }
-                if (qualIdx == qualities.length - 1) {
-                    if ( qualities[qualIdx+1] > 0 ) {
-                      grd.addColorStop(1,
-                      this.qualColor[qualities[qualIdx] - 1]);
-                    }else {
-                      grd.addColorStop(1,"#ffffff");
-                    }
-                    //grad = grad + this.qualColor[qualities[qualIdx] - 1];
-                } else {
-                    if ( qualities[qualIdx+1] > 0 ) {
-                      grd.addColorStop(1,
-                      this.qualColor[qualities[qualIdx + 1] - 1]);
-                    }else {
-                      grd.addColorStop(1,"#ffffff");
-                    }
-                    //grad = grad + this.qualColor[qualities[qualIdx + 1] - 1];
-                }
-                this.align_context.fillStyle = grd;
-                this.align_context.fillRect(divMargin + (xOffset * xScale) + (j * xScale),
-                curY + (i * alignmentSpacing), (xScale * qualWidthBP),
-                alignmentGlyphHeight);
-            }
+// Detect clicks on individual alignment lines and open a
+// genomic context panel alongside the mouse pointer.
+AlignmentSummary.prototype.mouseDownHndlr = function (evt) {
+    var mousePos = this.getMousePos(this.guide_canvas, evt);
+
+    // Start a zoom selection when the mouse goes down on the ruler
+    if (this.isOverRuler(mousePos)) {
+        this.brush = {
+            startX: this.clampX(mousePos.x),
+            endX: this.clampX(mousePos.x)
+        };
+        this.startDrag();
+        evt.preventDefault();
+        return;
+    }
 
-            qualIdx++;
+    if (this.virtualized && mousePos.x >= this.WIDTH - this.scrollBarWidth) {
+        this.scrollBarDrag = {
+            y: mousePos.y,
+            top: this.scrollTop
+        };
+        if (!this.isInScrollThumb(mousePos.y)) {
+            // Page towards the click
+            this.scroller.scrollTo(0, ((mousePos.y / this.HEIGHT) *
+                                   this.contentHeight) - (this.HEIGHT / 2), true);
+            this.scrollBarDrag = null;
+        } else {
+            this.startDrag();
         }
+        return;
     }
-    if (this.json.seedStart) {
-        this.align_context.fillStyle = "rgba(10, 10, 10, 0.25)";
-        this.align_context.fillRect((divMargin + (this.json.seedStart * xScale)),
-        rulerHeight + rulerVerticalMargin, ((this.json.seedEnd - this.json.seedStart + 1) * xScale), ((alignmentGlyphHeight + alignmentSpacing) * this.json.alignments.length));
+    if (this.treePanel && mousePos.x < this.treeWidth) {
+        // Shift+click collapses a clade and a click selects it
+        var node = this.treePanel.nodeAt(mousePos.x, mousePos.y);
+        if (node && evt.shiftKey && node.children.length) {
+            this.setCladeCollapsed(node, this.collapsedClades.indexOf(node) < 0);
+        } else {
+            this.selectClade(node);
+        }
+        return;
+    }
+    var group = this.groupAtPos(mousePos);
+    if (group) {
+        this.setGroupCollapsed(group.label, !group.collapsed);
+        return;
+    }
+    var alignIdx = this.rowAtPos(mousePos);
+    if ( alignIdx >= 0 )
+    {
+      this.emit("rowclick", this.rowInfo(this.alignments[alignIdx], alignIdx));
+      this.selectRow(this.alignments[alignIdx]);
+      this.showContext(alignIdx, mousePos.x, mousePos.y);
     }
-
 };
 
+
+//
+// Open a ContextPanel for a row at x,y ( relative to the canvases ).
+// The unpinned panel is reused if there is one.
+//
+AlignmentSummary.prototype.showContext = function (alignIdx, x, y) {
+    var row = this.alignments[alignIdx];
+    x = Math.max(0, Math.min(x, this.WIDTH - 422));
+    for (var i = 0; i < this.contextPanels.length; i += 1) {
+        if (!this.contextPanels[i].pinned) {
+            this.contextPanels[i].moveTo(x, y);
+            this.contextPanels[i].show(row);
+            return this.contextPanels[i];
+        }
+    }
+    var panel = new ContextPanel(this, row, x, y);
+    this.contextPanels.push(panel);
+    return panel;
+};
+
+
+// Called by a ContextPanel as it closes
+AlignmentSummary.prototype.removeContextPanel = function (panel) {
+    for (var i = 0; i < this.contextPanels.length; i += 1) {
+        if (this.contextPanels[i] === panel) {
+            this.contextPanels.splice(i, 1);
+            return;
+        }
+    }
+};
+
+
+// All rows ( displayed or not ) aligned to a contig
+AlignmentSummary.prototype.contigRows = function (name) {
+    return this.getContigIndex()[name] || [];
+};
+
+
+// Lookup of rows by contig ID, built when first needed
+AlignmentSummary.prototype.getContigIndex = function () {
+    if (!this.contigIndex) {
+        this.contigIndex = {};
+        for (var i = 0; i < this.json.alignments.length; i += 1) {
+            var row = this.json.alignments[i];
+            if (!this.contigIndex[row[0]]) {
+                this.contigIndex[row[0]] = [];
+            }
+            this.contigIndex[row[0]].push(row);
+        }
+    }
+    return this.contigIndex;
+};
+
+
+// The index of a row in the displayed rows or -1 if it's filtered out
+AlignmentSummary.prototype.rowIndex = function (row) {
+    var alignIdx = this.rowKeyIdx[row[0] + ":" + row[1]];
+    if (alignIdx === undefined) {
+        return -1;
+    }
+    if (this.alignments[alignIdx] === row) {
+        return alignIdx;
+    }
+    // Several rows share the ID and reference start
+    for (var i = 0; i < this.alignments.length; i += 1) {
+        if (this.alignments[i] === row) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+
+AlignmentSummary.prototype.isShown = function (row) {
+    return (this.rowIndex(row) >= 0);
+};
+
+
+//
+// Select a row ( e.g. a hit clicked in a ContextPanel ).  The row is
+// marked in the summary ( expanding its group ), scrolled into view and
+// shown in the linked viewer.
+//
+AlignmentSummary.prototype.selectRow = function (row) {
+    this.selectedRow = row;
+    var alignIdx = this.rowIndex(row);
+    var group = this.groupOfRow(alignIdx);
+    if (group && group.collapsed) {
+        // Expand the group to show the row
+        this.setGroupCollapsed(group.label, false);
+    }
+    if (alignIdx >= 0) {
+        this.scrollToRow(alignIdx);
+        if (this.linkedViewer) {
+            this.linkedViewer.scrollToSequence(row[0], row[1]);
+        }
+    }
+    this.redrawGuide();
+    this.emit("select", this.rowInfo(row, alignIdx));
+};
+
+// Finish a zoom selection started on the ruler
+AlignmentSummary.prototype.mouseUpHndlr = function (evt) {
+    this.scrollBarDrag = null;
+    if (!this.brush) {
+        return;
+    }
+    var brush = this.brush;
+    this.brush = null;
+    this.redrawGuide();
+    // Ignore simple clicks on the ruler
+    if (Math.abs(brush.endX - brush.startX) < 3) {
+        return;
+    }
+    this.setRegion(this.xToBP(Math.min(brush.startX, brush.endX)),
+                   this.xToBP(Math.max(brush.startX, brush.endX)));
+    if (this.linkedViewer) {
+        if (this.consensusToColumn) {
+            this.linkedViewer.scrollToColumn(this.regionStart - 1);
+        } else {
+            this.linkedViewer.scrollToReferencePos(this.regionStart);
+        }
+    }
+};
+
+
+//
+// Link an AlignmentViewer displaying the same alignment to this
+// summary.  Rows are matched on the sequence ID and the starting
+// reference position.
+//
+AlignmentSummary.prototype.linkViewer = function (viewer) {
+    this.linkedViewer = viewer;
+    viewer.setLinkedSummary(this);
+};
+
+
+// Called by a linked AlignmentViewer as it's destroyed
+AlignmentSummary.prototype.unlinkViewer = function () {
+    this.linkedViewer = null;
+    this.viewerWindow = null;
+    this.redrawGuide();
+};
+
+
+//
+// Link a DivergenceHistogram to this summary.  The histogram is
+// updated whenever the displayed rows change.
+//
+AlignmentSummary.prototype.linkHistogram = function (histogram) {
+    this.linkedHistogram = histogram;
+    histogram.update();
+};
+
+
+//
+// Fade the rows with a divergence outside of [minDiv, maxDiv].  Pass
+// nulls to clear the highlight.
+//
+AlignmentSummary.prototype.setDivergenceHighlight = function (minDiv, maxDiv) {
+    if (minDiv === null || maxDiv === null) {
+        this.divHighlight = null;
+    } else {
+        this.divHighlight = {
+            minDiv: minDiv,
+            maxDiv: maxDiv
+        };
+    }
+    this.draw();
+};
+
+
+//
+// Called by a linked AlignmentViewer whenever its view changes.
+// The window describes the visible columns ( startColumn/endColumn,
+// 0-based ), the matching reference positions ( startPos/endPos,
+// 1-based ) and the visible rows ( [{ id:, column:, refStart: }, ..] ).
+//
+AlignmentSummary.prototype.showViewerWindow = function (viewerWindow) {
+    this.viewerWindow = viewerWindow;
+    this.redrawGuide();
+};
+
+
+// Clear the guide canvas and repaint any persistent overlays
+AlignmentSummary.prototype.redrawGuide = function () {
+    this.guide_context.clearRect(0, 0, this.WIDTH, this.HEIGHT);
+    if (this.viewerWindow) {
+        this.drawViewerWindow();
+    }
+    if (this.selectedRow) {
+        this.drawSelectedRow();
+    }
+};
+
+
+//
+// Join consecutive fragments of each chain between rows firstIdx and
+// lastIdx.  A connector runs from the end of a fragment to the start
+// of the next ( or vice versa for reverse strand fragments ).
+//
+AlignmentSummary.prototype.drawChainLinks = function (firstIdx, lastIdx) {
+    var ctx = this.align_context;
+    ctx.save();
+    ctx.strokeStyle = "#606060";
+    ctx.lineWidth = 1;
+    ctx.setLineDash([2, 2]);
+    ctx.beginPath();
+    for (var i = firstIdx; i < lastIdx && i < this.alignments.length - 1; i += 1) {
+        if (this.rowChain[i] !== this.rowChain[i + 1] || this.isRowCollapsed(i)) {
+            continue;
+        }
+        var a = this.alignments[i];
+        var b = this.alignments[i + 1];
+        var y0 = this.rowY(i) - this.scrollTop + this.alignmentGlyphHeight;
+        var y1 = this.rowY(i + 1) - this.scrollTop;
+        var x0 = (a[4] == "R") ? this.bpToX(a[1]) : this.bpToX(a[1] + a[2]);
+        var x1 = (b[4] == "R") ? this.bpToX(b[1] + b[2]) : this.bpToX(b[1]);
+        ctx.moveTo(x0, y0);
+        ctx.lineTo(x1, y1);
+    }
+    ctx.stroke();
+    ctx.restore();
+};
+
+
+// Bracket the rows of each chain in the left margin
+AlignmentSummary.prototype.drawChainBrackets = function (firstIdx, lastIdx) {
+    var ctx = this.align_context;
+    ctx.fillStyle = "#606060";
+    for (var i = firstIdx; i <= lastIdx && i < this.alignments.length; i += 1) {
+        if (i + 1 < this.alignments.length && this.rowChain[i] === this.rowChain[i + 1] &&
+            !this.isRowCollapsed(i)) {
+            var top = this.rowY(i) - this.scrollTop;
+            var bottom = this.rowY(i + 1) - this.scrollTop + this.alignmentGlyphHeight;
+            ctx.fillRect(this.divMargin - 4, top, 1, bottom - top);
+        }
+    }
+};
+
+
+// Mark the selected row with a bracket in the margin and an outline
+AlignmentSummary.prototype.drawSelectedRow = function () {
+    var alignIdx = this.rowIndex(this.selectedRow);
+    if (alignIdx < 0 || this.isRowCollapsed(alignIdx)) {
+        return;
+    }
+    var ctx = this.guide_context;
+    var row = this.selectedRow;
+    var y = this.rowY(alignIdx) - this.scrollTop;
+    ctx.fillStyle = "#0066ff";
+    ctx.fillRect(this.marginX(), y - 2, this.divMargin - this.marginX() - 2,
+                 this.alignmentGlyphHeight + 4);
+    ctx.strokeStyle = "#0066ff";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(this.bpToX(row[1]) - 1.5, y - 2.5,
+                   (row[2] * this.xScale) + 3, this.alignmentGlyphHeight + 4);
+};
+
+
+// Highlight the columns and rows visible in the linked viewer
+AlignmentSummary.prototype.drawViewerWindow = function () {
+    var ctx = this.guide_context;
+    var win = this.viewerWindow;
+    var start = win.startPos;
+    var end = win.endPos;
+    if (this.consensusToColumn) {
+        start = win.startColumn + 1;
+        end = win.endColumn + 1;
+    }
+
+    if (end >= this.regionStart && start <= this.regionEnd) {
+        var left = this.bpToX(Math.max(start, this.regionStart));
+        var right = this.bpToX(Math.min(end, this.regionEnd) + 1);
+        ctx.fillStyle = "rgba(255, 0, 0, 0.08)";
+        ctx.fillRect(left, 0, right - left, this.HEIGHT);
+    }
+
+    ctx.fillStyle = "rgba(255, 0, 0, 0.8)";
+    for (var i = 0; i < win.rows.length; i += 1) {
+        var refStart = win.rows[i].refStart;
+        if (this.consensusToColumn) {
+            refStart = win.rows[i].column + 1;
+        }
+        var alignIdx = this.rowKeyIdx[win.rows[i].id + ":" + refStart];
+        if (alignIdx === undefined || this.isRowCollapsed(alignIdx)) {
+            continue;
+        }
+        var y = this.rowY(alignIdx) - this.scrollTop;
+        if (y < 0 || y > this.HEIGHT) {
+            continue;
+        }
+        var row = this.alignments[alignIdx];
+        ctx.fillRect(this.marginX(), y - 1, this.divMargin - this.marginX() - 2,
+                     this.alignmentGlyphHeight + 2);
+        ctx.fillRect(this.bpToX(row[1]), y - 1, row[2] * this.xScale, 1);
+        ctx.fillRect(this.bpToX(row[1]), y + this.alignmentGlyphHeight,
+                     row[2] * this.xScale, 1);
+    }
+};
+
+
+// Is the mouse over the ruler ( with a little slop )?
+AlignmentSummary.prototype.isOverRuler = function (mousePos) {
+    var y = mousePos.y + this.scrollTop;
+    return (mousePos.x >= this.divMargin &&
+            mousePos.x <= this.divMargin + this.viewWidth &&
+            y >= this.rulerY - 4 &&
+            y <= this.rulerY + this.axisHeight + 4);
+};
+
+
+AlignmentSummary.prototype.clampX = function (x) {
+    return Math.max(this.divMargin,
+                    Math.min(this.divMargin + this.viewWidth, x));
+};
+
+
+// Translate between reference positions and canvas x coordinates
+// for the current region.  Position "bp" occupies the pixels from
+// bpToX(bp) to bpToX(bp + 1).
+AlignmentSummary.prototype.bpToX = function (bp) {
+    return this.divMargin + ((bp - this.regionStart) * this.xScale);
+};
+
+
+AlignmentSummary.prototype.xToBP = function (x) {
+    var bp = Math.floor((x - this.divMargin) * this.pixelToBP) +
+             this.regionStart;
+    return Math.max(this.regionStart, Math.min(this.regionEnd, bp));
+};
+
+
+AlignmentSummary.prototype.isZoomed = function () {
+    return (this.regionStart > 1 || this.regionEnd < this.json.length);
+};
+
+
+//
+// Set the visible region of the reference sequence ( 1-based,
+// inclusive ) and redraw.  The region is clamped to the reference
+// and to a minimum width of minRegionLen bp.  The view slides to
+// the new region ( see setAnimated() ) unless immediate is true.
+//
+AlignmentSummary.prototype.setRegion = function (start, end, immediate) {
+    var refLen = this.json.length;
+    start = Math.round(start);
+    end = Math.round(end);
+    if (end < start) {
+        var tmp = start;
+        start = end;
+        end = tmp;
+    }
+    var minLen = Math.min(this.minRegionLen, refLen);
+    if (end - start + 1 < minLen) {
+        var center = (start + end) / 2;
+        start = Math.round(center - (minLen / 2));
+        end = start + minLen - 1;
+    }
+    // Slide the window back within the reference
+    if (start < 1) {
+        end = end + (1 - start);
+        start = 1;
+    }
+    if (end > refLen) {
+        start = Math.max(1, start - (end - refLen));
+        end = refLen;
+    }
+    var from = {
+        start: this.regionStart,
+        end: this.regionEnd
+    };
+    this.regionStart = start;
+    this.regionEnd = end;
+    this.xScale = this.viewWidth / (end - start + 1);
+    this.pixelToBP = (end - start + 1) / this.viewWidth;
+
+    if (!immediate && (from.start != start || from.end != end) &&
+        this.canAnimate()) {
+        this.animateRegion(from);
+    } else {
+        this.stopAnimation();
+        this.draw();
+    }
+    this.emit("zoom", this.spanInfo(start, end));
+};
+
+
+// Return the visible region as { start: , end: }
+AlignmentSummary.prototype.getRegion = function () {
+    return {
+        start: this.regionStart,
+        end: this.regionEnd
+    };
+};
+
+
+// Double the width of the visible region about its center
+AlignmentSummary.prototype.zoomOut = function () {
+    var len = this.regionEnd - this.regionStart + 1;
+    this.setRegion(this.regionStart - Math.ceil(len / 2),
+                   this.regionEnd + Math.ceil(len / 2));
+};
+
+
+// Shift the visible region by the given number of bp
+// ( negative values pan left ).  immediate is passed to setRegion().
+AlignmentSummary.prototype.panBy = function (bp, immediate) {
+    bp = Math.round(bp);
+    if (bp == 0) {
+        return;
+    }
+    if (this.regionStart + bp < 1) {
+        bp = 1 - this.regionStart;
+    } else if (this.regionEnd + bp > this.json.length) {
+        bp = this.json.length - this.regionEnd;
+    }
+    this.setRegion(this.regionStart + bp, this.regionEnd + bp, immediate);
+};
+
+
+AlignmentSummary.prototype.resetRegion = function () {
+    this.setRegion(1, this.json.length);
+};
+
+
+AlignmentSummary.prototype.mouseMoveHndlr = function (evt) {
+    var mousePos = this.getMousePos(this.guide_canvas, evt);
+    if (this.brush) {
+        this.brush.endX = this.clampX(mousePos.x);
+        var left = Math.min(this.brush.startX, this.brush.endX);
+        this.redrawGuide();
+        this.guide_context.fillStyle = "rgba(0, 102, 255, 0.2)";
+        this.guide_context.fillRect(left, 0,
+                                    Math.abs(this.brush.endX - this.brush.startX),
+                                    this.HEIGHT);
+        return;
+    }
+    if (this.treePanel && mousePos.x < this.treeWidth) {
+        this.redrawGuide();
+        this.setHoverRow(-1);
+        var node = this.treePanel.nodeAt(mousePos.x, mousePos.y);
+        if (node) {
+            this.drawCladeTooltip(mousePos, node);
+        }
+        return;
+    }
+    if (mousePos.x >= this.divMargin) {
+        this.redrawGuide();
+        this.guide_context.strokeStyle = "#ff0000";
+        this.guide_context.beginPath();
+        this.guide_context.moveTo(mousePos.x, 0);
+        this.guide_context.lineTo(mousePos.x, this.HEIGHT);
+        this.guide_context.stroke();
+
+        this.guide_context.font = "italic 11pt Calibri";
+        var bp = this.xToBP(mousePos.x);
+        var txt = "" + bp;
+        if (this.consensusToColumn) {
+            txt = this.json.columnMap[bp - 1] + " ( col " + bp + " )";
+        }
+        var text_width = this.guide_context.measureText(txt).width;
+        var text_height = 12; //Estimated based on font ( no height call in HTML5 )
+        var textXPos = mousePos.x - (text_width / 2);
+        // TODO: Use coordinates of ruler....get somehow
+        if (textXPos < this.divMargin) {
+            textXPos = this.divMargin;
+        }
+        if (textXPos + text_width > this.WIDTH) {
+            textXPos = this.WIDTH - text_width;
+        }
+
+        // Keep the label on screen when the ruler is scrolled out of view
+        var labelY = this.currRulerY - this.scrollTop;
+        if (labelY < 0 || labelY > this.HEIGHT - text_height) {
+            labelY = 0;
+        }
+        this.guide_context.fillStyle = "#FAF7F8";
+        this.guide_context.fillRect(textXPos, labelY, text_width, text_height);
+        this.guide_context.fillStyle = "#000000";
+
+        this.guide_context.fillText(txt, textXPos, labelY + 11);
+
+        var alignIdx = this.rowAtPos(mousePos);
+        var feature = this.featureAtPos(mousePos);
+        var group = this.groupAtPos(mousePos);
+        this.setHoverRow(alignIdx);
+        if (alignIdx >= 0) {
+            this.drawTooltip(mousePos, alignIdx);
+        } else if (group) {
+            this.drawGroupTooltip(mousePos, group);
+        } else if (feature) {
+            this.drawTooltipBox(mousePos, [
+                feature.track.name + ( feature.label ? ": " + feature.label : "" ),
+                "Consensus: " + feature.start + "-" + feature.end +
+                ( feature.strand ? " ( " + feature.strand + " )" : "" )]);
+        }
+    }
+};
+
+
+//
+// The row whose bar is under the mouse or -1 if there isn't one.  Bars
+// are only a pixel high so the rows either side of the pointer are
+// also considered.
+//
+AlignmentSummary.prototype.rowAtPos = function (mousePos) {
+    var y = mousePos.y + this.scrollTop;
+    var bp = this.xToBP(mousePos.x);
+    var slop = Math.ceil(2 * this.pixelToBP);
+    var offsets = [0, -1, 1];
+    if (mousePos.x < this.divMargin || mousePos.x > this.divMargin + this.viewWidth) {
+        return -1;
+    }
+    for (var i = 0; i < offsets.length; i += 1) {
+        var alignIdx = this.rowAtY(y + (offsets[i] * this.alignmentSpacing));
+        if (alignIdx < 0) {
+            continue;
+        }
+        var row = this.alignments[alignIdx];
+        if (bp >= row[1] - slop && bp <= row[1] + row[2] - 1 + slop) {
+            return alignIdx;
+        }
+    }
+    return -1;
+};
+
+
+// Outline a row and describe it in a tooltip next to the mouse
+AlignmentSummary.prototype.drawTooltip = function (mousePos, alignIdx) {
+    var ctx = this.guide_context;
+    var row = this.alignments[alignIdx];
+    var rowY = this.rowY(alignIdx) - this.scrollTop;
+
+    ctx.strokeStyle = "#000000";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(this.bpToX(row[1]) - 0.5, rowY - 1.5,
+                   (row[2] * this.xScale) + 1, this.alignmentGlyphHeight + 2);
+
+    var span = "Consensus: " + row[1] + "-" + (row[1] + row[2] - 1);
+    if (this.consensusToColumn) {
+        span = "Columns: " + row[1] + "-" + (row[1] + row[2] - 1);
+    }
+    var qualSum = 0;
+    var qualCount = 0;
+    for (var q = 0; q < row[3].length; q += 1) {
+        if (row[3][q] > 0) {
+            qualSum += row[3][q];
+            qualCount += 1;
+        }
+    }
+    var lines = [row[0],
+                 "Contig: " + row[6] + "-" + row[7] +
+                 " ( " + ((row[4] == "R") ? "-" : "+") + " strand )",
+                 "Divergence: " + row[5],
+                 span,
+                 "Mean block quality: " +
+                 ((qualCount > 0) ? (qualSum / qualCount).toFixed(1) : "n/a") +
+                 " / " + this.json.qualityBlockLen];
+    var chain = this.chainOfRow(alignIdx);
+    if (chain && chain.rows.length > 1) {
+        lines.push("Chain: " + chain.rows.length + " fragments, " +
+                   chain.row[6] + "-" + chain.row[7] + " ( " +
+                   (chain.row[7] - chain.row[6] + 1) + "bp ), div " + chain.row[5]);
+    }
+
+    this.drawTooltipBox(mousePos, lines);
+};
+
+
+// Describe a group ( see setGrouping() ) in a tooltip
+AlignmentSummary.prototype.drawGroupTooltip = function (mousePos, group) {
+    var row = this.groupRow(group);
+    var span = (this.consensusToColumn ? "Columns: " : "Consensus: ") +
+               row[1] + "-" + (row[1] + row[2] - 1);
+    this.drawTooltipBox(mousePos, [
+        group.label,
+        (group.last - group.first + 1) + " alignments",
+        "Mean divergence: " + row[5],
+        span,
+        "Click to " + (group.collapsed ? "expand" : "collapse")]);
+};
+
+
+// Draw lines of text ( the first in bold ) in a box next to the mouse
+AlignmentSummary.prototype.drawTooltipBox = function (mousePos, lines) {
+    var ctx = this.guide_context;
+    var lineHeight = 14;
+    var padding = 4;
+    var width = 0;
+    for (var i = 0; i < lines.length; i += 1) {
+        ctx.font = (i == 0) ? "bold 11px sans-serif" : "11px sans-serif";
+        width = Math.max(width, ctx.measureText(lines[i]).width);
+    }
+    width += 2 * padding;
+    var height = (lines.length * lineHeight) + (2 * padding);
+
+    // Keep the tooltip within the canvas
+    var x = mousePos.x + 12;
+    var y = mousePos.y + 12;
+    if (x + width > this.WIDTH) {
+        x = Math.max(0, mousePos.x - width - 12);
+    }
+    if (y + height > this.HEIGHT) {
+        y = Math.max(0, mousePos.y - height - 12);
+    }
+
+    ctx.fillStyle = "rgba(255, 255, 225, 0.95)";
+    ctx.fillRect(x, y, width, height);
+    ctx.strokeStyle = "#808080";
+    ctx.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1);
+    ctx.fillStyle = "#000000";
+    for (i = 0; i < lines.length; i += 1) {
+        ctx.font = (i == 0) ? "bold 11px sans-serif" : "11px sans-serif";
+        ctx.fillText(lines[i], x + padding, y + padding + ((i + 1) * lineHeight) - 3);
+    }
+};
+
+
+// Choose "nice" ( 1, 2 or 5 x 10^n ) tick intervals so that major
+// ticks are at least minPixels apart.  Returns { minor: , major: }.
+AlignmentSummary.prototype.tickIntervals = function (span, width, minPixels) {
+    var raw = (span * minPixels) / width;
+    var magnitude = Math.pow(10, Math.floor(Math.log(raw) / Math.LN10));
+    var norm = raw / magnitude;
+    var major;
+    var minor;
+    if (norm <= 1) {
+        major = magnitude;
+        minor = major / 5;
+    } else if (norm <= 2) {
+        major = 2 * magnitude;
+        minor = major / 4;
+    } else if (norm <= 5) {
+        major = 5 * magnitude;
+        minor = major / 5;
+    } else {
+        major = 10 * magnitude;
+        minor = major / 5;
+    }
+    major = Math.max(1, Math.round(major));
+    minor = Math.max(1, Math.round(minor));
+    if (major % minor != 0) {
+        minor = major;
+    }
+    return {
+        minor: minor,
+        major: major
+    };
+};
+
+
+// Draw a ruler covering the values minVal-maxVal ( inclusive ).  Ticks
+// are placed on multiples of the tick intervals and the major ticks
+// are labelled.  If the tick intervals are not supplied they are
+// chosen from the span and the width of the ruler.  The optional
+// valueToX function places values on non-linear axes ( e.g. consensus
+// positions on a full MSA ).
+AlignmentSummary.prototype.ruler = function (x, y, width, height, minVal, maxVal, minorTickInterval, majorTickInterval, valueToX) {
+    var ctx = this.align_context;
+    var that = this;
+
+    if (!minorTickInterval || !majorTickInterval) {
+        var intervals = this.tickIntervals(maxVal - minVal + 1, width, 80);
+        minorTickInterval = intervals.minor;
+        majorTickInterval = intervals.major;
+    }
+    if (!valueToX) {
+        // Linear axis: center the tick on the value's pixel range
+        var pixelsPerUnit = width / (maxVal - minVal + 1);
+        valueToX = function (val) {
+            return x + ((val - minVal + 0.5) * pixelsPerUnit);
+        };
+    }
+
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + width, y);
+    ctx.stroke();
+
+    ctx.font = "10px sans-serif";
+    ctx.fillStyle = "#000000";
+    var lastLabelRight = -1;
+    var firstTick = Math.ceil(minVal / minorTickInterval) * minorTickInterval;
+    for (var val = firstTick; val <= maxVal; val += minorTickInterval) {
+        var tickX = valueToX(val);
+        if (tickX === undefined || isNaN(tickX)) {
+            continue;
+        }
+        ctx.beginPath();
+        ctx.moveTo(tickX, y);
+        if (val % majorTickInterval == 0) {
+            ctx.lineTo(tickX, y + height);
+        } else {
+            ctx.lineTo(tickX, y + (height / 2));
+        }
+        ctx.stroke();
+
+        // Label the major ticks, skipping any that would collide
+        if (val % majorTickInterval == 0) {
+            var label = "" + val;
+            var labelWidth = ctx.measureText(label).width;
+            var labelX = Math.min(Math.max(x, tickX - (labelWidth / 2)),
+                                  x + width - labelWidth);
+            if (labelX > lastLabelRight + 4) {
+                ctx.fillText(label, labelX, y + height + that.rulerLabelHeight - 1);
+                lastLabelRight = labelX + labelWidth;
+            }
+        }
+    }
+};
+
+
+// Full MSA data is drawn in alignment columns.  Build the consensus
+// position to column lookup for the consensus axis and set the
+// height of the axis band.
+AlignmentSummary.prototype.buildColumnAxis = function () {
+    this.consensusToColumn = null;
+    if (this.json.columnMap) {
+        this.consensusToColumn = [];
+        for (var col = 1; col <= this.json.columnMap.length; col += 1) {
+            var cPos = this.json.columnMap[col - 1];
+            if (cPos > 0 && this.consensusToColumn[cPos] === undefined) {
+                this.consensusToColumn[cPos] = col;
+            }
+        }
+    }
+    this.showColumnAxis = (this.consensusToColumn !== null &&
+                           this.options.showColumnAxis !== false);
+
+    // Height of the axis band ( ruler, labels and optional column axis )
+    this.axisHeight = this.rulerHeight + this.rulerLabelHeight;
+    if (this.showColumnAxis) {
+        this.axisHeight = (2 * this.axisHeight) + 2;
+    }
+};
+
+
+// Draw the consensus ruler and, for full MSA data, the alignment
+// column ruler beneath it.
+AlignmentSummary.prototype.drawAxes = function (y) {
+    var that = this;
+    var xScale = this.xScale;
+
+    if (!this.consensusToColumn) {
+        this.ruler(this.divMargin, y, this.viewWidth, this.rulerHeight,
+                   this.regionStart, this.regionEnd);
+        return;
+    }
+
+    // Consensus coordinates placed on their alignment columns.  The
+    // region is fractional while a zoom is animated.
+    var minCons = Math.max(1, this.json.columnMap[Math.floor(this.regionStart) - 1]);
+    var maxCons = this.json.columnMap[Math.ceil(this.regionEnd) - 1];
+    if (maxCons >= minCons) {
+        var intervals = this.tickIntervals(
+            this.regionEnd - this.regionStart + 1, this.viewWidth, 80);
+        this.ruler(this.divMargin, y, this.viewWidth, this.rulerHeight,
+                   minCons, maxCons, intervals.minor, intervals.major,
+                   function (pos) {
+                       var col = that.consensusToColumn[pos];
+                       if (col === undefined || col < that.regionStart) {
+                           return undefined;
+                       }
+                       return that.bpToX(col) + (xScale / 2);
+                   });
+    }
+
+    if (this.showColumnAxis) {
+        this.align_context.save();
+        this.align_context.strokeStyle = "#808080";
+        this.ruler(this.divMargin,
+                   y + this.rulerHeight + this.rulerLabelHeight + 2,
+                   this.viewWidth, this.rulerHeight,
+                   this.regionStart, this.regionEnd);
+        this.align_context.restore();
+    }
+};
+
+
+//
+// Sort the alignments using one of the predefined orderings, a list
+// of sort keys or a comparison function ( see comparator() ) and
+// redraw the summary.  When grouping ( see setGrouping() ) the rows
+// are sorted within their groups.
+//
+AlignmentSummary.prototype.render = function (order, maxGroupingDist) {
+    var alignments = this.json.alignments;
+    this.saveLayout();
+
+    // Reset the max grouping dist
+    this.maxGroupingDist = maxGroupingDist;
+
+    // Select ordering
+    var compare = this.comparator(order);
+    if (this.groupCompare) {
+        var groupCompare = this.groupCompare;
+        var rowCompare = compare;
+        compare = function (a, b) {
+            return groupCompare(a, b) || rowCompare(a, b);
+        };
+    }
+    if (this.chains) {
+        this.sortChains(compare);
+    } else {
+        alignments.sort(compare);
+    }
+
+    this.order = order;
+    this.applyFilter();
+    this.relayout();
+    this.emit("sort", {
+        order: order
+    });
+};
+
+
+//
+// The row comparison function for a sort order.  Rows ( or chains,
+// see setChaining() ) are sorted by:
+//
+//    "norm"      : Reference start then length.
+//    "orient"    : Strand then reference start.
+//    "end"       : Reference end.
+//    "div"       : Divergence.
+//    "span"      : Contig span ( longest first ).
+//    "groupById" : Sequence ID then reference start.
+//    "tree"      : The order of the leaves of the guide tree ( see
+//                  setTree() ), then as "norm".  Rows of sequences
+//                  missing from the tree follow the rest.
+//
+// or, given a list of sort keys, by each key in turn.  A key is the
+// name of one of the sortKeys or of a metadata field, prefixed with
+// "-" to sort in descending order, or a function( a, b ) comparing
+// two rows.  A function on its own is used as the comparator.
+//
+AlignmentSummary.prototype.comparator = function (order) {
+    if (Array.isArray(order)) {
+        var compares = order.map(this.keyComparator, this);
+        return function (a, b) {
+            for (var i = 0; i < compares.length; i += 1) {
+                var result = compares[i](a, b);
+                if (result) {
+                    return result;
+                }
+            }
+            return 0;
+        };
+    } else if (typeof order === "function") {
+        return order;
+    } else if (order == "orient") {
+        return function (a, b) {
+            if (a[4] === b[4]) {
+                if (a[4] === "R") {
+                    if (a[1] === b[1]) {
+                        return (b[2] - a[2]);
+                    } else {
+                        return (a[1] - b[1]);
+                    }
+                } else {
+                    if (a[1] === b[1]) {
+                        return (a[2] - b[2]);
+                    } else {
+                        return (b[1] - a[1]);
+                    }
+                }
+            } else {
+                return a[4] < b[4] ? -1 : a[4] > b[4] ? 1 : 0;
+            }
+        };
+    } else if (order == "end") {
+        return function (a, b) {
+            if ((a[1] + a[2]) == (b[1] + b[2])) {
+                return (a[1] - b[1]);
+            } else {
+                return ((b[1] + b[2]) - (a[1] + a[2]));
+            }
+        };
+    } else if (order == "div") {
+        return function (a, b) {
+            return (a[5] - b[5]);
+        };
+    } else if (order == "span") {
+        return function (a, b) {
+            return ((b[7] - b[6]) - (a[7] - a[6]));
+        };
+    } else if (order == "tree") {
+        var leafOrder = this.treePanel ? this.treePanel.order : {};
+        var byStart = this.comparator("norm");
+        return function (a, b) {
+            var aIdx = leafOrder.hasOwnProperty(a[0]) ? leafOrder[a[0]] : Infinity;
+            var bIdx = leafOrder.hasOwnProperty(b[0]) ? leafOrder[b[0]] : Infinity;
+            if (aIdx !== bIdx) {
+                return (aIdx < bIdx) ? -1 : 1;
+            }
+            return byStart(a, b);
+        };
+    }else if (order == "groupById") {
+        return function (a, b) {
+               if (a[0] < b[0]) {
+                  return -1;
+                } else if (a[0] > b[0]) {
+                  return 1;
+                }else if (a[1] === b[1]) {
+                  return (b[2] - a[2]);
+                } else {
+                  return (a[1] - b[1]);
+                }
+            };
+    } else {
+        return function (a, b) {
+            if (a[1] === b[1]) {
+                return (b[2] - a[2]);
+            } else {
+                return (a[1] - b[1]);
+            }
+        };
+    }
+};
+
+
+//
+// The values compared by the sort keys ( see comparator() ) and used
+// to group the rows ( see setGrouping() ).  Any other key is taken
+// from the metadata of the row ( see AlignmentSchema.js ).
+//
+AlignmentSummary.sortKeys = {
+    id: function (row) {
+        return row[0];
+    },
+    contig: function (row) {
+        return row[0];
+    },
+    refStart: function (row) {
+        return row[1];
+    },
+    refEnd: function (row) {
+        return row[1] + row[2] - 1;
+    },
+    alignedLen: function (row) {
+        return row[2];
+    },
+    length: function (row) {
+        return row[2];
+    },
+    strand: function (row) {
+        return row[4];
+    },
+    divergence: function (row) {
+        return parseFloat(row[5]);
+    },
+    contigStart: function (row) {
+        return parseInt(row[6], 10);
+    },
+    contigEnd: function (row) {
+        return parseInt(row[7], 10);
+    },
+    span: function (row) {
+        return parseInt(row[7], 10) - parseInt(row[6], 10) + 1;
+    },
+    quality: function (row) {
+        var sum = 0;
+        var count = 0;
+        for (var i = 0; i < row[3].length; i += 1) {
+            if (row[3][i] > 0) {
+                sum += row[3][i];
+                count += 1;
+            }
+        }
+        return (count > 0) ? sum / count : undefined;
+    }
+};
+
+
+function isMissing(value) {
+    return (value === undefined || value === null ||
+            (typeof value === "number" && isNaN(value)));
+}
+
+
+// Compare two key values.  Numbers compare numerically, anything else
+// as a string, and missing values sort last in either direction.
+function compareValues(a, b, descending) {
+    if (isMissing(a) || isMissing(b)) {
+        return (isMissing(a) ? 1 : 0) - (isMissing(b) ? 1 : 0);
+    }
+    var result;
+    if (typeof a === "number" && typeof b === "number") {
+        result = a - b;
+    } else {
+        a = String(a);
+        b = String(b);
+        result = (a < b) ? -1 : (a > b) ? 1 : 0;
+    }
+    return descending ? -result : result;
+}
+
+
+// The function giving the value of a named key for a row
+AlignmentSummary.prototype.keyValue = function (name) {
+    if (AlignmentSummary.sortKeys.hasOwnProperty(name)) {
+        return AlignmentSummary.sortKeys[name];
+    }
+    return function (row) {
+        return row[8] ? row[8][name] : undefined;
+    };
+};
+
+
+// The comparison function for a sort key ( see comparator() )
+AlignmentSummary.prototype.keyComparator = function (key) {
+    if (typeof key === "function") {
+        return key;
+    }
+    var descending = (key.charAt(0) == "-");
+    var value = this.keyValue(descending ? key.substr(1) : key);
+    return function (a, b) {
+        return compareValues(value(a), value(b), descending);
+    };
+};
+
+
+//
+// Group the rows by a key ( e.g. "contig", "strand" or a metadata
+// field, see sortKeys ) or by a function( row ) returning the group of
+// a row.  Pass null to stop grouping.  Groups are ordered by their
+// value ( prefix the key with "-" for descending order ) and the rows
+// of each group follow the sort order.  When chaining, a chain is
+// grouped by its combined row.
+//
+// Each group is headed by its label and the number of rows in it.
+// Clicking the header collapses the group into a single aggregate bar
+// ( see groupRow() ).  The ruler always heads the rows while they are
+// grouped.
+//
+AlignmentSummary.prototype.setGrouping = function (groupBy) {
+    this.groupBy = groupBy || null;
+    this.groupValue = null;
+    this.groupCompare = null;
+    if (typeof groupBy === "function") {
+        var value = groupBy;
+        this.groupValue = value;
+        this.groupCompare = function (a, b) {
+            return compareValues(value(a), value(b), false);
+        };
+    } else if (groupBy) {
+        var descending = (groupBy.charAt(0) == "-");
+        this.groupValue = this.keyValue(descending ? groupBy.substr(1) : groupBy);
+        this.groupCompare = this.keyComparator(groupBy);
+    }
+    this.render(this.order || "norm", this.maxGroupingDist);
+};
+
+
+AlignmentSummary.prototype.getGrouping = function () {
+    return this.groupBy;
+};
+
+
+//
+// Collapse ( or expand ) the group with the given label.  Groups are
+// remembered by label so they stay collapsed when the rows are sorted
+// or filtered again.
+//
+AlignmentSummary.prototype.setGroupCollapsed = function (label, collapsed) {
+    if (!this.groupValue && this.cladeGroups[label]) {
+        // A collapsed clade of the guide tree
+        this.setCladeCollapsed(this.cladeGroups[label].clade, collapsed);
+        return;
+    }
+    this.saveLayout();
+    if (collapsed) {
+        this.collapsedGroups[label] = true;
+    } else {
+        delete this.collapsedGroups[label];
+    }
+    this.relayout();
+    this.emit("groupcollapse", {
+        label: label,
+        collapsed: !!collapsed
+    });
+};
+
+
+// Collapse or expand every group
+AlignmentSummary.prototype.setAllGroupsCollapsed = function (collapsed) {
+    this.saveLayout();
+    this.collapsedGroups = {};
+    if (!collapsed) {
+        this.collapsedClades = [];
+    }
+    if (collapsed && this.groups) {
+        for (var i = 0; i < this.groups.length; i += 1) {
+            this.collapsedGroups[this.groups[i].label] = true;
+        }
+    }
+    this.relayout();
+    this.emit("groupcollapse", {
+        label: null,
+        collapsed: !!collapsed
+    });
+};
+
+
+//
+// The current groups ( or null when not grouping ) as
+//
+//   [{ label: , count: ( rows displayed ), collapsed: ,
+//      first: , last: ( indices of the first and last rows ) }, ...]
+//
+AlignmentSummary.prototype.getGroups = function () {
+    if (!this.groups) {
+        return null;
+    }
+    return this.groups.map(function (group) {
+        return {
+            label: group.label,
+            count: group.last - group.first + 1,
+            collapsed: group.collapsed,
+            first: group.first,
+            last: group.last
+        };
+    });
+};
+
+
+//
+// Show a guide tree ( Newick text or a root node from NewickTree.parse() )
+// in a panel left of the rows, or remove it when tree is null.  The
+// rows are put in the order of the tree ( see comparator() ) and the
+// dendrogram is drawn while they stay in that order.  Clicking a node
+// selects the sequences of the clade ( see selectClade() ) and
+// shift+clicking collapses the clade into one aggregate bar ( see
+// setCladeCollapsed() ).  A tree that can't be read is reported on the
+// canvas.
+//
+AlignmentSummary.prototype.setTree = function (tree) {
+    this.loadTree(tree);
+    // The panel changes the width left for the rows
+    this.sizeCanvases(this.WIDTH, this.HEIGHT);
+    this.xScale = this.viewWidth / (this.regionEnd - this.regionStart + 1);
+    this.pixelToBP = (this.regionEnd - this.regionStart + 1) / this.viewWidth;
+    var order = this.order;
+    if (this.treePanel) {
+        order = "tree";
+    } else if (order == "tree") {
+        order = "norm";
+    }
+    this.render(order, this.maxGroupingDist);
+};
+
+
+// Parse a guide tree for setTree() and make room for its panel
+AlignmentSummary.prototype.loadTree = function (tree) {
+    this.treePanel = null;
+    this.treeError = null;
+    this.collapsedClades = [];
+    if (tree) {
+        try {
+            this.treePanel = new TreePanel(tree, this.treeWidth);
+        } catch (err) {
+            this.treeError = err.message;
+        }
+    }
+    this.divMargin = this.treePanel ? this.treeWidth + 10 : 10;
+};
+
+
+// The root node of the guide tree or null
+AlignmentSummary.prototype.getTree = function () {
+    return this.treePanel ? this.treePanel.root : null;
+};
+
+
+// Left edge of the margin between the guide tree and the rows
+AlignmentSummary.prototype.marginX = function () {
+    return this.treePanel ? this.treeWidth : 0;
+};
+
+
+//
+// Collapse ( or expand ) a clade of the guide tree ( a node of
+// getTree() ) into a single aggregate bar.  Clades only collapse while
+// the rows are in tree order.  Emits "groupcollapse" with the label of
+// the clade ( see NewickTree.label() ).
+//
+AlignmentSummary.prototype.setCladeCollapsed = function (node, collapsed) {
+    this.saveLayout();
+    var idx = this.collapsedClades.indexOf(node);
+    if (collapsed && idx < 0) {
+        this.collapsedClades.push(node);
+    } else if (!collapsed && idx >= 0) {
+        this.collapsedClades.splice(idx, 1);
+    }
+    this.relayout();
+    this.emit("groupcollapse", {
+        label: NewickTree.label(node),
+        collapsed: !!collapsed
+    });
+};
+
+
+// The collapsed clade holding each sequence ( { id: node } ).  Clades
+// within a collapsed clade go with it.
+AlignmentSummary.prototype.collapsedCladeIndex = function () {
+    var collapsed = this.collapsedClades;
+    var index = {};
+    collapsed.forEach(function (clade) {
+        for (var node = clade.parent; node; node = node.parent) {
+            if (collapsed.indexOf(node) >= 0) {
+                return;
+            }
+        }
+        NewickTree.leafNames(clade).forEach(function (name) {
+            index[name] = clade;
+        });
+    });
+    return index;
+};
+
+
+//
+// Select the sequences of a clade of the guide tree ( or clear the
+// selection when node is null ).  The selection is marked in the
+// margin and passed on to the linked viewer.  Emits "cladeselect".
+//
+AlignmentSummary.prototype.selectClade = function (node) {
+    var ids = node ? NewickTree.leafNames(node) : [];
+    this.selectSequences(ids);
+    if (this.linkedViewer) {
+        this.linkedViewer.selectSequences(ids);
+    }
+    this.emit("cladeselect", {
+        label: node ? NewickTree.label(node) : null,
+        ids: ids
+    });
+};
+
+
+// Mark the rows of a list of sequence IDs as selected
+AlignmentSummary.prototype.selectSequences = function (ids) {
+    var selected = null;
+    if (ids && ids.length) {
+        selected = {};
+        for (var i = 0; i < ids.length; i += 1) {
+            selected[ids[i]] = true;
+        }
+    }
+    this.selectedIds = selected;
+    this.draw();
+};
+
+
+// The IDs of the selected sequences
+AlignmentSummary.prototype.getSelectedSequences = function () {
+    return this.selectedIds ? Object.keys(this.selectedIds) : [];
+};
+
+
+//
+// Turn fragment chaining on or off.  When on, hits on the same contig
+// separated by no more than maxDist bp are chained together as one
+// copy.  The fragments of a chain are drawn on adjacent rows ( in
+// contig order ), bracketed in the margin and joined by connectors.
+// Chains are sorted and filtered as a unit using a combined row
+// spanning all of their fragments ( see buildChains() ).
+//
+AlignmentSummary.prototype.setChaining = function (enabled, maxDist) {
+    if (maxDist !== undefined && maxDist !== null && !isNaN(maxDist)) {
+        this.chainDist = maxDist;
+    }
+    this.chains = enabled ? this.buildChains(this.chainDist) : null;
+    this.render(this.order, this.maxGroupingDist);
+};
+
+
+//
+// Group the rows into chains.  Each chain is:
+//
+//   { rows: [ fragment rows in contig order ],
+//     row: [ contig, refStart, refLen, [], strand, div, start, end
+//            ( , metadata ) ] }
+//
+// where "row" combines the fragments in the summary row format.  The
+// reference range and contig range cover all fragments, the strand is
+// that of the majority of the aligned bases and the divergence is the
+// length weighted mean.  The metadata is that of the first fragment.
+//
+AlignmentSummary.prototype.buildChains = function (maxDist) {
+    var chains = [];
+    var contigIndex = this.getContigIndex();
+    for (var contig in contigIndex) {
+        if (!contigIndex.hasOwnProperty(contig)) {
+            continue;
+        }
+        var rows = contigIndex[contig].slice(0);
+        rows.sort(function (a, b) {
+            return (parseInt(a[6]) - parseInt(b[6]));
+        });
+        var chain = null;
+        var chainEnd = 0;
+        for (var i = 0; i < rows.length; i += 1) {
+            var start = parseInt(rows[i][6]);
+            if (chain === null || start - chainEnd > maxDist) {
+                chain = {
+                    rows: []
+                };
+                chains.push(chain);
+                chainEnd = 0;
+            }
+            chain.rows.push(rows[i]);
+            chainEnd = Math.max(chainEnd, parseInt(rows[i][7]));
+        }
+    }
+
+    for (var c = 0; c < chains.length; c += 1) {
+        var fragments = chains[c].rows;
+        var refStart = fragments[0][1];
+        var refEnd = fragments[0][1] + fragments[0][2] - 1;
+        var contigStart = parseInt(fragments[0][6]);
+        var contigEnd = parseInt(fragments[0][7]);
+        var fwdLen = 0;
+        var totLen = 0;
+        var divSum = 0;
+        for (var f = 0; f < fragments.length; f += 1) {
+            var frag = fragments[f];
+            refStart = Math.min(refStart, frag[1]);
+            refEnd = Math.max(refEnd, frag[1] + frag[2] - 1);
+            contigStart = Math.min(contigStart, parseInt(frag[6]));
+            contigEnd = Math.max(contigEnd, parseInt(frag[7]));
+            if (frag[4] != "R") {
+                fwdLen += frag[2];
+            }
+            totLen += frag[2];
+            divSum += parseFloat(frag[5]) * frag[2];
+        }
+        chains[c].row = [fragments[0][0], refStart, refEnd - refStart + 1, [],
+                         (fwdLen * 2 >= totLen) ? "F" : "R",
+                         (totLen > 0 ? divSum / totLen : 0).toFixed(2),
+                         contigStart, contigEnd];
+        if (fragments[0][8]) {
+            chains[c].row.push(fragments[0][8]);
+        }
+    }
+    return chains;
+};
+
+
+// Sort the chains and reorder the rows so each chain's fragments are adjacent
+AlignmentSummary.prototype.sortChains = function (compare) {
+    var alignments = this.json.alignments;
+    this.chains.sort(function (a, b) {
+        return compare(a.row, b.row);
+    });
+    alignments.length = 0;
+    for (var c = 0; c < this.chains.length; c += 1) {
+        for (var f = 0; f < this.chains[c].rows.length; f += 1) {
+            alignments.push(this.chains[c].rows[f]);
+        }
+    }
+};
+
+
+// The chain a displayed row belongs to ( or null when not chaining )
+AlignmentSummary.prototype.chainOfRow = function (alignIdx) {
+    if (!this.rowChain) {
+        return null;
+    }
+    return this.chains[this.rowChain[alignIdx]];
+};
+
+
+// Recompute the row layout after the displayed rows change and redraw
+AlignmentSummary.prototype.relayout = function () {
+    this.layoutRows(this.order);
+    // Row indices have changed
+    this.hoverIdx = -1;
+    for (var i = 0; i < this.contextPanels.length; i += 1) {
+        this.contextPanels[i].draw();
+    }
+    if (!this.virtualized && this.options.virtualize !== false &&
+        this.contentHeight * this.pixelRatio > this.maxCanvasHeight) {
+        // Group headers can make the rows too tall for a canvas
+        this.virtualized = true;
+        this.sizeCanvases(this.WIDTH, this.viewportHeight);
+        this.xScale = this.viewWidth / (this.regionEnd - this.regionStart + 1);
+        this.pixelToBP = (this.regionEnd - this.regionStart + 1) / this.viewWidth;
+        this.initScroller();
+    } else if (this.virtualized) {
+        this.scroller.setDimensions(this.WIDTH, this.HEIGHT, this.WIDTH,
+                                    this.contentHeight);
+    } else if (this.contentHeight > this.HEIGHT) {
+        // Grow the canvases to fit taller content
+        this.sizeCanvases(this.WIDTH, this.contentHeight);
+    }
+    this.layoutReady = true;
+    var previous = this.previousLayout;
+    this.previousLayout = null;
+    if (previous && this.canAnimate()) {
+        this.animateRows(previous);
+    } else {
+        this.stopAnimation();
+        this.draw();
+    }
+};
+
+
+//
+// Turn the animated transitions on or off.  Rows glide to their new
+// positions when they are sorted, filtered, grouped or collapsed, and
+// the view slides to a new region when zooming or panning.  Even when
+// enabled, nothing is animated while more than animationMaxRows rows
+// are displayed.
+//
+AlignmentSummary.prototype.setAnimated = function (enabled) {
+    this.animated = !!enabled;
+    if (!this.animated) {
+        this.stopAnimation();
+        this.draw();
+    }
+};
+
+
+AlignmentSummary.prototype.canAnimate = function () {
+    return this.animated && this.layoutReady && !this.dataError &&
+           !this.destroyed && this.alignments.length <= this.animationMaxRows &&
+           !!Zynga.core && !!Zynga.core.effect && !!Zynga.core.effect.Animate;
+};
+
+
+function easeInOutCubic(pos) {
+    if ((pos /= 0.5) < 1) {
+        return 0.5 * Math.pow(pos, 3);
+    }
+    return 0.5 * (Math.pow((pos - 2), 3) + 2);
+}
+
+
+//
+// Run an animation with core.effect.Animate, replacing any that is
+// still running.  step( progress ) draws a frame and finish() clears
+// the state of the animation.  The final state is drawn once the
+// animation completes.
+//
+AlignmentSummary.prototype.startAnimation = function (step, finish) {
+    var that = this;
+    this.stopAnimation();
+    var animation = {
+        finish: finish
+    };
+    this.animation = animation;
+    animation.id = Zynga.core.effect.Animate.start(function (percent) {
+        step(percent);
+    }, function () {
+        return that.animation === animation;
+    }, function () {
+        if (that.animation === animation) {
+            that.animation = null;
+            finish();
+            that.draw();
+        }
+    }, this.animationDuration, easeInOutCubic);
+};
+
+
+// Stop the running animation, leaving the caller to draw the final state
+AlignmentSummary.prototype.stopAnimation = function () {
+    var animation = this.animation;
+    if (animation) {
+        this.animation = null;
+        Zynga.core.effect.Animate.stop(animation.id);
+        animation.finish();
+    }
+};
+
+
+//
+// Remember where the displayed rows are before they are re-sorted,
+// filtered or regrouped so that relayout() can move them from there.
+// Rows are matched between the layouts by ID and reference start.
+//
+AlignmentSummary.prototype.saveLayout = function () {
+    this.previousLayout = null;
+    if (!this.canAnimate()) {
+        return;
+    }
+    var alignments = this.alignments;
+    var keys = {};
+    var rowsY = [];
+    var hidden = [];
+    for (var i = 0; i < alignments.length; i += 1) {
+        var key = alignments[i][0] + ":" + alignments[i][1];
+        (keys[key] = keys[key] || []).push(i);
+        rowsY.push(this.rowY(i));
+        hidden.push(this.isRowCollapsed(i));
+    }
+    this.previousLayout = {
+        alignments: alignments.slice(0),
+        keys: keys,
+        rowsY: rowsY,
+        hidden: hidden
+    };
+};
+
+
+//
+// Move the rows from the previous layout ( see saveLayout() ) to the
+// current one.  Rows that are newly shown fade in at their new
+// position, rows that are no longer shown fade out where they were,
+// and rows folding into a collapsed group slide into its bar.
+//
+AlignmentSummary.prototype.animateRows = function (previous) {
+    var that = this;
+    var alignments = this.alignments;
+    var glyphHeight = this.alignmentGlyphHeight;
+    var matched = [];
+    var moves = [];
+    for (var i = 0; i < alignments.length; i += 1) {
+        var toY = this.rowY(i);
+        var fromIdx = -1;
+        var key = alignments[i][0] + ":" + alignments[i][1];
+        if (previous.keys[key] && previous.keys[key].length) {
+            fromIdx = previous.keys[key].shift();
+            matched[fromIdx] = true;
+        }
+        var group = this.groups ? this.groupOfRow(i) : null;
+        if (group && group.collapsed) {
+            if (i == group.first) {
+                moves.push({
+                    row: this.groupRow(group),
+                    fromY: toY,
+                    toY: toY,
+                    height: this.groupBarHeight
+                });
+            }
+            if (fromIdx >= 0 && !previous.hidden[fromIdx]) {
+                moves.push({
+                    row: alignments[i],
+                    fromY: previous.rowsY[fromIdx],
+                    toY: toY,
+                    height: glyphHeight,
+                    fade: "out"
+                });
+            }
+            continue;
+        }
+        var fade = null;
+        if (fromIdx < 0 || previous.hidden[fromIdx]) {
+            fade = "in";
+        }
+        moves.push({
+            row: alignments[i],
+            fromY: (fromIdx < 0) ? toY : previous.rowsY[fromIdx],
+            toY: toY,
+            height: glyphHeight,
+            fade: fade
+        });
+    }
+    for (var j = 0; j < previous.alignments.length; j += 1) {
+        if (!matched[j] && !previous.hidden[j]) {
+            moves.push({
+                row: previous.alignments[j],
+                fromY: previous.rowsY[j],
+                toY: previous.rowsY[j],
+                height: glyphHeight,
+                fade: "out"
+            });
+        }
+    }
+
+    var transition = {
+        moves: moves,
+        progress: 0
+    };
+    this.startAnimation(function (progress) {
+        transition.progress = progress;
+        that.draw();
+    }, function () {
+        if (that.transition === transition) {
+            that.transition = null;
+        }
+    });
+    this.transition = transition;
+    this.draw();
+};
+
+
+//
+// Slide the view from the region { start: , end: } to the current
+// region.  The current region is only swapped out while each frame is
+// drawn so that the summary otherwise reports where it's heading.
+//
+AlignmentSummary.prototype.animateRegion = function (from) {
+    var that = this;
+    var to = {
+        start: this.regionStart,
+        end: this.regionEnd
+    };
+    this.startAnimation(function (progress) {
+        var start = from.start + ((to.start - from.start) * progress);
+        var end = from.end + ((to.end - from.end) * progress);
+        that.regionStart = start;
+        that.regionEnd = end;
+        that.xScale = that.viewWidth / (end - start + 1);
+        that.pixelToBP = (end - start + 1) / that.viewWidth;
+        that.draw();
+        that.regionStart = to.start;
+        that.regionEnd = to.end;
+        that.xScale = that.viewWidth / (to.end - to.start + 1);
+        that.pixelToBP = (to.end - to.start + 1) / that.viewWidth;
+    }, function () {});
+};
+
+
+// Height of the tracks drawn above the ruler
+AlignmentSummary.prototype.tracksHeight = function () {
+    var height = 0;
+    if (this.showLegend) {
+        height += this.legendHeight;
+    }
+    for (var i = 0; i < this.tracks.length; i += 1) {
+        if (this.tracks[i].visible) {
+            height += this.trackHeight(this.tracks[i]);
+        }
+    }
+    if (this.showCoverage) {
+        height += this.coverageHeight + 4;
+    }
+    return height;
+};
+
+
+// Height of the band holding the tracks and axes
+AlignmentSummary.prototype.bandHeight = function () {
+    return this.tracksHeight() + this.axisHeight;
+};
+
+
+AlignmentSummary.prototype.setCoverageVisible = function (visible) {
+    this.showCoverage = visible;
+    this.relayout();
+};
+
+
+AlignmentSummary.prototype.setLegendVisible = function (visible) {
+    this.showLegend = visible;
+    this.relayout();
+};
+
+
+// Quality block color palettes ( low to high score )
+AlignmentSummary.palettes = {
+    heat: ["#ff6600", "#ffcc00", "#ccff00", "#66ff00", "#00ff00",
+        "#00ff66", "#00ffcc", "#00ccff", "#0066ff", "#0000ff"],
+    viridis: ["#440154", "#482878", "#3e4989", "#31688e", "#26828e",
+        "#1f9e89", "#35b779", "#6ece58", "#b5de2b", "#fde725"],
+    cividis: ["#00224e", "#123570", "#3b496c", "#575d6d", "#707173",
+        "#8a8779", "#a69d75", "#c4b56c", "#e4cf5b", "#fee838"],
+    greyscale: ["#e0e0e0", "#c8c8c8", "#b0b0b0", "#989898", "#808080",
+        "#686868", "#505050", "#383838", "#202020", "#000000"]
+};
+
+
+//
+// Select the quality block palette by name ( see
+// AlignmentSummary.palettes ) or as an array of colors.
+//
+AlignmentSummary.prototype.setPalette = function (palette, noRedraw) {
+    if (typeof palette === "string") {
+        if (!AlignmentSummary.palettes[palette]) {
+            throw new Error("AlignmentSummary: Unknown palette \"" + palette + "\"");
+        }
+        palette = AlignmentSummary.palettes[palette];
+    }
+    this.qualColor = palette;
+    this.qualRGB = [];
+    for (var i = 0; i < palette.length; i += 1) {
+        var hex = palette[i].replace("#", "");
+        if (hex.length == 3) {
+            hex = hex.charAt(0) + hex.charAt(0) + hex.charAt(1) +
+                  hex.charAt(1) + hex.charAt(2) + hex.charAt(2);
+        }
+        this.qualRGB.push([parseInt(hex.substr(0, 2), 16),
+                           parseInt(hex.substr(2, 2), 16),
+                           parseInt(hex.substr(4, 2), 16)]);
+    }
+    this.scoreColors = {};
+    if (!noRedraw) {
+        this.draw();
+    }
+};
+
+
+// Map [min, max] scores onto the ends of the palette
+AlignmentSummary.prototype.setScoreRange = function (min, max) {
+    this.scoreMin = min;
+    this.scoreMax = max;
+    this.scoreColors = {};
+    this.draw();
+};
+
+
+//
+// The color of a quality block score.  Scores are placed along the
+// palette by their position in the score range and interpolated
+// between the palette colors.  A score of 0 ( sequence absent ) uses
+// the missingColor.
+//
+AlignmentSummary.prototype.scoreColor = function (score) {
+    if (!(score > 0)) {
+        return this.missingColor;
+    }
+    var color = this.scoreColors[score];
+    if (color) {
+        return color;
+    }
+    var t = 0;
+    if (this.scoreMax > this.scoreMin) {
+        t = (score - this.scoreMin) / (this.scoreMax - this.scoreMin);
+    }
+    t = Math.max(0, Math.min(1, t)) * (this.qualRGB.length - 1);
+    var lo = Math.floor(t);
+    var hi = Math.min(lo + 1, this.qualRGB.length - 1);
+    if (t == lo) {
+        color = this.qualColor[lo];
+    } else {
+        var f = t - lo;
+        var rgb = [];
+        for (var c = 0; c < 3; c += 1) {
+            rgb.push(Math.round(this.qualRGB[lo][c] +
+                                (f * (this.qualRGB[hi][c] - this.qualRGB[lo][c]))));
+        }
+        color = "rgb(" + rgb.join(",") + ")";
+    }
+    this.scoreColors[score] = color;
+    return color;
+};
+
+
+//
+// Restrict the displayed rows.  The filter is an object with any
+// of the following keys ( missing keys are not filtered on ):
+//
+//    minDiv, maxDiv : Kimura divergence range ( field 5 )
+//    strand         : "F" or "R" ( field 4 )
+//    minLength      : Minimum aligned length in bp ( field 2 )
+//    idPattern      : RegExp or regular expression string matched
+//                     against the sequence ID ( field 0 ).  Strings
+//                     that are not valid expressions are matched
+//                     literally.
+//    contigStart,
+//    contigEnd      : Only keep hits overlapping this range of their
+//                     contig ( fields 6/7 )
+//    minSpan        : Minimum span on the contig in bp ( fields 6/7 )
+//
+// When chaining ( see setChaining() ) the filter is applied to the
+// combined row of each chain rather than to the fragments.
+//
+// Returns the counts from getShownCount().
+//
+AlignmentSummary.prototype.setFilter = function (filter) {
+    this.filter = {};
+    for (var key in filter) {
+        if (filter.hasOwnProperty(key) && filter[key] !== null &&
+            filter[key] !== undefined && filter[key] !== "") {
+            this.filter[key] = filter[key];
+        }
+    }
+    if (typeof this.filter.idPattern === "string") {
+        try {
+            this.filter.idPattern = new RegExp(this.filter.idPattern);
+        } catch (e) {
+            this.filter.idPattern = new RegExp(
+                this.filter.idPattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+        }
+    }
+
+    this.saveLayout();
+    this.applyFilter();
+    this.relayout();
+    var count = this.getShownCount();
+    this.emit("filter", {
+        filter: this.getFilter(),
+        shown: count.shown,
+        total: count.total
+    });
+    return count;
+};
+
+
+AlignmentSummary.prototype.clearFilter = function () {
+    return this.setFilter({});
+};
+
+
+AlignmentSummary.prototype.getFilter = function () {
+    return this.filter;
+};
+
+
+// The number of rows displayed and the total number of rows
+AlignmentSummary.prototype.getShownCount = function () {
+    return {
+        shown: this.alignments.length,
+        total: this.json.alignments.length
+    };
+};
+
+
+// Does a summary row pass the current filter?
+AlignmentSummary.prototype.passesFilter = function (row) {
+    var f = this.filter;
+    if (f.minDiv !== undefined && parseFloat(row[5]) < f.minDiv) {
+        return false;
+    }
+    if (f.maxDiv !== undefined && parseFloat(row[5]) > f.maxDiv) {
+        return false;
+    }
+    if (f.strand !== undefined && row[4] !== f.strand) {
+        return false;
+    }
+    if (f.minLength !== undefined && row[2] < f.minLength) {
+        return false;
+    }
+    if (f.idPattern !== undefined && !f.idPattern.test(row[0])) {
+        return false;
+    }
+    if (f.contigStart !== undefined && parseInt(row[7]) < f.contigStart) {
+        return false;
+    }
+    if (f.contigEnd !== undefined && parseInt(row[6]) > f.contigEnd) {
+        return false;
+    }
+    if (f.minSpan !== undefined &&
+        parseInt(row[7]) - parseInt(row[6]) + 1 < f.minSpan) {
+        return false;
+    }
+    return true;
+};
+
+
+// Rebuild the displayed rows from the ( sorted ) alignments
+AlignmentSummary.prototype.applyFilter = function () {
+    var alignments = this.json.alignments;
+    var hasFilter = false;
+    for (var key in this.filter) {
+        if (this.filter.hasOwnProperty(key)) {
+            hasFilter = true;
+        }
+    }
+    if (this.chains) {
+        // Chains are filtered as a whole using their combined row
+        this.alignments = [];
+        this.rowChain = [];
+        for (var c = 0; c < this.chains.length; c += 1) {
+            if (hasFilter && !this.passesFilter(this.chains[c].row)) {
+                continue;
+            }
+            for (var f = 0; f < this.chains[c].rows.length; f += 1) {
+                this.alignments.push(this.chains[c].rows[f]);
+                this.rowChain.push(c);
+            }
+        }
+    } else if (!hasFilter) {
+        this.alignments = alignments;
+        this.rowChain = null;
+    } else {
+        this.alignments = [];
+        this.rowChain = null;
+        for (var i = 0; i < alignments.length; i += 1) {
+            if (this.passesFilter(alignments[i])) {
+                this.alignments.push(alignments[i]);
+            }
+        }
+    }
+    this.computeCoverage();
+    if (this.linkedHistogram) {
+        this.linkedHistogram.update();
+    }
+};
+
+
+//
+// Calculate the depth of the displayed alignments at each reference
+// position along with the depth weighted by the block quality
+// scores ( a block scoring qualityBlockLen counts as 1 ).  Stored in
+// this.coverage as { depth: [], weighted: [] } indexed by position.
+//
+AlignmentSummary.prototype.computeCoverage = function () {
+    var len = this.json.length;
+    var blockLen = this.json.qualityBlockLen;
+    var alignments = this.alignments;
+    var depthDelta = [];
+    var weightDelta = [];
+    var i;
+    for (i = 0; i <= len + 1; i += 1) {
+        depthDelta[i] = 0;
+        weightDelta[i] = 0;
+    }
+
+    // Accumulate start/end deltas and sum them below
+    for (i = 0; i < alignments.length; i += 1) {
+        var start = Math.max(1, alignments[i][1]);
+        var end = Math.min(len, alignments[i][1] + alignments[i][2] - 1);
+        if (end < start) {
+            continue;
+        }
+        depthDelta[start] += 1;
+        depthDelta[end + 1] -= 1;
+
+        var qualities = alignments[i][3];
+        for (var j = 0; j < qualities.length; j += 1) {
+            var bStart = alignments[i][1] + (j * blockLen);
+            var bEnd = Math.min(bStart + blockLen - 1, end);
+            bStart = Math.max(1, bStart);
+            if (bStart > bEnd) {
+                continue;
+            }
+            var weight = qualities[j] / blockLen;
+            weightDelta[bStart] += weight;
+            weightDelta[bEnd + 1] -= weight;
+        }
+    }
+
+    var depth = [];
+    var weighted = [];
+    var curDepth = 0;
+    var curWeight = 0;
+    for (i = 1; i <= len; i += 1) {
+        curDepth += depthDelta[i];
+        curWeight += weightDelta[i];
+        depth[i] = curDepth;
+        weighted[i] = Math.max(0, curWeight);
+    }
+    this.coverage = {
+        depth: depth,
+        weighted: weighted
+    };
+};
+
+
+// Draw the coverage histogram for the visible region at y
+AlignmentSummary.prototype.drawCoverage = function (y, height) {
+    var ctx = this.align_context;
+    var depth = this.coverage.depth;
+    var weighted = this.coverage.weighted;
+    var bins = [];
+    var maxDepth = 0;
+    var binWidth;
+    var b;
+
+    // The region is fractional while a zoom is animated
+    var first = Math.floor(this.regionStart);
+    var last = Math.ceil(this.regionEnd);
+    var binX = this.divMargin;
+
+    // Bin positions into pixels ( or pixels into positions when zoomed in )
+    if (this.xScale >= 1) {
+        binWidth = this.xScale;
+        binX = this.bpToX(first);
+        for (b = first; b <= last; b += 1) {
+            bins.push([depth[b], weighted[b]]);
+        }
+    } else {
+        binWidth = 1;
+        for (var x = 0; x < this.viewWidth; x += 1) {
+            var bStart = Math.floor(this.regionStart + (x * this.pixelToBP));
+            var bEnd = Math.max(bStart,
+                                Math.floor(this.regionStart + ((x + 1) * this.pixelToBP)) - 1);
+            var maxD = 0;
+            var maxW = 0;
+            for (b = bStart; b <= Math.min(bEnd, last); b += 1) {
+                maxD = Math.max(maxD, depth[b]);
+                maxW = Math.max(maxW, weighted[b]);
+            }
+            bins.push([maxD, maxW]);
+        }
+    }
+    for (b = 0; b < bins.length; b += 1) {
+        maxDepth = Math.max(maxDepth, bins[b][0]);
+    }
+
+    ctx.fillStyle = "#f4f4f4";
+    ctx.fillRect(this.divMargin, y, this.viewWidth, height);
+    if (maxDepth > 0) {
+        for (b = 0; b < bins.length; b += 1) {
+            if (bins[b][0] == 0) {
+                continue;
+            }
+            // Keep the partly shown end bins inside the track
+            var x0 = Math.max(this.divMargin, binX + (b * binWidth));
+            var x1 = Math.min(this.divMargin + this.viewWidth,
+                              binX + ((b + 1) * binWidth));
+            if (x1 <= x0) {
+                continue;
+            }
+            var dHeight = (bins[b][0] / maxDepth) * height;
+            var wHeight = (bins[b][1] / maxDepth) * height;
+            ctx.fillStyle = "#b0b0b0";
+            ctx.fillRect(x0, y + height - dHeight, x1 - x0, dHeight);
+            ctx.fillStyle = "#3366cc";
+            ctx.fillRect(x0, y + height - wHeight, x1 - x0, wHeight);
+        }
+    }
+    ctx.fillStyle = "#000000";
+    ctx.font = "10px sans-serif";
+    ctx.fillText("depth " + maxDepth, this.divMargin + 2, y + 10);
+};
+
+
+//
+// Normalize the feature tracks given in the data as:
+//
+//   "tracks": [ { "name": "LTR", "color": "#cc3333",
+//                 "features": [ { "start": 1, "end": 320,
+//                                 "label": "5' LTR", "strand": "+",
+//                                 "color": "#cc3333" }, .. ] }, .. ]
+//
+// Features may also be given BED-like as [ start, end, label, strand,
+// color ].  Positions are 1-based, inclusive consensus coordinates.
+// Only start and end are required.  Overlapping features are stacked
+// on separate lanes of the track.
+//
+AlignmentSummary.prototype.buildTracks = function (trackData) {
+    var tracks = [];
+    trackData = trackData || [];
+    for (var t = 0; t < trackData.length; t += 1) {
+        var track = {
+            name: trackData[t].name || ("Track " + (t + 1)),
+            color: trackData[t].color || "#808080",
+            visible: (trackData[t].visible !== false),
+            features: [],
+            lanes: 0
+        };
+        var features = trackData[t].features || [];
+        for (var f = 0; f < features.length; f += 1) {
+            var feat = features[f];
+            if (Array.isArray(feat)) {
+                feat = {
+                    start: feat[0],
+                    end: feat[1],
+                    label: feat[2],
+                    strand: feat[3],
+                    color: feat[4]
+                };
+            }
+            track.features.push({
+                track: track,
+                start: parseInt(feat.start),
+                end: parseInt(feat.end),
+                label: feat.label || "",
+                strand: (feat.strand == "+" || feat.strand == "-") ? feat.strand : "",
+                color: feat.color || track.color
+            });
+        }
+        track.features.sort(function (a, b) {
+            return (a.start - b.start);
+        });
+
+        // Stack overlapping features
+        var laneEnds = [];
+        for (f = 0; f < track.features.length; f += 1) {
+            var lane = 0;
+            while (lane < laneEnds.length && laneEnds[lane] >= track.features[f].start) {
+                lane += 1;
+            }
+            laneEnds[lane] = track.features[f].end;
+            track.features[f].lane = lane;
+        }
+        track.lanes = Math.max(1, laneEnds.length);
+        tracks.push(track);
+    }
+    return tracks;
+};
+
+
+AlignmentSummary.prototype.trackHeight = function (track) {
+    return this.featureTitleHeight + (track.lanes * this.featureLaneHeight) + 2;
+};
+
+
+// The names and visibility of the feature tracks
+AlignmentSummary.prototype.getTracks = function () {
+    var tracks = [];
+    for (var i = 0; i < this.tracks.length; i += 1) {
+        tracks.push({
+            name: this.tracks[i].name,
+            visible: this.tracks[i].visible
+        });
+    }
+    return tracks;
+};
+
+
+AlignmentSummary.prototype.setTrackVisible = function (name, visible) {
+    for (var i = 0; i < this.tracks.length; i += 1) {
+        if (this.tracks[i].name == name) {
+            this.tracks[i].visible = visible;
+        }
+    }
+    this.relayout();
+};
+
+
+//
+// The canvas x extent of a feature.  Features are in consensus
+// coordinates so they are placed in alignment columns when the
+// summary displays a full MSA.
+//
+AlignmentSummary.prototype.featureExtent = function (feature) {
+    var start = feature.start;
+    var end = feature.end;
+    if (this.consensusToColumn) {
+        start = this.consensusToColumn[start] || 1;
+        end = this.consensusToColumn[end] || this.json.length;
+    }
+    return {
+        x0: this.bpToX(start),
+        x1: this.bpToX(end + 1)
+    };
+};
+
+
+AlignmentSummary.prototype.drawFeatureTrack = function (track, y) {
+    var ctx = this.align_context;
+    var glyphHeight = this.featureLaneHeight - 3;
+
+    ctx.fillStyle = "#606060";
+    ctx.font = "9px sans-serif";
+    ctx.fillText(track.name, this.divMargin, y + 8);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(this.divMargin, y, this.viewWidth, this.trackHeight(track));
+    ctx.clip();
+    for (var i = 0; i < track.features.length; i += 1) {
+        var feat = track.features[i];
+        var ext = this.featureExtent(feat);
+        if (ext.x1 < this.divMargin || ext.x0 > this.divMargin + this.viewWidth) {
+            continue;
+        }
+        var fy = y + this.featureTitleHeight + (feat.lane * this.featureLaneHeight);
+        var width = Math.max(1, ext.x1 - ext.x0);
+        ctx.fillStyle = feat.color;
+        ctx.fillRect(ext.x0, fy, width, glyphHeight);
+
+        // Strand arrow head
+        if (feat.strand && width > 8) {
+            var tip = (feat.strand == "+") ? ext.x0 + width : ext.x0;
+            var base = (feat.strand == "+") ? tip - 4 : tip + 4;
+            ctx.fillStyle = "#ffffff";
+            ctx.beginPath();
+            ctx.moveTo(base, fy);
+            ctx.lineTo(tip, fy + (glyphHeight / 2));
+            ctx.lineTo(base, fy + glyphHeight);
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        // Label when it fits inside the feature
+        if (feat.label) {
+            ctx.font = "7px sans-serif";
+            if (ctx.measureText(feat.label).width < width - 10) {
+                ctx.fillStyle = "#ffffff";
+                ctx.fillText(feat.label, ext.x0 + 5, fy + 6);
+            }
+        }
+    }
+    ctx.restore();
+};
+
+
+// The feature under the mouse ( or null )
+AlignmentSummary.prototype.featureAtPos = function (mousePos) {
+    var y = mousePos.y + this.scrollTop;
+    var trackY = this.bandY + (this.showLegend ? this.legendHeight : 0);
+    for (var t = 0; t < this.tracks.length; t += 1) {
+        var track = this.tracks[t];
+        if (!track.visible) {
+            continue;
+        }
+        if (y >= trackY + this.featureTitleHeight && y < trackY + this.trackHeight(track)) {
+            var lane = Math.floor((y - trackY - this.featureTitleHeight) /
+                                  this.featureLaneHeight);
+            for (var i = 0; i < track.features.length; i += 1) {
+                var feat = track.features[i];
+                var ext = this.featureExtent(feat);
+                if (feat.lane == lane && mousePos.x >= ext.x0 - 1 &&
+                    mousePos.x <= Math.max(ext.x1, ext.x0 + 1) + 1) {
+                    return feat;
+                }
+            }
+            return null;
+        }
+        trackY += this.trackHeight(track);
+    }
+    return null;
+};
+
+
+// Draw the tracks above the ruler starting at y
+AlignmentSummary.prototype.drawTracks = function (y) {
+    if (this.showLegend) {
+        this.drawLegend(this.align_context, this.divMargin, y + 4);
+        y += this.legendHeight;
+    }
+    for (var i = 0; i < this.tracks.length; i += 1) {
+        if (this.tracks[i].visible) {
+            this.drawFeatureTrack(this.tracks[i], y);
+            y += this.trackHeight(this.tracks[i]);
+        }
+    }
+    if (this.showCoverage && this.coverage) {
+        this.drawCoverage(y, this.coverageHeight);
+    }
+};
+
+
+//
+// Compute the vertical position of the ruler ( and the tracks drawn
+// above it ) for the current ordering.  In "orient" mode the ruler is
+// drawn between the forward and reverse strand alignments, otherwise
+// it heads the list.
+//
+AlignmentSummary.prototype.layoutRows = function (order) {
+    var alignments = this.alignments;
+
+    this.rulerRowIdx = 0;
+    this.bandY = 0;
+    this.groups = null;
+    if (order == "orient" && !this.groupValue) {
+        this.rulerRowIdx = alignments.length;
+        for (var i = 0; i < alignments.length; i += 1) {
+            var strand = this.rowChain ? this.chainOfRow(i).row[4] : alignments[i][4];
+            if (strand == "R") {
+                this.rulerRowIdx = i;
+                break;
+            }
+        }
+        this.bandY = this.rulerVerticalMargin +
+                     (this.rulerRowIdx * this.alignmentSpacing);
+    }
+    this.rulerY = this.bandY + this.tracksHeight();
+    this.currRulerY = this.rulerY;
+    this.cladeGroups = {};
+    var treeOrder = (order == "tree" && this.treePanel);
+    if (this.groupValue) {
+        this.layoutGroups(this.bandY + this.bandHeight() + this.rulerVerticalMargin, null);
+    } else if (treeOrder && this.collapsedClades.length) {
+        this.layoutGroups(this.bandY + this.bandHeight() + this.rulerVerticalMargin,
+                          this.collapsedCladeIndex());
+    }
+    this.contentHeight = this.rowY(alignments.length) + 10;
+
+    // Lookup of rows by sequence ID and reference start
+    this.rowKeyIdx = {};
+    for (var j = alignments.length - 1; j >= 0; j -= 1) {
+        this.rowKeyIdx[alignments[j][0] + ":" + alignments[j][1]] = j;
+    }
+
+    // The first and last rows of each leaf of the guide tree.  The
+    // tree order keeps them together.
+    this.treeRows = null;
+    if (treeOrder) {
+        this.treeRows = {};
+        for (var k = 0; k < alignments.length; k += 1) {
+            var leaf = this.treeRows[alignments[k][0]];
+            if (leaf) {
+                leaf.last = k;
+            } else {
+                this.treeRows[alignments[k][0]] = {
+                    first: k,
+                    last: k
+                };
+            }
+        }
+    }
+};
+
+
+//
+// Split the displayed rows into groups ( see setGrouping() ) and lay
+// them out from y downwards.  Each group is
+//
+//   { label: , first: , last: ( indices of its rows ), collapsed: ,
+//     y: ( top of the header ), rowsY: ( top of the first row or of
+//     the aggregate bar ), bottom: , row: ( see groupRow() ),
+//     clade: ( see below ) }
+//
+// The sort keeps the rows of a group together.
+//
+// When clades ( { sequence ID: collapsed clade } from
+// collapsedCladeIndex() ) is given the rows are grouped by the
+// collapsed clades of the guide tree instead.  The groups have no
+// header, each collapsed clade is a collapsed group and the rows
+// between them are expanded groups with a null clade.
+//
+AlignmentSummary.prototype.layoutGroups = function (y, clades) {
+    var alignments = this.alignments;
+    var groups = [];
+    var group = null;
+    for (var i = 0; i < alignments.length; i += 1) {
+        var row = this.rowChain ? this.chainOfRow(i).row : alignments[i];
+        var clade = null;
+        var label;
+        if (clades) {
+            clade = clades[row[0]] || null;
+            label = clade ? NewickTree.label(clade) : "";
+        } else {
+            var value = this.groupValue(row);
+            label = isMissing(value) ? "None" : String(value);
+        }
+        if (!group || group.label !== label) {
+            group = {
+                label: label,
+                first: i,
+                row: null,
+                clade: clade
+            };
+            groups.push(group);
+            if (clade) {
+                this.cladeGroups[label] = group;
+            }
+        }
+        group.last = i;
+    }
+
+    var headerHeight = clades ? 0 : this.groupHeaderHeight;
+    for (var g = 0; g < groups.length; g += 1) {
+        group = groups[g];
+        group.collapsed = clades ? !!group.clade : !!this.collapsedGroups[group.label];
+        group.y = y;
+        group.rowsY = y + headerHeight;
+        if (group.collapsed) {
+            group.bottom = group.rowsY + this.groupBarHeight + 2;
+        } else {
+            group.bottom = group.rowsY +
+                           ((group.last - group.first + 1) * this.alignmentSpacing);
+        }
+        y = group.bottom;
+    }
+    this.groups = groups;
+    this.groupsBottom = y;
+};
+
+
+//
+// The rows of a group combined into one row in the summary row format
+// ( [ label, refStart, refLen, scores, strand, div ] ).  It spans the
+// rows, takes the majority strand and the mean divergence, and each
+// block is scored with the mean score of the blocks of the rows
+// starting within it.
+//
+AlignmentSummary.prototype.groupRow = function (group) {
+    if (group.row) {
+        return group.row;
+    }
+    var blockLen = this.json.qualityBlockLen;
+    var start = this.alignments[group.first][1];
+    var end = start;
+    var fwd = 0;
+    var divSum = 0;
+    var i, row;
+    for (i = group.first; i <= group.last; i += 1) {
+        row = this.alignments[i];
+        start = Math.min(start, row[1]);
+        end = Math.max(end, row[1] + row[2] - 1);
+        if (row[4] != "R") {
+            fwd += 1;
+        }
+        divSum += parseFloat(row[5]);
+    }
+    var sums = [];
+    var counts = [];
+    for (i = group.first; i <= group.last; i += 1) {
+        row = this.alignments[i];
+        for (var k = 0; k < row[3].length; k += 1) {
+            if (row[3][k] > 0) {
+                var block = Math.floor((row[1] + (k * blockLen) - start) / blockLen);
+                sums[block] = (sums[block] || 0) + row[3][k];
+                counts[block] = (counts[block] || 0) + 1;
+            }
+        }
+    }
+    var scores = [];
+    for (var b = 0; b < Math.ceil((end - start + 1) / blockLen); b += 1) {
+        scores.push(counts[b] ? Math.round(10 * sums[b] / counts[b]) / 10 : 0);
+    }
+    var count = group.last - group.first + 1;
+    group.row = [group.label, start, end - start + 1, scores,
+                 (fwd * 2 >= count) ? "F" : "R", (divSum / count).toFixed(2)];
+    return group.row;
+};
+
+
+// The index of the last group whose field is no more than value ( or
+// -1 if there isn't one )
+AlignmentSummary.prototype.groupIndexAt = function (field, value) {
+    var lo = 0;
+    var hi = this.groups.length - 1;
+    var found = -1;
+    while (lo <= hi) {
+        var mid = (lo + hi) >> 1;
+        if (this.groups[mid][field] <= value) {
+            found = mid;
+            lo = mid + 1;
+        } else {
+            hi = mid - 1;
+        }
+    }
+    return found;
+};
+
+
+// The group holding a displayed row or null
+AlignmentSummary.prototype.groupOfRow = function (alignIdx) {
+    if (!this.groups || alignIdx < 0 || alignIdx >= this.alignments.length) {
+        return null;
+    }
+    return this.groups[this.groupIndexAt("first", alignIdx)];
+};
+
+
+// The group at a y position ( in content coordinates ) or null
+AlignmentSummary.prototype.groupAtY = function (y) {
+    if (!this.groups) {
+        return null;
+    }
+    var group = this.groups[this.groupIndexAt("y", y)];
+    return (group && y < group.bottom) ? group : null;
+};
+
+
+//
+// The group whose header ( or aggregate bar when collapsed ) is under
+// the mouse or null if there isn't one
+//
+AlignmentSummary.prototype.groupAtPos = function (mousePos) {
+    var y = mousePos.y + this.scrollTop;
+    var group = this.groupAtY(y);
+    if (!group || mousePos.x < this.divMargin ||
+        mousePos.x > this.divMargin + this.viewWidth) {
+        return null;
+    }
+    return (group.collapsed || y < group.rowsY) ? group : null;
+};
+
+
+// Is a displayed row hidden in a collapsed group?
+AlignmentSummary.prototype.isRowCollapsed = function (alignIdx) {
+    var group = this.groupOfRow(alignIdx);
+    return !!(group && group.collapsed);
+};
+
+
+// The y position ( in content coordinates ) of a row.  The rows of a
+// collapsed group are all at its aggregate bar.
+AlignmentSummary.prototype.rowY = function (alignIdx) {
+    if (this.groups) {
+        var group = this.groupOfRow(alignIdx);
+        if (!group) {
+            return this.groupsBottom;
+        }
+        if (group.collapsed) {
+            return group.rowsY;
+        }
+        return group.rowsY + ((alignIdx - group.first) * this.alignmentSpacing);
+    }
+    if (alignIdx < this.rulerRowIdx) {
+        return (alignIdx * this.alignmentSpacing);
+    }
+    return (this.bandY + this.bandHeight() + this.rulerVerticalMargin +
+            ((alignIdx - this.rulerRowIdx) * this.alignmentSpacing));
+};
+
+
+// The first and last displayed rows within the viewport as
+// { first: , last: }
+AlignmentSummary.prototype.visibleRange = function () {
+    if (this.groups) {
+        return this.visibleGroupRange();
+    }
+    var firstIdx = this.rowAtY(this.scrollTop);
+    if (firstIdx < 0) {
+        firstIdx = (this.scrollTop < this.bandY) ? 0 : this.rulerRowIdx;
+    }
+    var lastIdx = this.rowAtY(this.scrollTop + this.HEIGHT);
+    if (lastIdx < 0) {
+        lastIdx = (this.scrollTop + this.HEIGHT < this.bandY) ?
+                  this.rulerRowIdx - 1 : this.alignments.length - 1;
+    }
+    return {
+        first: firstIdx,
+        last: lastIdx
+    };
+};
+
+
+// visibleRange() for grouped rows
+AlignmentSummary.prototype.visibleGroupRange = function () {
+    var top = this.scrollTop;
+    var bottom = this.scrollTop + this.HEIGHT;
+    var firstIdx = this.alignments.length;
+    var lastIdx = -1;
+    var g = Math.max(0, this.groupIndexAt("y", top));
+    var group = this.groups[g];
+    if (group && group.bottom <= top) {
+        group = this.groups[g + 1];
+    }
+    if (group) {
+        firstIdx = group.first;
+        if (!group.collapsed && top > group.rowsY) {
+            firstIdx += Math.min(group.last - group.first,
+                                 parseInt((top - group.rowsY) / this.alignmentSpacing));
+        }
+    }
+    group = this.groups[this.groupIndexAt("y", bottom)];
+    if (group) {
+        lastIdx = group.last;
+        if (!group.collapsed) {
+            lastIdx = Math.min(group.last, group.first - 1 +
+                               Math.max(0, Math.ceil((bottom - group.rowsY) /
+                                                     this.alignmentSpacing)));
+        }
+    }
+    return {
+        first: firstIdx,
+        last: lastIdx
+    };
+};
+
+
+// The row found at a y position ( in content coordinates ) or -1 if
+// there isn't one ( or it's in a collapsed group ).
+AlignmentSummary.prototype.rowAtY = function (y) {
+    if (this.groups) {
+        var group = this.groupAtY(y);
+        if (!group || group.collapsed || y < group.rowsY) {
+            return -1;
+        }
+        var idx = group.first + parseInt((y - group.rowsY) / this.alignmentSpacing);
+        return (idx <= group.last) ? idx : -1;
+    }
+    var alignIdx = -1;
+    var rowsTop = this.bandY + this.bandHeight() + this.rulerVerticalMargin;
+    if (y < this.bandY) {
+        alignIdx = parseInt(y / this.alignmentSpacing);
+        if (alignIdx >= this.rulerRowIdx) {
+            alignIdx = -1;
+        }
+    } else if (y >= rowsTop) {
+        alignIdx = this.rulerRowIdx +
+                   parseInt((y - rowsTop) / this.alignmentSpacing);
+    }
+    if (alignIdx >= this.alignments.length) {
+        alignIdx = -1;
+    }
+    return alignIdx;
+};
+
+
+// Is the y position within the thumb of the virtualized scrollbar?
+AlignmentSummary.prototype.isInScrollThumb = function (y) {
+    var thumb = this.scrollThumb();
+    return (y >= thumb.y && y <= thumb.y + thumb.height);
+};
+
+
+AlignmentSummary.prototype.scrollThumb = function () {
+    var height = Math.max(20, this.HEIGHT * (this.HEIGHT / this.contentHeight));
+    var maxTop = Math.max(1, this.contentHeight - this.HEIGHT);
+    return {
+        y: (this.scrollTop / maxTop) * (this.HEIGHT - height),
+        height: height
+    };
+};
+
+
+//
+// Paint the quality blocks of a row as a bar at y ( relative to the
+// viewport ).  opacity fades the bar in and out during transitions
+// and is combined with the divergence highlight.
+//
+AlignmentSummary.prototype.drawBar = function (row, y, height, opacity) {
+    var xScale = this.xScale;
+    var regionStart = this.regionStart;
+    var regionEnd = this.regionEnd;
+    var qualWidthBP = this.json.qualityBlockLen;
+    var xOffset = row[1];
+    var qualities = row[3];
+    var qualIdx = 0;
+    if (xOffset > regionEnd || xOffset + row[2] < regionStart) {
+        return;
+    }
+    if (this.divHighlight) {
+        var div = parseFloat(row[5]);
+        if (div < this.divHighlight.minDiv || div > this.divHighlight.maxDiv) {
+            opacity *= 0.15;
+        }
+    }
+    this.align_context.globalAlpha = opacity;
+    for (var j = 0; j < row[2]; j += qualWidthBP) {
+        if (qualIdx < qualities.length &&
+            xOffset + j + qualWidthBP >= regionStart &&
+            xOffset + j <= regionEnd) {
+
+            // Blend from this block's color into the next block's.
+            // The gradient is anchored on the block itself so that
+            // each block starts with its own color, and the last
+            // block keeps its color rather than fading out.
+            var blockX = this.bpToX(xOffset) + (j * xScale);
+            var grd = this.align_context.createLinearGradient(
+            blockX, 0, blockX + (xScale * qualWidthBP), 0);
+            grd.addColorStop(0, this.scoreColor(qualities[qualIdx]));
+            if (qualIdx == qualities.length - 1) {
+                grd.addColorStop(1, this.scoreColor(qualities[qualIdx]));
+            } else {
+                grd.addColorStop(1, this.scoreColor(qualities[qualIdx + 1]));
+            }
+            this.align_context.fillStyle = grd;
+            this.align_context.fillRect(blockX, y, (xScale * qualWidthBP),
+            height);
+        }
+
+        qualIdx++;
+    }
+};
+
+
+//
+// Paint the rows part way through a transition ( see animateRows() ).
+// Each bar is drawn between its old and new positions, and rows that
+// are entering or leaving the view fade in or out.
+//
+AlignmentSummary.prototype.drawTransition = function (transition) {
+    var progress = transition.progress;
+    var moves = transition.moves;
+    for (var i = 0; i < moves.length; i += 1) {
+        var move = moves[i];
+        var y = move.fromY + ((move.toY - move.fromY) * progress) - this.scrollTop;
+        if (y + move.height < 0 || y > this.HEIGHT) {
+            continue;
+        }
+        var opacity = 1;
+        if (move.fade == "in") {
+            opacity = progress;
+        } else if (move.fade == "out") {
+            opacity = 1 - progress;
+        }
+        this.drawBar(move.row, y, move.height, opacity);
+    }
+};
+
+
+//
+// Paint the ruler and the rows which fall within the current
+// viewport.  When the view isn't virtualized the viewport
+// covers the entire canvas.
+//
+AlignmentSummary.prototype.draw = function () {
+    var divMargin = this.divMargin;
+    var alignmentGlyphHeight = this.alignmentGlyphHeight;
+    var alignmentSpacing = this.alignmentSpacing;
+    var viewWidth = this.viewWidth;
+    var xScale = this.xScale;
+    var alignments = this.alignments;
+    var scrollTop = this.scrollTop;
+
+    this.align_context.clearRect(0, 0, this.WIDTH, this.HEIGHT);
+
+    if (this.dataError) {
+        AlignmentSchema.drawError(this.align_context, this.WIDTH,
+                                  "Unable to show the summary", this.dataError);
+        return;
+    }
+
+    // Tracks and ruler
+    if (this.bandY - scrollTop + this.bandHeight() >= 0 &&
+        this.bandY - scrollTop <= this.HEIGHT) {
+        this.drawTracks(this.bandY - scrollTop);
+        this.drawAxes(this.rulerY - scrollTop);
+    }
+
+    // Keep zoomed alignments from spilling into the margins
+    this.align_context.save();
+    this.align_context.beginPath();
+    this.align_context.rect(divMargin, 0, viewWidth, this.HEIGHT);
+    this.align_context.clip();
+
+    // Identify the range of rows within the viewport
+    var range = this.visibleRange();
+    var firstIdx = range.first;
+    var lastIdx = range.last;
+
+    // Rows move between their old and new positions while a
+    // transition runs ( see animateRows() )
+    var transition = this.exporting ? null : this.transition;
+    if (transition) {
+        this.drawTransition(transition);
+    } else {
+        for (var i = firstIdx; i <= lastIdx; i += 1) {
+            var curY = this.rowY(i) - scrollTop;
+            var row = alignments[i];
+            var glyphHeight = alignmentGlyphHeight;
+            var group = this.groups ? this.groupOfRow(i) : null;
+            if (group && group.collapsed) {
+                // A single bar stands in for the rows of the group
+                row = this.groupRow(group);
+                glyphHeight = this.groupBarHeight;
+                i = group.last;
+            }
+            this.drawBar(row, curY, glyphHeight, 1);
+        }
+    }
+    this.align_context.globalAlpha = 1;
+    if (this.rowChain && !transition) {
+        this.drawChainLinks(Math.max(0, firstIdx - 1), lastIdx);
+    }
+    if (this.json.seedStart) {
+        var seedTop = Math.max(0, this.rowY(0) - scrollTop);
+        var seedBottom = Math.min(this.HEIGHT,
+                                  this.rowY(alignments.length) - scrollTop);
+        this.align_context.fillStyle = "rgba(10, 10, 10, 0.25)";
+        this.align_context.fillRect(this.bpToX(this.json.seedStart),
+        seedTop, ((this.json.seedEnd - this.json.seedStart + 1) * xScale), seedBottom - seedTop);
+    }
+    this.align_context.restore();
+    if (this.rowChain && !transition) {
+        this.drawChainBrackets(Math.max(0, firstIdx - 1), lastIdx);
+    }
+    if (this.groups && this.groupValue) {
+        this.drawGroupHeaders();
+    }
+    if (this.treePanel) {
+        this.drawTree();
+    }
+    if (this.selectedIds) {
+        this.drawSelectedSequences(firstIdx, lastIdx);
+    }
+    if (this.treeError) {
+        AlignmentSchema.drawError(this.align_context, this.WIDTH,
+                                  "Unable to show the tree", this.treeError);
+    }
+
+    if (this.exporting) {
+        return;
+    }
+    if (this.virtualized) {
+        var thumb = this.scrollThumb();
+        this.align_context.fillStyle = "#eeeeee";
+        this.align_context.fillRect(this.WIDTH - this.scrollBarWidth, 0,
+                                    this.scrollBarWidth, this.HEIGHT);
+        this.align_context.fillStyle = "#999999";
+        this.align_context.fillRect(this.WIDTH - this.scrollBarWidth, thumb.y,
+                                    this.scrollBarWidth, thumb.height);
+    }
+    this.redrawGuide();
+};
+
+
+// Draw the guide tree beside the rows ( see setTree() )
+AlignmentSummary.prototype.drawTree = function () {
+    var that = this;
+    var ctx = this.align_context;
+    var rowsTop = this.bandY + this.bandHeight() + this.rulerVerticalMargin -
+                  this.scrollTop;
+    if (this.order != "tree") {
+        ctx.fillStyle = "#808080";
+        ctx.font = "italic 10px sans-serif";
+        ctx.fillText("Sort by tree to show", 4, Math.max(0, rowsTop) + 10);
+        ctx.fillText("the guide tree", 4, Math.max(0, rowsTop) + 22);
+        this.treePanel.drawn = [];
+        return;
+    }
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, Math.max(0, rowsTop - 2), this.treeWidth, this.HEIGHT);
+    ctx.clip();
+    this.treePanel.draw(ctx, 0, {
+        leafY: function (name) {
+            var rows = that.treeRows[name];
+            if (!rows) {
+                return null;
+            }
+            return ((that.rowY(rows.first) + that.rowY(rows.last) +
+                     that.alignmentGlyphHeight) / 2) - that.scrollTop;
+        },
+        collapsedY: function (node) {
+            if (that.collapsedClades.indexOf(node) < 0) {
+                return null;
+            }
+            var group = that.cladeGroups[NewickTree.label(node)];
+            if (!group) {
+                return null;
+            }
+            return group.rowsY + (that.groupBarHeight / 2) - that.scrollTop;
+        },
+        isSelected: function (name) {
+            return !!(that.selectedIds && that.selectedIds[name]);
+        }
+    });
+    ctx.restore();
+};
+
+
+// Mark the selected sequences ( see selectClade() ) in the margin
+AlignmentSummary.prototype.drawSelectedSequences = function (firstIdx, lastIdx) {
+    var ctx = this.align_context;
+    ctx.fillStyle = "#0066ff";
+    for (var i = firstIdx; i <= lastIdx; i += 1) {
+        var row = this.alignments[i];
+        if (!this.selectedIds[row[0]] || this.isRowCollapsed(i)) {
+            continue;
+        }
+        ctx.fillRect(this.marginX() + 2, this.rowY(i) - this.scrollTop,
+                     4, this.alignmentGlyphHeight);
+    }
+};
+
+
+// Describe a node of the guide tree in a tooltip
+AlignmentSummary.prototype.drawCladeTooltip = function (mousePos, node) {
+    var count = NewickTree.leaves(node).length;
+    var lines = [NewickTree.label(node),
+                 count + ((count == 1) ? " sequence" : " sequences")];
+    if (node.support !== null) {
+        lines.push("Support: " + node.support);
+    }
+    if (node.length !== null) {
+        lines.push("Branch length: " + node.length);
+    }
+    if (node.children.length) {
+        lines.push("Click to select, shift+click to " +
+                   ((this.collapsedClades.indexOf(node) < 0) ? "collapse" : "expand"));
+    } else {
+        lines.push("Click to select");
+    }
+    this.drawTooltipBox(mousePos, lines);
+};
+
+
+// Label the groups within the viewport ( see setGrouping() )
+AlignmentSummary.prototype.drawGroupHeaders = function () {
+    var ctx = this.align_context;
+    var bottom = this.scrollTop + this.HEIGHT;
+    var g = Math.max(0, this.groupIndexAt("y", this.scrollTop - this.groupHeaderHeight));
+    ctx.save();
+    ctx.font = "bold 10px sans-serif";
+    ctx.textBaseline = "middle";
+    for (; g < this.groups.length && this.groups[g].y <= bottom; g += 1) {
+        var group = this.groups[g];
+        var y = group.y - this.scrollTop;
+        ctx.fillStyle = "#eeeeee";
+        ctx.fillRect(this.divMargin, y + 1, this.viewWidth, this.groupHeaderHeight - 3);
+        ctx.fillStyle = "#404040";
+        ctx.fillText((group.collapsed ? "\u25b8 " : "\u25be ") + group.label + " ( " +
+                     (group.last - group.first + 1) + " )",
+                     this.divMargin + 3, y + ((this.groupHeaderHeight - 1) / 2));
+    }
+    ctx.restore();
+};
+
+
+//
+// Figure export
+//
+//   The figure is the current view ( region, ordering, filter and
+//  scroll position ) drawn by the normal drawing code onto an
+//  SVGContext ( SVGContext.js must be loaded ) or an offscreen
+//  canvas.  Options:
+//
+//    title     : Title drawn above the figure ( default none )
+//    legend    : Draw the quality legend below the figure ( default
+//                true unless the legend is already shown above the
+//                ruler )
+//    axisLabel : Label drawn beneath the figure describing the ruler
+//                ( default "Consensus position (bp)" )
+//
+AlignmentSummary.prototype.exportSVG = function (options) {
+    var layout = this.figureLayout(options);
+    var ctx = new SVGContext(layout.width, layout.height, "#ffffff");
+    this.drawFigure(ctx, layout);
+    return ctx.getSerializedSvg();
+};
+
+
+// Export the current view as a PNG data URL.  The scale factor
+// ( default 2 ) multiplies the resolution of the canvas.
+AlignmentSummary.prototype.exportPNG = function (scale, options) {
+    scale = scale || 2;
+    var layout = this.figureLayout(options);
+    var canvas = document.createElement("canvas");
+    canvas.width = Math.round(layout.width * scale);
+    canvas.height = Math.round(layout.height * scale);
+    var ctx = canvas.getContext("2d");
+    ctx.scale(scale, scale);
+    this.drawFigure(ctx, layout);
+
+    // Fill in the background behind everything drawn
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = "destination-over";
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL("image/png");
+};
+
+
+AlignmentSummary.prototype.figureLayout = function (options) {
+    options = options || {};
+    var layout = {
+        title: options.title || "",
+        legend: (options.legend !== undefined) ? options.legend : !this.showLegend,
+        axisLabel: (options.axisLabel !== undefined) ? options.axisLabel :
+                   "Consensus position (bp)",
+        width: this.WIDTH,
+        titleHeight: 0,
+        viewHeight: this.HEIGHT,
+        footerHeight: 0
+    };
+    if (this.consensusToColumn && options.axisLabel === undefined) {
+        layout.axisLabel = "Consensus position (bp) / alignment column";
+    }
+    if (!this.virtualized) {
+        layout.viewHeight = Math.min(this.HEIGHT, this.contentHeight);
+    }
+    if (layout.title) {
+        layout.titleHeight = 28;
+    }
+    if (layout.axisLabel) {
+        layout.footerHeight += 20;
+    }
+    if (layout.legend) {
+        layout.footerHeight += 30;
+    }
+    layout.height = layout.titleHeight + layout.viewHeight + layout.footerHeight;
+    return layout;
+};
+
+
+AlignmentSummary.prototype.drawFigure = function (ctx, layout) {
+    if (layout.title) {
+        ctx.fillStyle = "#000000";
+        ctx.font = "bold 16px sans-serif";
+        ctx.fillText(layout.title, this.divMargin, 20);
+    }
+
+    // Redraw the view onto the figure context
+    var savedContext = this.align_context;
+    ctx.save();
+    ctx.translate(0, layout.titleHeight);
+    ctx.beginPath();
+    ctx.rect(0, 0, layout.width, layout.viewHeight);
+    ctx.clip();
+    this.align_context = ctx;
+    this.exporting = true;
+    try {
+        this.draw();
+    } finally {
+        this.exporting = false;
+        this.align_context = savedContext;
+        ctx.restore();
+    }
+
+    var y = layout.titleHeight + layout.viewHeight;
+    if (layout.axisLabel) {
+        ctx.fillStyle = "#000000";
+        ctx.font = "12px sans-serif";
+        var labelWidth = ctx.measureText(layout.axisLabel).width;
+        ctx.fillText(layout.axisLabel,
+                     this.divMargin + ((this.viewWidth - labelWidth) / 2), y + 14);
+        y += 20;
+    }
+    if (layout.legend) {
+        this.drawLegend(ctx, this.divMargin, y + 4);
+    }
+};
+
+
+//
+// Draw a key to the quality colors ( and seed shading ) at x,y.  Small
+// integer score ranges are drawn as a box per score, others as a
+// continuous ramp labelled with the ends of the range.
+//
+AlignmentSummary.prototype.drawLegend = function (ctx, x, y) {
+    var boxWidth = 18;
+    var boxHeight = 10;
+    var min = this.scoreMin;
+    var max = this.scoreMax;
+    var num;
+
+    ctx.font = "11px sans-serif";
+    ctx.fillStyle = "#000000";
+    var label = "Block quality ( identical bases per " +
+                this.json.qualityBlockLen + "bp block ):";
+    ctx.fillText(label, x, y + boxHeight);
+    x += ctx.measureText(label).width + 6;
+
+    if (min == Math.round(min) && max == Math.round(max) && max - min < 20) {
+        for (var score = min; score <= max; score += 1) {
+            ctx.fillStyle = this.scoreColor(score);
+            ctx.fillRect(x, y, boxWidth, boxHeight);
+            ctx.fillStyle = "#000000";
+            num = "" + score;
+            ctx.fillText(num, x + ((boxWidth - ctx.measureText(num).width) / 2),
+                         y + boxHeight + 11);
+            x += boxWidth;
+        }
+    } else {
+        var rampWidth = 150;
+        for (var r = 0; r < rampWidth; r += 1) {
+            ctx.fillStyle = this.scoreColor(min + ((max - min) * r / (rampWidth - 1)));
+            ctx.fillRect(x + r, y, 1, boxHeight);
+        }
+        ctx.fillStyle = "#000000";
+        ctx.fillText("" + min, x, y + boxHeight + 11);
+        num = "" + max;
+        ctx.fillText(num, x + rampWidth - ctx.measureText(num).width,
+                     y + boxHeight + 11);
+        x += rampWidth;
+    }
+
+    // Absent sequence ( MSA gaps )
+    if (this.missingColor != "#ffffff") {
+        x += 16;
+        ctx.fillStyle = this.missingColor;
+        ctx.fillRect(x, y, boxWidth, boxHeight);
+        ctx.fillStyle = "#000000";
+        ctx.fillText("Absent", x + boxWidth + 4, y + boxHeight);
+        x += boxWidth + ctx.measureText("Absent").width + 4;
+    }
+
+    if (this.json.seedStart) {
+        x += 16;
+        ctx.fillStyle = "rgba(10, 10, 10, 0.25)";
+        ctx.fillRect(x, y, boxWidth, boxHeight);
+        ctx.fillStyle = "#000000";
+        ctx.fillText("Seed region", x + boxWidth + 4, y + boxHeight);
+    }
+};
+
+
+return AlignmentSummary;
+}));
@@ -6,6 +6,22 @@
  *
  */
 ////////////////////////////////////////////////////////////////////////
+// UMD wrapper ( see index.mjs )
+(function (root, factory) {
+  if (typeof define === "function" && define.amd) {
+    define(["./AlignmentSchema", "./SVGContext", "./HeaderPanel", "./NewickTree", "./TreePanel",
+            "./ZyngaScroller"], factory);
+  } else if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./AlignmentSchema.js"), require("./SVGContext.js"),
+                             require("./HeaderPanel.js"), require("./NewickTree.js"),
+                             require("./TreePanel.js"), require("./ZyngaScroller.js"));
+  } else {
+    root.AlignmentViewer = factory(root.AlignmentSchema, root.SVGContext, root.HeaderPanel,
+                                   root.NewickTree, root.TreePanel, root.ZyngaScroller);
+  }
+}(typeof self !== "undefined" ? self : this, function (AlignmentSchema, SVGContext, HeaderPanel,
+                                                       NewickTree, TreePanel, Zynga) {
+
 function AlignmentViewer(canvas, json, options)
 {
   this.json = json;
@@ -13,7 +29,8 @@ function AlignmentViewer(canvas, json, options)
   this.context = this.canvas.getContext("2d");
 
   // Defaults
-  this.context.font = "16px Courier New, monospace";
+  this.fontStyle = "16px Courier New, monospace";
+  this.context.font = this.fontStyle;
   this.viewType = "norm";
   this.highlightCpGs = 1;  // TODO: Hook this up
   this.noteTrans = 1;      // TODO: Hook this up
@@ -34,82 +51,498 @@ function AlignmentViewer(canvas, json, options)
   this.fontHeight = this.fontWidth;
 
 
+  // Derive the reference coordinates and depth from the data
+  this.loadData(json);
+
+  // A linked AlignmentSummary ( see AlignmentSummary.linkViewer() )
+  this.linkedSummary = null;
+  this.highlightIdx = -1;
+
+  // Handlers registered with on(), the rows drawn by the last render
+  // ( for hit-testing ), the row under the mouse and the last view
+  // reported by a "scroll" event.
+  this.handlers = {};
+  this.rowLayout = [];
+  this.hoverIdx = -1;
+  this.lastView = null;
+
+  // Size the canvas to the width of its container ( unless responsive
+  // is false ) at the device pixel ratio.  This also sets the viewport
+  // size in bp and lines.
+  this.options = options || {};
+  this.showTracks = (this.options.showTracks !== false);
+
+  // Guide tree drawn left of the IDs ( see setTree() ) and the
+  // selected sequences ( see selectClade() )
+  this.treePanel = null;
+  this.treeWidth = this.options.treeWidth || 120;
+  this.treeError = null;
+  this.selectedIds = null;
+  this.loadTree(this.options.tree);
+  this.responsive = (this.options.responsive !== false);
+  this.pixelRatio = this.options.pixelRatio || window.devicePixelRatio || 1;
+  var width = this.canvas.width;
+  var parent = this.canvas.parentNode;
+  if ( this.responsive && parent && parent.clientWidth > 0 )
+    width = parent.clientWidth;
+  this.sizeCanvas(width, this.canvas.height);
+
+  // create Scroller instance
+  var that = this;
+  this.destroyed = false;
+  this.scroller = new Zynga.Scroller(function(left, top, zoom) {
+          // An animation may still be running after destroy()
+          if ( ! that.destroyed )
+            that.render(left, top, zoom);
+     }, options);
+
+  // bind events
+  this.bindEvents();
+
+  // Show the alignment header ( if any ) above the canvas
+  this.headerPanel = null;
+  this.updateHeader();
+
+  // reflow for the first time
+  this.reflow();
+}
+
+
+//
+// Check an alignment against the schema ( see AlignmentSchema.js ).
+// Returns the data in the form used for drawing.  If it fails the
+// checks an empty alignment is returned and the reason is kept in
+// dataError, which render() shows in place of the alignment.
+//
+AlignmentViewer.prototype.checkData = function(json) {
+  this.dataError = null;
+  try {
+    return AlignmentSchema.normalizeDetail(json);
+  } catch (err) {
+    this.dataError = err.message;
+    return AlignmentSchema.emptyDetail();
+  }
+};
+
+
+//
+// Read an alignment ( the json given to the constructor ) and build
+// the lookups used for drawing.
+//
+AlignmentViewer.prototype.loadData = function(json) {
+  var i, j;
+  this.sourceData = json;
+  json = this.checkData(json);
+  this.json = json;
+  if ( this.treePanel )
+    this.orderByTree();
   // Find max score
   this.maxScore = 0;
-  for (i = 0; i < this.json.alignmentScore.length; i++) {
-    if ( this.json.alignmentScore[i] > this.maxScore )
-      this.maxScore = this.json.alignmentScore[i];
+  for (i = 0; i < json.alignmentScore.length; i++) {
+    if ( json.alignmentScore[i] > this.maxScore )
+      this.maxScore = json.alignmentScore[i];
   }
 
-  // Find reference sequence in the json object
-  // and the deepest section of the alignment.
-  this.referenceSeqIdx = -1;   // Index of sequence with id = "reference" with json.alignment[]
+  // Find the longest ID and the deepest section of the alignment.
+  this.referenceSeqIdx = json.referenceIndex;   // Index of the reference within json.alignment[]
   this.maxIDLen = 0;  // The string length of the longest ID in the json.alignment[] collection
   var coverageArray = []; // A temporary array used in calcuation of max alignment depth
-  for (i = 0; i < this.json.alignment.length; i++) {
-    if (this.json.alignment[i].id == "reference") {
-      this.referenceSeqIdx = i;
-    }else
+  var trackCoverageArray = []; // The same including the lines of the row annotation tracks
+  for (i = 0; i < json.alignment.length; i++) {
+    var rowTracks = json.alignment[i].tracks || [];
+    if (i != this.referenceSeqIdx)
     {
-      if ( this.maxIDLen < this.json.alignment[i].id.length )
-        this.maxIDLen = this.json.alignment[i].id.length;
+      if ( this.maxIDLen < json.alignment[i].id.length )
+        this.maxIDLen = json.alignment[i].id.length;
+      for ( j = 0; j < rowTracks.length; j++ ) {
+        if ( this.maxIDLen < this.trackLabel(rowTracks[j]).length )
+          this.maxIDLen = this.trackLabel(rowTracks[j]).length;
+      }
     }
-    for ( j = 0; j < this.json.alignment[i].sequence.length; j++ ) {
-      if ( coverageArray[j+this.json.alignment[i].start] == undefined )
+    for ( j = 0; j < json.alignment[i].sequence.length; j++ ) {
+      if ( coverageArray[j+json.alignment[i].start] == undefined )
       {
-        coverageArray[j + this.json.alignment[i].start ] = 1;
+        coverageArray[j + json.alignment[i].start ] = 1;
+        trackCoverageArray[j + json.alignment[i].start ] = 1 + rowTracks.length;
       }else
       {
-        coverageArray[j + this.json.alignment[i].start ]++;
+        coverageArray[j + json.alignment[i].start ]++;
+        trackCoverageArray[j + json.alignment[i].start ] += 1 + rowTracks.length;
       }
     }
   }
   this.maxDepth = 0;
+  this.maxTrackDepth = 0;
   for ( i = 0; i < coverageArray.length; i++ ) {
     if ( coverageArray[i] > this.maxDepth ) 
       this.maxDepth = coverageArray[i];
+    if ( trackCoverageArray[i] > this.maxTrackDepth )
+      this.maxTrackDepth = trackCoverageArray[i];
+  }
+
+  // Per-column annotation tracks ( e.g. Stockholm #=GC lines ) drawn
+  // beneath the reference
+  this.columnTracks = json.columnTracks || [];
+  for ( i = 0; i < this.columnTracks.length; i++ ) {
+    if ( this.maxIDLen < this.columnTracks[i].name.length )
+      this.maxIDLen = this.columnTracks[i].name.length;
   }
-  this.referenceSeq = this.json.alignment[this.referenceSeqIdx].sequence;
+  this.referenceSeq = json.alignment[this.referenceSeqIdx].sequence;
   this.rulerPosIdx = []; // A sparse array with string position to base position translation for ruler drawing
+  this.columnToRefPos = []; // Reference position at ( or preceding ) each alignment column
+  this.refPosToColumn = []; // Alignment column of each reference position
   var pos = 0;
   for ( i = 0; i < this.referenceSeq.length; i++ ) {
     if ( this.referenceSeq.charAt(i) != "-" ) 
     {
       pos++;
+      this.refPosToColumn[pos] = i;
       if ( pos == 1 || (pos % this.rulerTickDistance) == 0 )
         this.rulerPosIdx[i] = pos;
     }
+    this.columnToRefPos[i] = pos;
   }
+};
 
-  // Alignment viewport size ( bp and lines )
-  this.viewCols = (this.canvas.width - ( this.maxIDLen * this.fontWidth )) / this.fontWidth;
-  this.viewLines = (this.canvas.height - this.topBottomMargin - this.rulerHeight -
-                     this.lineSpacing - this.fontHeight) / ( this.fontWidth + this.lineSpacing );
 
-  // create Scroller instance
-  var that = this;
-  this.scroller = new Scroller(function(left, top, zoom) {
-          that.render(left, top, zoom);
-     }, options);
+//
+// Replace the alignment being viewed.  The view is scrolled back to
+// the top left and the options, size and linked summary are kept.
+//
+AlignmentViewer.prototype.setData = function(json) {
+  this.loadData(json);
+  this.highlightIdx = -1;
+  this.hoverIdx = -1;
+  this.rowLayout = [];
+  this.lastView = null;
+  this.updateHeader();
+  // The ID column width and number of column tracks may have changed
+  this.sizeCanvas(this.width, this.height);
+  this.reflow();
+  this.scroller.scrollTo(0, 0, false);
+};
 
-  // bind events
-  this.bindEvents();
 
-  // reflow for the first time
+// Set the canvas size in CSS pixels.  The backing store is allocated
+// at the device pixel ratio and the context scaled so that drawing
+// continues in CSS pixels.
+AlignmentViewer.prototype.sizeCanvas = function(width, height) {
+  this.width = width;
+  this.height = height;
+  this.canvas.width = Math.round(width * this.pixelRatio);
+  this.canvas.height = Math.round(height * this.pixelRatio);
+  this.canvas.style.width = width + "px";
+  this.canvas.style.height = height + "px";
+
+  // Resizing the canvas resets the context state
+  this.context.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+  this.context.font = this.fontStyle;
+
+  // Alignment viewport size ( bp and lines )
+  this.viewCols = (this.width - this.labelX() - ( this.maxIDLen * this.fontWidth )) / this.fontWidth;
+  this.viewLines = (this.height - this.topBottomMargin - this.rulerHeight -
+                     this.lineSpacing - this.fontHeight -
+                     this.visibleColumnTracks().length * ( this.fontHeight + this.lineSpacing )) /
+                   ( this.fontWidth + this.lineSpacing );
+};
+
+
+// Re-layout after the container is resized or the device pixel
+// ratio changes ( e.g. browser zoom ).
+AlignmentViewer.prototype.resize = function() {
+  var width = this.width;
+  var parent = this.canvas.parentNode;
+  if ( this.responsive && parent && parent.clientWidth > 0 )
+    width = parent.clientWidth;
+  var ratio = this.options.pixelRatio || window.devicePixelRatio || 1;
+  if ( width == this.width && ratio == this.pixelRatio )
+    return;
+  this.pixelRatio = ratio;
+  this.sizeCanvas(width, this.height);
   this.reflow();
-}
+};
 
 
 AlignmentViewer.prototype.setViewType = function(type) {
   this.viewType = type;
   var values = this.scroller.getValues(); // { left, top, zoom }
   this.render( values.left, values.top, values.zoom );
+  this.emit("viewtype", { viewType: type });
 }; 
 
 
+AlignmentViewer.prototype.setLinkedSummary = function(summary) {
+  this.linkedSummary = summary;
+  var values = this.scroller.getValues();
+  this.render( values.left, values.top, values.zoom );
+};
+
+
+// Find the json.alignment[] index of a sequence by ID.  When the
+// reference start position is given it is used to tell apart
+// multiple alignments of the same sequence.
+AlignmentViewer.prototype.findSequence = function(id, refStart) {
+  var firstMatch = -1;
+  for ( var i = 0; i < this.json.alignment.length; i++ ) {
+    if ( i == this.referenceSeqIdx || this.json.alignment[i].id != id )
+      continue;
+    if ( refStart == undefined || this.refStartOf(i) == refStart )
+      return i;
+    if ( firstMatch < 0 )
+      firstMatch = i;
+  }
+  return firstMatch;
+};
+
+
+// Reference position ( 1-based ) of the first column of an alignment 
+AlignmentViewer.prototype.refStartOf = function(idx) {
+  var pos = this.columnToRefPos[this.json.alignment[idx].start];
+  return (pos == undefined) ? 0 : pos;
+};
+
+
+// Scroll the view so that the given sequence is the first line
+// and its first column is at the left edge.
+AlignmentViewer.prototype.scrollToSequence = function(id, refStart) {
+  var idx = this.findSequence(id, refStart);
+  if ( idx < 0 )
+    return false;
+
+  var aStart = this.json.alignment[idx].start;
+  var left = Math.max(0, aStart - 2);
+  var right = left + this.viewCols;
+
+  // Count the lines drawn above this one for the new column window
+  var line = 0;
+  for ( var i = 0; i < idx; i++ ) {
+    if ( i == this.referenceSeqIdx )
+      continue;
+    var start = this.json.alignment[i].start;
+    var end = start + this.json.alignment[i].sequence.length;
+    if ( start > right || end < left ) continue;
+    line += 1 + this.visibleRowTracks(i).length;
+  }
+
+  if ( idx != this.highlightIdx )
+  {
+    this.highlightIdx = idx;
+    this.emit("select", this.rowInfo(idx));
+  }
+  this.scroller.scrollTo(left, line, true);
+  return true;
+};
+
+
+// Scroll horizontally to an alignment column ( 0-based ) 
+AlignmentViewer.prototype.scrollToColumn = function(column) {
+  var values = this.scroller.getValues();
+  this.scroller.scrollTo(Math.max(0, column), values.top, true);
+};
+
+
+// Scroll horizontally to a reference position ( 1-based )
+AlignmentViewer.prototype.scrollToReferencePos = function(pos) {
+  var column = this.refPosToColumn[pos];
+  if ( column != undefined )
+    this.scrollToColumn(column);
+};
+
+
 AlignmentViewer.prototype.reflow = function() {
   // NOTE: Not sure why I need to pad out the Y scale below
-  this.scroller.setDimensions(this.viewCols, this.viewLines, this.referenceSeq.length, this.maxDepth + 10 );
+  var depth = this.showTracks ? this.maxTrackDepth : this.maxDepth;
+  this.scroller.setDimensions(this.viewCols, this.viewLines, this.referenceSeq.length, depth + 10 );
+};
+
+
+//
+// Annotation tracks
+//
+//   Alignments read from Stockholm files ( see StockholmReader.js )
+// carry annotation strings with one character per alignment column:
+//
+//    json.columnTracks          : [{ name: , annotation: }, ...] for
+//                                 the whole alignment ( #=GC lines ),
+//                                 drawn beneath the reference.
+//    json.alignment[i].tracks   : [{ name: , annotation: }, ...] for
+//                                 one sequence ( #=GR lines ), drawn
+//                                 beneath it.  The annotation covers
+//                                 the same columns as the sequence.
+//
+// Both are shown unless the showTracks option is false.
+//
+AlignmentViewer.prototype.setTracksVisible = function(visible) {
+  this.showTracks = visible;
+  this.sizeCanvas(this.width, this.height);
+  this.reflow();
+  var values = this.scroller.getValues();
+  this.render( values.left, values.top, values.zoom );
+};
+
+
+AlignmentViewer.prototype.visibleColumnTracks = function() {
+  return this.showTracks ? this.columnTracks : [];
+};
+
+
+// The row tracks drawn beneath json.alignment[idx]
+AlignmentViewer.prototype.visibleRowTracks = function(idx) {
+  return ( this.showTracks && this.json.alignment[idx].tracks ) || [];
+};
+
+
+// Row tracks are labelled with their name indented under the ID
+AlignmentViewer.prototype.trackLabel = function(track) {
+  return "  " + track.name;
+};
+
+
+//
+// Guide tree
+//
+//   A guide tree ( Newick text or a root node from NewickTree.parse(),
+// see NewickTree.js ) puts the sequences in the order of its leaves
+// and is drawn as a dendrogram left of the IDs.  The tree is drawn
+// through the rows that are on screen.  Clicking a node selects the
+// sequences of the clade ( see selectClade() ).  Passing null removes
+// the tree and restores the original order.  A tree that can't be
+// read is reported on the canvas.
+//
+AlignmentViewer.prototype.setTree = function(tree) {
+  this.loadTree(tree);
+  this.setData(this.sourceData);
+};
+
+
+// Parse a guide tree for setTree()
+AlignmentViewer.prototype.loadTree = function(tree) {
+  this.treePanel = null;
+  this.treeError = null;
+  if ( tree )
+  {
+    try {
+      this.treePanel = new TreePanel(tree, this.treeWidth);
+    } catch (err) {
+      this.treeError = err.message;
+    }
+  }
+  if ( this.treePanel )
+    this.orderByTree();
+};
+
+
+// The root node of the guide tree or null
+AlignmentViewer.prototype.getTree = function() {
+  return this.treePanel ? this.treePanel.root : null;
+};
+
+
+// Put the sequences in the order of the leaves of the guide tree.  The
+// reference leads and sequences missing from the tree follow the rest
+// in their original order.
+AlignmentViewer.prototype.orderByTree = function() {
+  var order = this.treePanel.order;
+  var alignment = this.json.alignment;
+  var refIdx = this.json.referenceIndex;
+  var rows = [];
+  for ( var i = 0; i < alignment.length; i++ ) {
+    if ( i == refIdx )
+      continue;
+    rows.push({
+      entry: alignment[i],
+      pos: i,
+      leaf: order.hasOwnProperty(alignment[i].id) ? order[alignment[i].id] : alignment.length
+    });
+  }
+  rows.sort(function(a, b) {
+    return ( a.leaf - b.leaf ) || ( a.pos - b.pos );
+  });
+  this.json.alignment = [alignment[refIdx]].concat(rows.map(function(row) {
+    return row.entry;
+  }));
+  this.json.referenceIndex = 0;
+  this.referenceSeqIdx = 0;
+};
+
+
+// The x position of the IDs ( right of the guide tree )
+AlignmentViewer.prototype.labelX = function() {
+  return this.treePanel ? this.treeWidth : 0;
+};
+
+
+//
+// Select the sequences of a clade of the guide tree ( or clear the
+// selection when node is null ).  The selection is passed on to the
+// linked summary.  Emits "cladeselect".
+//
+AlignmentViewer.prototype.selectClade = function(node) {
+  var ids = node ? NewickTree.leafNames(node) : [];
+  this.selectSequences(ids);
+  if ( this.linkedSummary )
+    this.linkedSummary.selectSequences(ids);
+  this.emit("cladeselect", { label: node ? NewickTree.label(node) : null, ids: ids });
+};
+
+
+// Highlight the IDs of a list of sequences
+AlignmentViewer.prototype.selectSequences = function(ids) {
+  this.selectedIds = null;
+  if ( ids && ids.length )
+  {
+    this.selectedIds = {};
+    for ( var i = 0; i < ids.length; i++ )
+      this.selectedIds[ids[i]] = true;
+  }
+  var values = this.scroller.getValues();
+  this.render( values.left, values.top, values.zoom );
+};
+
+
+// The IDs of the selected sequences
+AlignmentViewer.prototype.getSelectedSequences = function() {
+  return this.selectedIds ? Object.keys(this.selectedIds) : [];
+};
+
+
+// Draw the guide tree beside the rows drawn by render() from rowsTop down
+AlignmentViewer.prototype.drawTree = function(rowsTop) {
+  var that = this;
+  var leafRows = {};
+  for ( var i = 0; i < this.rowLayout.length; i++ ) {
+    var id = this.json.alignment[this.rowLayout[i].idx].id;
+    var y = this.rowLayout[i].y - ( this.fontHeight / 2 );
+    if ( leafRows[id] )
+      leafRows[id].last = y;
+    else
+      leafRows[id] = { first: y, last: y };
+  }
+  this.context.save();
+  this.context.beginPath();
+  this.context.rect(0, rowsTop, this.treeWidth, this.height - rowsTop);
+  this.context.clip();
+  this.treePanel.draw(this.context, 0, {
+    leafY: function(name) {
+      return leafRows[name] ? ( leafRows[name].first + leafRows[name].last ) / 2 : null;
+    },
+    isSelected: function(name) {
+      return !!( that.selectedIds && that.selectedIds[name] );
+    }
+  });
+  this.context.restore();
+};
+
+
+// Show the header of the alignment ( json.header, a list of
+// { tag: , value: } such as the Stockholm #=GF lines ) in a
+// HeaderPanel above the canvas.
+AlignmentViewer.prototype.updateHeader = function() {
+  var header = this.json.header || [];
+  if ( ! this.headerPanel && header.length > 0 && this.canvas.parentNode && HeaderPanel )
+    this.headerPanel = new HeaderPanel(this.canvas.parentNode, this.canvas);
+  if ( this.headerPanel )
+    this.headerPanel.setHeader(header);
 };
 
 
@@ -117,21 +550,30 @@ AlignmentViewer.prototype.render = function(left, top, zoom) {
     // DEBUGING
     //var foo = document.getElementById("status");
     //foo.innerHTML="viewLines = " + this.viewLines;
+    var i, j, right, bottom, aBase;
 
     // Clear the canvas
-    this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.context.clearRect(0, 0, this.width, this.height);
 
     // Draw the bounding box
     this.context.beginPath();
     this.context.moveTo(0, 0);
-    this.context.lineTo(this.canvas.width, 0);
-    this.context.lineTo(this.canvas.width, this.canvas.height);
-    this.context.lineTo(0, this.canvas.height);
+    this.context.lineTo(this.width, 0);
+    this.context.lineTo(this.width, this.height);
+    this.context.lineTo(0, this.height);
     this.context.lineTo(0, 0);
     this.context.stroke();
+
+    if ( this.dataError )
+    {
+      AlignmentSchema.drawError(this.context, this.width, "Unable to show the alignment",
+                                this.dataError);
+      return;
+    }
  
-    // Save space for IDs
-    var curX = this.maxIDLen * this.fontWidth;
+    // Save space for the guide tree and IDs
+    var labelX = this.labelX();
+    var curX = labelX + this.maxIDLen * this.fontWidth;
     var curY = this.topBottomMargin;
 
     // Pull out the reference sub-sequence
@@ -210,10 +652,22 @@ AlignmentViewer.prototype.render = function(left, top, zoom) {
     // Draw the reference 
     //    - TODO: Draw reference and/or consensus
     this.context.fillStyle = 'blue';
-    this.context.fillText("Reference",0, curY);
+    this.context.fillText("Reference", labelX, curY);
     this.context.fillText(conSeq, curX, curY);
     curY = curY + ( this.fontHeight + this.lineSpacing );
 
+    // Draw the column annotation tracks
+    var columnTracks = this.visibleColumnTracks();
+    this.context.fillStyle = 'green';
+    for ( i = 0; i < columnTracks.length; i++ ) {
+      this.context.fillText(columnTracks[i].name, labelX, curY);
+      this.context.fillText(columnTracks[i].annotation.substr((left < 0) ? 0 : left, this.viewCols),
+                            curX, curY);
+      curY = curY + ( this.fontHeight + this.lineSpacing );
+    }
+
+    var rowsTop = curY - this.fontHeight - ( this.lineSpacing / 2 );
+
     // Allow stretch animation when alignment is pulled past top
     if ( top < 0 )
     {
@@ -227,6 +681,8 @@ AlignmentViewer.prototype.render = function(left, top, zoom) {
     // Display the alignments
     //
     var visibleLineCounter = 0;
+    var visibleRows = [];
+    var rowLayout = [];
     var inCpG = 0;
     for (i = 0; i < this.json.alignment.length; i++) {
        if ( i == this.referenceSeqIdx)
@@ -254,11 +710,24 @@ AlignmentViewer.prototype.render = function(left, top, zoom) {
         if ( visibleLineCounter >= top )
         {
             inCpG = 0;
-            this.context.fillStyle = 'black';
+            visibleRows.push({ id: align.id, column: aStart, refStart: this.refStartOf(i) });
+            rowLayout.push({ idx: i, y: curY });
+            if ( this.selectedIds && this.selectedIds[align.id] )
+            {
+              // Sequences of the selected clade
+              this.context.fillStyle = '#cce0ff';
+              this.context.fillRect(labelX, curY - this.fontHeight - 2,
+                                    this.maxIDLen * this.fontWidth, this.fontHeight + 5);
+            }
+            if ( i == this.highlightIdx )
+              this.context.fillStyle = 'red';
+            else
+              this.context.fillStyle = 'black';
             var startIndx = left;
             if ( aStart > startIndx ) startIndx = aStart;
             var tmpX = curX + ((startIndx - ((left<0)?0:left)) * this.fontWidth);
-            this.context.fillText(align.id, 0, curY);
+            this.context.fillText(align.id, labelX, curY);
+            this.context.fillStyle = 'black';
 
             if ( this.viewType == "norm" ) {
               // Optimisation: draw full alignment data in one fillText 
@@ -314,23 +783,203 @@ AlignmentViewer.prototype.render = function(left, top, zoom) {
            } // else -- diff display mode
            curY = curY + this.fontHeight + this.lineSpacing;
         } // if visibleLineCounter >= top
+
+        // Draw the row annotation tracks on the following lines
+        var rowTracks = this.visibleRowTracks(i);
+        for (j = 0; j < rowTracks.length; j++) {
+          visibleLineCounter++;
+          if ( visibleLineCounter > bottom ) break;
+          if ( visibleLineCounter >= top )
+          {
+            var trackStart = 0;
+            if ( aStart < left ) trackStart = left - aStart;
+            var trackX = curX + ((Math.max(left, aStart) - ((left<0)?0:left)) * this.fontWidth);
+            this.context.fillStyle = 'gray';
+            this.context.fillText(this.trackLabel(rowTracks[j]), labelX, curY);
+            this.context.fillText(rowTracks[j].annotation.substr(trackStart, (left + this.viewCols) - trackStart + 1),
+                                  trackX, curY);
+            curY = curY + this.fontHeight + this.lineSpacing;
+          }
+        }
     } // for i over alignments
+
+    this.rowLayout = rowLayout;
+    if ( this.treePanel )
+      this.drawTree(rowsTop);
+    if ( this.treeError )
+      AlignmentSchema.drawError(this.context, this.width, "Unable to show the tree",
+                                this.treeError);
+
+    // Let a linked summary and any "scroll" handlers know what is on screen
+    var startColumn = Math.max(0, Math.round(left));
+    var endColumn = Math.min(this.referenceSeq.length, startColumn + Math.floor(this.viewCols)) - 1;
+    var startPos = Math.max(1, this.columnToRefPos[startColumn]);
+    var endPos = this.columnToRefPos[endColumn];
+    if ( this.linkedSummary )
+    {
+      this.linkedSummary.showViewerWindow({
+        startColumn: startColumn,
+        endColumn: endColumn,
+        startPos: startPos,
+        endPos: endPos,
+        rows: visibleRows
+      });
+    }
+    var last = this.lastView;
+    if ( ! last || last.left != left || last.top != top || last.zoom != zoom )
+    {
+      this.lastView = { left: left, top: top, zoom: zoom, startColumn: startColumn,
+                        endColumn: endColumn, startPos: startPos, endPos: endPos };
+      this.emit("scroll", this.lastView);
+    }
+};
+
+
+//
+// Events
+//
+//   Embedding applications may listen for user actions with
+// on( event, handler ) and remove handlers with off().  Handlers are
+// called with the payload and with "this" set to the viewer.  Events
+// describing a row pass:
+//
+//    { index       : Index of the sequence in json.alignment[] ( for
+//                    version 1 data the reference is index 0 and
+//                    rows[i] is index i + 1 unless the rows are in
+//                    the order of a guide tree, see AlignmentSchema.js ),
+//      id          : Sequence ID,
+//      start, end  : Reference ( consensus ) coordinates of the sequence,
+//      startColumn,
+//      endColumn   : Alignment columns ( 0-based ) of the sequence,
+//      properties  : json.alignment[].properties ( e.g. the Stockholm
+//                    #=GS fields ) or {} }
+//
+// The events are:
+//
+//    "rowhover"  : The row under the mouse changed ( null when the mouse
+//                  leaves the rows ).
+//    "rowclick"  : A row was clicked ( without dragging ).
+//    "select"    : The highlighted row changed ( see scrollToSequence() ).
+//    "scroll"    : The view moved.  Passes { left, top, zoom, startColumn,
+//                  endColumn, startPos, endPos } where startPos/endPos are
+//                  the reference coordinates on screen.
+//    "viewtype"  : { viewType: } after setViewType().
+//    "cladeselect" : A clade of the guide tree was clicked.  Passes
+//                  { label, ids } ( null and [] when the selection is
+//                  cleared, see selectClade() ).
+//
+AlignmentViewer.prototype.on = function(event, handler) {
+  if ( ! this.handlers[event] )
+    this.handlers[event] = [];
+  this.handlers[event].push(handler);
+  return this;
+};
+
+
+// Remove a handler, or all handlers for the event when none is given
+AlignmentViewer.prototype.off = function(event, handler) {
+  var handlers = this.handlers[event];
+  if ( ! handlers )
+    return this;
+  if ( ! handler )
+  {
+    delete this.handlers[event];
+    return this;
+  }
+  for ( var i = handlers.length - 1; i >= 0; i-- ) {
+    if ( handlers[i] === handler )
+      handlers.splice(i, 1);
+  }
+  return this;
+};
+
+
+AlignmentViewer.prototype.emit = function(event, payload) {
+  var handlers = this.handlers[event];
+  if ( ! handlers )
+    return;
+  // Copied so handlers may call off()
+  handlers = handlers.slice(0);
+  for ( var i = 0; i < handlers.length; i++ )
+    handlers[i].call(this, payload);
+};
+
+
+// The event payload describing a sequence
+AlignmentViewer.prototype.rowInfo = function(idx) {
+  if ( idx < 0 )
+    return null;
+  var align = this.json.alignment[idx];
+  var endColumn = align.start + align.sequence.length - 1;
+  return {
+    index: idx,
+    id: align.id,
+    start: this.refStartOf(idx),
+    end: this.columnToRefPos[Math.min(endColumn, this.referenceSeq.length - 1)],
+    startColumn: align.start,
+    endColumn: endColumn,
+    properties: align.properties || {}
+  };
+};
+
+
+// The json.alignment[] index of the row drawn at a canvas y position
+// or -1 if there isn't one.
+AlignmentViewer.prototype.rowAtY = function(y) {
+  for ( var i = 0; i < this.rowLayout.length; i++ ) {
+    var baseline = this.rowLayout[i].y;
+    if ( y > baseline - this.fontHeight - ( this.lineSpacing / 2 ) &&
+         y <= baseline + ( this.lineSpacing / 2 ) )
+      return this.rowLayout[i].idx;
+  }
+  return -1;
+};
+
+
+AlignmentViewer.prototype.getMousePos = function(e) {
+  var rect = this.canvas.getBoundingClientRect();
+  return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+};
+
+
+// Track the row under the mouse and emit "rowhover" when it changes
+AlignmentViewer.prototype.setHoverRow = function(idx) {
+  if ( idx == this.hoverIdx )
+    return;
+  this.hoverIdx = idx;
+  this.emit("rowhover", this.rowInfo(idx));
+};
+
+
+// Add an event listener which is removed again by destroy()
+AlignmentViewer.prototype.listen = function(target, type, handler) {
+  target.addEventListener(type, handler, false);
+  this.listeners.push([target, type, handler]);
 };
 
 
 AlignmentViewer.prototype.bindEvents = function() {
 
 	var that = this;
+	this.listeners = [];
+	this.dragListeners = null;
+	this.press = null;
 
 	// reflow handling
-	window.addEventListener("resize", function() {
-		that.reflow();
-	}, false);
+	this.listen(window, "resize", function() {
+		that.resize();
+	});
+	if (this.responsive && window.ResizeObserver && this.canvas.parentNode) {
+		this.resizeObserver = new ResizeObserver(function() {
+			that.resize();
+		});
+		this.resizeObserver.observe(this.canvas.parentNode);
+	}
 
 	// touch devices bind touch events
 	if ('ontouchstart' in window) {
 
-		this.canvas.addEventListener("touchstart", function(e) {
+		this.listen(this.canvas, "touchstart", function(e) {
 
 			// Don't react if initial down happens on a form element
 			if (e.touches[0] && e.touches[0].target && e.touches[0].target.tagName.match(/input|textarea|select/i)) {
@@ -340,26 +989,26 @@ AlignmentViewer.prototype.bindEvents = function() {
 			that.scroller.doTouchStart(e.touches, e.timeStamp);
 			e.preventDefault();
 
-		}, false);
+		});
 
-		document.addEventListener("touchmove", function(e) {
+		// Touch events are delivered to the element the touch started
+		// on so there is no need to listen on the document.
+		this.listen(this.canvas, "touchmove", function(e) {
 			that.scroller.doTouchMove(e.touches, e.timeStamp, e.scale);
-		}, false);
+		});
 
-		document.addEventListener("touchend", function(e) {
+		this.listen(this.canvas, "touchend", function(e) {
 			that.scroller.doTouchEnd(e.timeStamp);
-		}, false);
+		});
 
-		document.addEventListener("touchcancel", function(e) {
+		this.listen(this.canvas, "touchcancel", function(e) {
 			that.scroller.doTouchEnd(e.timeStamp);
-		}, false);
+		});
 
 	// non-touch bind mouse events
 	} else {
-		
-		var mousedown = false;
 
-		this.canvas.addEventListener("mousedown", function(e) {
+		this.listen(this.canvas, "mousedown", function(e) {
 
 			if (e.target.tagName.match(/input|textarea|select/i)) {
 				return;
@@ -370,43 +1019,236 @@ AlignmentViewer.prototype.bindEvents = function() {
 				pageY: e.pageY
 			}], e.timeStamp);
 
-			mousedown = true;
+			// Remembered to tell a click from a drag
+			var pos = that.getMousePos(e);
+			that.press = {
+				pageX: e.pageX,
+				pageY: e.pageY,
+				idx: that.rowAtY(pos.y),
+				inTree: !!that.treePanel && pos.x < that.treeWidth,
+				node: that.treePanel ? that.treePanel.nodeAt(pos.x, pos.y) : null
+			};
+			that.startDrag();
 			e.preventDefault();
 
-		}, false);
+		});
 
-		document.addEventListener("mousemove", function(e) {
+		this.listen(this.canvas, "mousemove", function(e) {
+			if (!that.dragListeners) {
+				that.setHoverRow(that.rowAtY(that.getMousePos(e).y));
+			}
+		});
 
-			if (!mousedown) {
-				return;
+		this.listen(this.canvas, "mouseout", function(e) {
+			that.setHoverRow(-1);
+		});
+
+		this.listen(this.canvas, "mousewheel", function(e) {
+			if(that.options.zooming) {
+				that.scroller.doMouseZoom(e.wheelDelta, e.timeStamp, e.pageX, e.pageY);	
 			}
-			
-			that.scroller.doTouchMove([{
-				pageX: e.pageX,
-				pageY: e.pageY
-			}], e.timeStamp);
+		});
 
-			mousedown = true;
+	}
+};
 
-		}, false);
 
-		document.addEventListener("mouseup", function(e) {
+// Follow a mouse drag outside of the canvas.  The document listeners
+// are only attached while the button is down so that several viewers
+// on a page don't all receive every mouse movement.
+AlignmentViewer.prototype.startDrag = function() {
+  if ( this.dragListeners )
+    return;
 
-			if (!mousedown) {
-				return;
-			}
-			
-			that.scroller.doTouchEnd(e.timeStamp);
+  var that = this;
+  this.dragListeners = {
+    mousemove: function(e) {
+      that.scroller.doTouchMove([{
+        pageX: e.pageX,
+        pageY: e.pageY
+      }], e.timeStamp);
+    },
+    mouseup: function(e) {
+      that.scroller.doTouchEnd(e.timeStamp);
+      that.endDrag();
+      var press = that.press;
+      that.press = null;
+      if ( ! press || Math.abs(e.pageX - press.pageX) >= 3 || Math.abs(e.pageY - press.pageY) >= 3 )
+        return;
+      if ( press.inTree )
+        that.selectClade(press.node);
+      else if ( press.idx >= 0 )
+        that.emit("rowclick", that.rowInfo(press.idx));
+    }
+  };
+  document.addEventListener("mousemove", this.dragListeners.mousemove, false);
+  document.addEventListener("mouseup", this.dragListeners.mouseup, false);
+};
 
-			mousedown = false;
 
-		}, false);
+AlignmentViewer.prototype.endDrag = function() {
+  if ( ! this.dragListeners )
+    return;
+  document.removeEventListener("mousemove", this.dragListeners.mousemove, false);
+  document.removeEventListener("mouseup", this.dragListeners.mouseup, false);
+  this.dragListeners = null;
+};
 
-		this.canvas.addEventListener("mousewheel", function(e) {
-			if(that.options.zooming) {
-				that.scroller.doMouseZoom(e.wheelDelta, e.timeStamp, e.pageX, e.pageY);	
-			}
-		}, false);
 
-	}
+//
+// Remove all event listeners, unlink any linked summary and clear the
+// canvas.  The viewer must not be used afterwards.
+//
+AlignmentViewer.prototype.destroy = function() {
+  this.endDrag();
+  for ( var i = 0; i < this.listeners.length; i++ ) {
+    var l = this.listeners[i];
+    l[0].removeEventListener(l[1], l[2], false);
+  }
+  this.listeners = [];
+  if ( this.resizeObserver )
+  {
+    this.resizeObserver.disconnect();
+    this.resizeObserver = null;
+  }
+  if ( this.linkedSummary )
+  {
+    this.linkedSummary.unlinkViewer();
+    this.linkedSummary = null;
+  }
+  if ( this.headerPanel )
+  {
+    this.headerPanel.destroy();
+    this.headerPanel = null;
+  }
+  this.destroyed = true;
+  this.context.clearRect(0, 0, this.width, this.height);
+};
+
+
+//
+// Figure export
+//
+//   Export the current view ( ruler, score graph, reference and the
+// visible rows ) as an SVG figure or a PNG data URL.  Options:
+//
+//    title     : Title drawn above the figure ( default none )
+//    legend    : Draw a legend below the figure ( default true )
+//    axisLabel : Label describing the ruler ( default "Reference position (bp)" )
+//
+AlignmentViewer.prototype.exportSVG = function(options) {
+  var layout = this.figureLayout(options);
+  var ctx = new SVGContext(layout.width, layout.height, "#ffffff");
+  this.drawFigure(ctx, layout);
+  return ctx.getSerializedSvg();
+};
+
+
+// Export the current view as a PNG data URL at the given scale ( default 2 )
+AlignmentViewer.prototype.exportPNG = function(scale, options) {
+  scale = scale || 2;
+  var layout = this.figureLayout(options);
+  var canvas = document.createElement("canvas");
+  canvas.width = Math.round(layout.width * scale);
+  canvas.height = Math.round(layout.height * scale);
+  var ctx = canvas.getContext("2d");
+  ctx.scale(scale, scale);
+  this.drawFigure(ctx, layout);
+
+  // Fill in the background behind everything drawn
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalCompositeOperation = "destination-over";
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL("image/png");
+};
+
+
+AlignmentViewer.prototype.figureLayout = function(options) {
+  options = options || {};
+  var layout = {
+    title: options.title || "",
+    legend: (options.legend !== false),
+    axisLabel: (options.axisLabel !== undefined) ? options.axisLabel : "Reference position (bp)",
+    width: this.width,
+    titleHeight: (options.title ? 28 : 0),
+    axisLabelHeight: 0,
+    viewHeight: this.height,
+    footerHeight: 0
+  };
+  // The axis label sits above the ruler
+  if ( layout.axisLabel )
+    layout.axisLabelHeight = 18;
+  if ( layout.legend )
+    layout.footerHeight = 26;
+  layout.height = layout.titleHeight + layout.axisLabelHeight + layout.viewHeight + layout.footerHeight;
+  return layout;
 };
+
+
+AlignmentViewer.prototype.drawFigure = function(ctx, layout) {
+  var y = 0;
+  ctx.fillStyle = "#000000";
+  if ( layout.title )
+  {
+    ctx.font = "bold 16px sans-serif";
+    ctx.fillText(layout.title, 0, 20);
+    y += layout.titleHeight;
+  }
+  if ( layout.axisLabel )
+  {
+    ctx.font = "12px sans-serif";
+    ctx.fillText(layout.axisLabel, this.labelX() + this.maxIDLen * this.fontWidth, y + 13);
+    y += layout.axisLabelHeight;
+  }
+
+  // Redraw the view onto the figure context
+  var savedContext = this.context;
+  var values = this.scroller.getValues();
+  ctx.save();
+  ctx.translate(0, y);
+  ctx.font = savedContext.font;
+  this.context = ctx;
+  try {
+    this.render(values.left, values.top, values.zoom);
+  } finally {
+    this.context = savedContext;
+    ctx.restore();
+  }
+  y += layout.viewHeight;
+
+  if ( layout.legend )
+    this.drawLegend(ctx, 0, y + 8);
+};
+
+
+// Draw a key to the score graph and the difference view symbols
+AlignmentViewer.prototype.drawLegend = function(ctx, x, y) {
+  ctx.font = "11px sans-serif";
+  ctx.fillStyle = "red";
+  ctx.fillRect(x, y, 10, 10);
+  ctx.fillStyle = "#000000";
+  ctx.fillText("Column score", x + 14, y + 9);
+  x += 14 + ctx.measureText("Column score").width + 16;
+  if ( this.viewType != "norm" )
+  {
+    var keys = [ [ "black", ".", "matches reference" ],
+                 [ "black", "i", "transition" ],
+                 [ "red", "CG", "reference CpG site" ] ];
+    for ( var i = 0; i < keys.length; i++ )
+    {
+      ctx.font = "bold 11px Courier New, monospace";
+      ctx.fillStyle = keys[i][0];
+      ctx.fillText(keys[i][1], x, y + 9);
+      x += ctx.measureText(keys[i][1]).width + 4;
+      ctx.font = "11px sans-serif";
+      ctx.fillStyle = "#000000";
+      ctx.fillText(keys[i][2], x, y + 9);
+      x += ctx.measureText(keys[i][2]).width + 16;
+    }
+  }
+};
+
+
+return AlignmentViewer;
+}));
@@ -0,0 +1,481 @@
+//
+// Genomic Context Panel
+//
+//   A floating panel opened by clicking a bar in an AlignmentSummary.
+//  It shows the hits on the same contig as the selected alignment
+//  and within the summary's grouping distance, laid out along the
+//  contig beneath the consensus.  Dashed connectors join the ends of
+//  each hit to the consensus positions it aligns to.  Forward strand
+//  hits are drawn in black and reverse strand hits in red.  Hits
+//  hidden by the summary filter are faded.
+//
+//  The panel may be dragged by its title bar and zoomed along the
+//  contig ( buttons or mouse wheel ).  Hovering over a hit shows its
+//  exact coordinates and clicking a hit selects it in the summary.
+//  An unpinned panel is reused by the next click on the summary, so
+//  pin a panel to keep it open alongside others.
+//
+//  Panels are created by the summary ( see
+//  AlignmentSummary.showContext() ):
+//
+//    var panel = new ContextPanel(mySummary, row, x, y);
+//
+//  where row is a summary data row and x,y is the position of the
+//  panel relative to the summary's canvas container.
+//
+// UMD wrapper ( see index.mjs )
+(function (root, factory) {
+    if (typeof define === "function" && define.amd) {
+        define([], factory);
+    } else if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ContextPanel = factory();
+    }
+}(typeof self !== "undefined" ? self : this, function () {
+
+function ContextPanel(summary, row, x, y) {
+    this.summary = summary;
+    this.pinned = false;
+
+    // Layout constants
+    this.width = 420;
+    this.margin = 10;
+    this.consensusY = 20;
+    this.levelSpacing = 16;
+    this.axisHeight = 40;
+
+    this.hits = [];
+    this.hover = null;
+
+    this.buildDOM();
+    this.moveTo(x, y);
+
+    this.show(row);
+}
+
+
+// Create the panel elements and wire up their events
+ContextPanel.prototype.buildDOM = function () {
+    var that = this;
+
+    this.div = document.createElement("div");
+    this.div.style.cssText = "position:absolute;z-index:10;background:#ffffff;" +
+                             "border:1px solid #404040;" +
+                             "box-shadow:2px 2px 6px rgba(0,0,0,0.3);" +
+                             "font:12px sans-serif;width:" + this.width + "px";
+
+    this.header = document.createElement("div");
+    this.header.style.cssText = "background:#e8e8e8;padding:3px 4px;cursor:move;" +
+                                "white-space:nowrap;overflow:hidden";
+    this.title = document.createElement("span");
+    this.title.style.cssText = "font-weight:bold";
+    this.header.appendChild(this.title);
+
+    var buttons = document.createElement("span");
+    buttons.style.cssText = "float:right";
+    this.addButton(buttons, "-", "Zoom out", function () {
+        that.zoom(2);
+    });
+    this.addButton(buttons, "+", "Zoom in", function () {
+        that.zoom(0.5);
+    });
+    this.addButton(buttons, "Fit", "Fit the hits near the selected alignment",
+                   function () {
+                       that.fit();
+                   });
+    this.pinButton = this.addButton(buttons, "Pin", "Keep this panel open",
+                                    function () {
+                                        that.setPinned(!that.pinned);
+                                    });
+    this.addButton(buttons, "x", "Close", function () {
+        that.close();
+    });
+    this.header.insertBefore(buttons, this.title);
+    this.div.appendChild(this.header);
+
+    this.canvas = document.createElement("canvas");
+    this.canvas.width = this.width;
+    this.canvas.height = 100;
+    this.canvas.style.display = "block";
+    this.context = this.canvas.getContext("2d");
+    this.div.appendChild(this.canvas);
+
+    this.status = document.createElement("div");
+    this.status.style.cssText = "padding:2px 4px;border-top:1px solid #e0e0e0;" +
+                                "min-height:15px;white-space:nowrap;overflow:hidden";
+    this.div.appendChild(this.status);
+
+    this.header.addEventListener("mousedown", function (evt) {
+        if (evt.target !== that.header && evt.target !== that.title) {
+            return;
+        }
+        that.startDrag(evt);
+        evt.preventDefault();
+    }, false);
+    this.canvas.addEventListener("mousemove", function (evt) {
+        that.hoverHndlr(evt);
+    }, false);
+    this.canvas.addEventListener("mouseout", function (evt) {
+        that.hover = null;
+        that.draw();
+    }, false);
+    this.canvas.addEventListener("click", function (evt) {
+        var hit = that.hitAt(evt);
+        if (hit) {
+            that.row = hit;
+            that.draw();
+            that.summary.selectRow(hit);
+        }
+    }, false);
+    this.canvas.addEventListener("wheel", function (evt) {
+        var pos = that.getMousePos(evt);
+        that.zoom((evt.deltaY > 0) ? 1.25 : 0.8, that.xToPos(pos.x));
+        evt.preventDefault();
+    }, false);
+
+    this.summary.cdiv.appendChild(this.div);
+};
+
+
+ContextPanel.prototype.addButton = function (parent, label, tip, action) {
+    var button = document.createElement("button");
+    button.innerHTML = label;
+    button.title = tip;
+    button.style.cssText = "margin-left:2px;padding:0px 4px;font-size:11px";
+    button.addEventListener("click", action, false);
+    parent.appendChild(button);
+    return button;
+};
+
+
+ContextPanel.prototype.moveTo = function (x, y) {
+    this.x = Math.max(0, x);
+    this.y = Math.max(0, y);
+    this.div.style.left = this.x + "px";
+    this.div.style.top = this.y + "px";
+};
+
+
+// Follow a drag of the title bar.  The document listeners are only
+// attached while the button is down so that open panels don't all
+// receive every mouse movement.
+ContextPanel.prototype.startDrag = function (evt) {
+    if (this.drag) {
+        return;
+    }
+    var that = this;
+    var drag = {
+        x: evt.clientX - this.x,
+        y: evt.clientY - this.y,
+        mousemove: function (evt) {
+            that.moveTo(evt.clientX - drag.x, evt.clientY - drag.y);
+        },
+        mouseup: function (evt) {
+            that.endDrag();
+        }
+    };
+    this.drag = drag;
+    document.addEventListener("mousemove", drag.mousemove, false);
+    document.addEventListener("mouseup", drag.mouseup, false);
+};
+
+
+ContextPanel.prototype.endDrag = function () {
+    if (!this.drag) {
+        return;
+    }
+    document.removeEventListener("mousemove", this.drag.mousemove, false);
+    document.removeEventListener("mouseup", this.drag.mouseup, false);
+    this.drag = null;
+};
+
+
+ContextPanel.prototype.setPinned = function (pinned) {
+    this.pinned = pinned;
+    this.pinButton.innerHTML = pinned ? "Unpin" : "Pin";
+    this.header.style.background = pinned ? "#ffe9a8" : "#e8e8e8";
+};
+
+
+ContextPanel.prototype.close = function () {
+    this.endDrag();
+    if (this.div.parentNode) {
+        this.div.parentNode.removeChild(this.div);
+    }
+    this.summary.removeContextPanel(this);
+};
+
+
+//
+// Center the panel on a summary row and fit the view to the hits
+// within the summary's grouping distance of it.
+//
+ContextPanel.prototype.show = function (row) {
+    this.row = row;
+    this.contig = row[0];
+    this.fit();
+};
+
+
+ContextPanel.prototype.fit = function () {
+    var start = parseInt(this.row[6]);
+    var end = parseInt(this.row[7]);
+    var dist = this.summary.maxGroupingDist;
+    var rows = this.summary.contigRows(this.contig);
+    var minPos = start;
+    var maxPos = end;
+
+    // Same neighbourhood as the original popup
+    for (var i = 0; i < rows.length; i += 1) {
+        var instStart = parseInt(rows[i][6]);
+        var instEnd = parseInt(rows[i][7]);
+        if ((instStart > start - dist && instStart < end + dist) ||
+            (instEnd > start - dist && instEnd < end + dist)) {
+            minPos = Math.min(minPos, instStart);
+            maxPos = Math.max(maxPos, instEnd);
+        }
+    }
+    var pad = Math.max(5, Math.round((maxPos - minPos + 1) * 0.05));
+    this.setView(minPos - pad, maxPos + pad);
+};
+
+
+//
+// Zoom the view by a factor ( < 1 zooms in ) keeping the contig
+// position "center" ( default the middle of the view ) in place.
+//
+ContextPanel.prototype.zoom = function (factor, center) {
+    if (center === undefined) {
+        center = (this.viewStart + this.viewEnd) / 2;
+    }
+    var span = Math.max(20, (this.viewEnd - this.viewStart + 1) * factor);
+    var frac = (center - this.viewStart) / (this.viewEnd - this.viewStart + 1);
+    var start = Math.round(center - (span * frac));
+    this.setView(start, start + Math.round(span) - 1);
+};
+
+
+// Display contig positions [start, end] and collect the hits overlapping them
+ContextPanel.prototype.setView = function (start, end) {
+    this.viewStart = Math.max(1, start);
+    this.viewEnd = Math.max(this.viewStart + 19, end);
+    this.scale = (this.width - (2 * this.margin)) / (this.viewEnd - this.viewStart + 1);
+
+    var rows = this.summary.contigRows(this.contig);
+    var visible = [];
+    for (var i = 0; i < rows.length; i += 1) {
+        if (parseInt(rows[i][7]) >= this.viewStart &&
+            parseInt(rows[i][6]) <= this.viewEnd) {
+            visible.push(rows[i]);
+        }
+    }
+    visible.sort(function (a, b) {
+        if (parseInt(a[6]) === parseInt(b[6])) {
+            return ((b[7] - b[6]) - (a[7] - a[6]));
+        } else {
+            return (a[6] - b[6]);
+        }
+    });
+
+    // Stack overlapping hits on separate levels
+    this.levels = [];
+    for (var j = 0; j < visible.length; j += 1) {
+        for (var k = 0; k <= this.levels.length; k += 1) {
+            if (k == this.levels.length) {
+                this.levels[k] = [visible[j]];
+                break;
+            }
+            var prevEle = this.levels[k][this.levels[k].length - 1];
+            if (parseInt(prevEle[7]) < parseInt(visible[j][6])) {
+                this.levels[k].push(visible[j]);
+                break;
+            }
+        }
+    }
+    this.canvas.height = this.consensusY + 30 +
+                         (this.levels.length * this.levelSpacing) + this.axisHeight;
+    this.draw();
+};
+
+
+// Translate between contig positions and canvas x coordinates
+ContextPanel.prototype.posToX = function (pos) {
+    return this.margin + ((pos - this.viewStart) * this.scale);
+};
+
+
+ContextPanel.prototype.xToPos = function (x) {
+    return this.viewStart + ((x - this.margin) / this.scale);
+};
+
+
+ContextPanel.prototype.draw = function () {
+    var ctx = this.context;
+    var summary = this.summary;
+    var width = this.width - (2 * this.margin);
+    var consScale = width / summary.json.length;
+    var levelsY = this.consensusY + 30;
+    var j;
+    var k;
+
+    this.title.innerHTML = "";
+    this.title.appendChild(document.createTextNode(
+        this.row[0] + ":" + this.row[6] + "-" + this.row[7] +
+        (summary.isShown(this.row) ? "" : " ( filtered )")));
+
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+    // Consensus
+    ctx.strokeStyle = "green";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(this.margin, this.consensusY);
+    ctx.lineTo(this.margin + width, this.consensusY);
+    ctx.stroke();
+    ctx.fillStyle = "#000000";
+    ctx.font = "10px sans-serif";
+    ctx.fillText("Consensus 1-" + summary.json.length, this.margin, this.consensusY - 6);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, this.consensusY + 2, this.width, this.canvas.height);
+    ctx.clip();
+
+    // Hits
+    this.hits = [];
+    for (j = 0; j < this.levels.length; j += 1) {
+        var y = levelsY + (j * this.levelSpacing);
+        for (k = 0; k < this.levels[j].length; k += 1) {
+            var hit = this.levels[j][k];
+            var start = this.posToX(parseInt(hit[6]));
+            var end = this.posToX(parseInt(hit[7]) + 1);
+            var selected = (hit === this.row);
+            ctx.globalAlpha = summary.isShown(hit) ? 1 : 0.3;
+
+            // Connectors to the consensus
+            ctx.strokeStyle = "#808080";
+            ctx.lineWidth = 1;
+            ctx.setLineDash([2, 3]);
+            ctx.beginPath();
+            ctx.moveTo(start, y);
+            ctx.lineTo(this.margin + ((hit[1] - 1) * consScale), this.consensusY);
+            ctx.moveTo(end, y);
+            ctx.lineTo(this.margin + ((hit[1] + hit[2] - 1) * consScale), this.consensusY);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.strokeStyle = (hit[4] === "R") ? "red" : "black";
+            ctx.lineWidth = (selected || hit === this.hover) ? 4 : 2;
+            ctx.beginPath();
+            ctx.moveTo(start, y);
+            ctx.lineTo(Math.max(end, start + 1), y);
+            ctx.stroke();
+
+            ctx.fillStyle = "#000000";
+            ctx.font = "8px sans-serif";
+            ctx.fillText(hit[5], Math.max(start, 0), y + 9);
+
+            this.hits.push({
+                row: hit,
+                x0: start,
+                x1: end,
+                y: y
+            });
+        }
+    }
+    ctx.globalAlpha = 1;
+    ctx.restore();
+
+    this.drawAxis(levelsY + (this.levels.length * this.levelSpacing));
+
+    if (this.hover) {
+        this.setStatus(this.hover);
+    } else {
+        this.setStatus(this.row);
+    }
+};
+
+
+// Draw the contig axis with its end coordinates and a scale bar
+ContextPanel.prototype.drawAxis = function (y) {
+    var ctx = this.context;
+    var width = this.width - (2 * this.margin);
+
+    ctx.strokeStyle = "gray";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(this.margin, y);
+    ctx.lineTo(this.margin + width, y);
+    ctx.stroke();
+
+    ctx.fillStyle = "#000000";
+    ctx.font = "10px sans-serif";
+    ctx.fillText("" + this.viewStart, this.margin, y + 13);
+    var endLabel = "" + this.viewEnd;
+    ctx.fillText(endLabel, this.margin + width - ctx.measureText(endLabel).width, y + 13);
+
+    // Scale bar of 1, 2 or 5 x 10^n bp near a quarter of the view
+    var target = (this.viewEnd - this.viewStart + 1) / 4;
+    var magnitude = Math.pow(10, Math.floor(Math.log(target) / Math.LN10));
+    var barLen = magnitude;
+    if (magnitude * 5 <= target) {
+        barLen = magnitude * 5;
+    } else if (magnitude * 2 <= target) {
+        barLen = magnitude * 2;
+    }
+    var barWidth = barLen * this.scale;
+    var barX = this.margin + ((width - barWidth) / 2);
+    ctx.fillRect(barX, y + 20, barWidth, 2);
+    ctx.fillRect(barX, y + 17, 1, 8);
+    ctx.fillRect(barX + barWidth - 1, y + 17, 1, 8);
+    var barLabel = (barLen >= 1000) ? (barLen / 1000) + " kb" : barLen + " bp";
+    ctx.fillText(barLabel, barX + ((barWidth - ctx.measureText(barLabel).width) / 2),
+                 y + 35);
+};
+
+
+ContextPanel.prototype.setStatus = function (row) {
+    var text = row[0] + ":" + row[6] + "-" + row[7] + " ( " +
+               ((row[4] == "R") ? "-" : "+") + " )  div " + row[5] +
+               "  consensus " + row[1] + "-" + (row[1] + row[2] - 1);
+    this.status.innerHTML = "";
+    this.status.appendChild(document.createTextNode(text));
+};
+
+
+ContextPanel.prototype.getMousePos = function (evt) {
+    var rect = this.canvas.getBoundingClientRect();
+    return {
+        x: evt.clientX - rect.left,
+        y: evt.clientY - rect.top
+    };
+};
+
+
+// The hit under the mouse ( or null )
+ContextPanel.prototype.hitAt = function (evt) {
+    var pos = this.getMousePos(evt);
+    for (var i = 0; i < this.hits.length; i += 1) {
+        var hit = this.hits[i];
+        if (pos.x >= hit.x0 - 2 && pos.x <= Math.max(hit.x1, hit.x0 + 1) + 2 &&
+            Math.abs(pos.y - hit.y) <= 4) {
+            return hit.row;
+        }
+    }
+    return null;
+};
+
+
+ContextPanel.prototype.hoverHndlr = function (evt) {
+    var hit = this.hitAt(evt);
+    if (hit !== this.hover) {
+        this.hover = hit;
+        this.canvas.style.cursor = hit ? "pointer" : "default";
+        this.draw();
+    }
+};
+
+
+return ContextPanel;
+}));
@@ -0,0 +1,385 @@
+//
+// HTML5 Canvas Divergence Histogram
+//
+//   Each row of the AlignmentSummary data carries the Kimura divergence
+//  of the instance from the reference ( field 5, as calculated by
+//  MultAln::kimuraDivergence ).  This panel bins those values so that
+//  multiple bursts of activity ( and candidate subfamilies ) stand out
+//  as separate peaks.
+//
+//  Bars are drawn for every alignment in a light shade and for the
+//  alignments currently displayed by the summary ( i.e. passing its
+//  filter ) in a dark shade.  Dragging across the histogram selects a
+//  divergence range which is either highlighted in the summary or
+//  used to filter it.  A click without a drag clears the selection.
+//
+//  Options:
+//    binWidth    : Width of each bin in divergence units ( default 0.01,
+//                  the precision of the summary data ).
+//    splitStrand : Draw the forward strand counts above the axis and the
+//                  reverse strand counts below it ( default false ).
+//    brushAction : "highlight" ( default ) fades summary rows outside of
+//                  the selected range, "filter" hides them.
+//    onSelect    : Function called with ( minDiv, maxDiv ) after the
+//                  selection changes.  Both are null when cleared.
+//
+//  Example invocation:
+//  -------------------
+//  HTML:
+//    <canvas id="histogram_canvas" width="300" height="200"></canvas>
+//
+//  Javascript:
+//    var myHistogram = new DivergenceHistogram(
+//                  document.getElementById('histogram_canvas'),
+//                  mySummary, { splitStrand: true });
+//
+// UMD wrapper ( see index.mjs )
+(function (root, factory) {
+    if (typeof define === "function" && define.amd) {
+        define([], factory);
+    } else if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DivergenceHistogram = factory();
+    }
+}(typeof self !== "undefined" ? self : this, function () {
+
+function DivergenceHistogram(canvas, summary, options) {
+    this.canvas = canvas;
+    this.context = canvas.getContext("2d");
+    this.summary = summary;
+    this.options = options || {};
+
+    this.binWidth = this.options.binWidth || 0.01;
+    this.splitStrand = (this.options.splitStrand === true);
+    this.brushAction = this.options.brushAction || "highlight";
+
+    // Layout constants
+    this.leftMargin = 40;
+    this.rightMargin = 10;
+    this.topMargin = 10;
+    this.bottomMargin = 30;
+    this.plotWidth = this.canvas.width - this.leftMargin - this.rightMargin;
+    this.plotHeight = this.canvas.height - this.topMargin - this.bottomMargin;
+
+    // Colors for all alignments and for the displayed alignments
+    this.allColor = ["#c6d4ea", "#eacac6"];  // forward, reverse
+    this.shownColor = ["#3366cc", "#cc4433"];
+
+    // Selected range ( null when nothing is selected )
+    this.selection = null;
+    this.brush = null;
+
+    // The mouseup listener is only attached to the document while
+    // brushing ( see mouseDownHndlr() )
+    var that = this;
+    this.mouseDownListener = function (evt) {
+        that.mouseDownHndlr(evt);
+    };
+    this.mouseMoveListener = function (evt) {
+        that.mouseMoveHndlr(evt);
+    };
+    this.mouseUpListener = function (evt) {
+        that.mouseUpHndlr(evt);
+    };
+    this.canvas.addEventListener("mousedown", this.mouseDownListener, false);
+    this.canvas.addEventListener("mousemove", this.mouseMoveListener, false);
+
+    this.summary.linkHistogram(this);
+}
+
+
+//
+// Rebin the summary rows and redraw.  Called by the summary whenever
+// the displayed rows change.
+//
+DivergenceHistogram.prototype.update = function () {
+    var all = this.summary.json.alignments;
+    var shown = this.summary.alignments;
+
+    this.maxDiv = this.binWidth;
+    for (var i = 0; i < all.length; i += 1) {
+        this.maxDiv = Math.max(this.maxDiv, parseFloat(all[i][5]));
+    }
+    this.numBins = Math.floor((this.maxDiv / this.binWidth) + 0.5) + 1;
+
+    this.allBins = this.binRows(all);
+    this.shownBins = this.binRows(shown);
+    this.draw();
+};
+
+
+// Count rows per divergence bin as [ [forward...], [reverse...] ]
+DivergenceHistogram.prototype.binRows = function (rows) {
+    var bins = [[], []];
+    for (var b = 0; b < this.numBins; b += 1) {
+        bins[0][b] = 0;
+        bins[1][b] = 0;
+    }
+    for (var i = 0; i < rows.length; i += 1) {
+        var bin = this.binOf(parseFloat(rows[i][5]));
+        bins[(rows[i][4] == "R") ? 1 : 0][bin] += 1;
+    }
+    return bins;
+};
+
+
+DivergenceHistogram.prototype.binOf = function (div) {
+    // Rounded to avoid float error on the two decimal place values
+    var bin = Math.floor((div / this.binWidth) + 1e-6);
+    return Math.max(0, Math.min(this.numBins - 1, bin));
+};
+
+
+// Translate between bins and canvas x coordinates
+DivergenceHistogram.prototype.binToX = function (bin) {
+    return this.leftMargin + (bin * this.plotWidth / this.numBins);
+};
+
+
+DivergenceHistogram.prototype.xToBin = function (x) {
+    var bin = Math.floor((x - this.leftMargin) * this.numBins / this.plotWidth);
+    return Math.max(0, Math.min(this.numBins - 1, bin));
+};
+
+
+DivergenceHistogram.prototype.draw = function () {
+    var ctx = this.context;
+    var b;
+
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+    // Scale to the tallest bar ( per strand when split )
+    var maxCount = 1;
+    for (b = 0; b < this.numBins; b += 1) {
+        if (this.splitStrand) {
+            maxCount = Math.max(maxCount, this.allBins[0][b], this.allBins[1][b]);
+        } else {
+            maxCount = Math.max(maxCount, this.allBins[0][b] + this.allBins[1][b]);
+        }
+    }
+    var baseY = this.topMargin + this.plotHeight;
+    var barScale = this.plotHeight / maxCount;
+    if (this.splitStrand) {
+        baseY = this.topMargin + (this.plotHeight / 2);
+        barScale = barScale / 2;
+    }
+
+    // Selected range
+    if (this.selection) {
+        var selLeft = this.binToX(this.binOf(this.selection.minDiv));
+        var selRight = this.binToX(this.binOf(this.selection.maxDiv) + 1);
+        ctx.fillStyle = "rgba(255, 200, 0, 0.3)";
+        ctx.fillRect(selLeft, this.topMargin, selRight - selLeft, this.plotHeight);
+    }
+
+    // Bars
+    var barWidth = Math.max(1, (this.plotWidth / this.numBins) - 1);
+    var layers = [[this.allBins, this.allColor], [this.shownBins, this.shownColor]];
+    for (var l = 0; l < layers.length; l += 1) {
+        var bins = layers[l][0];
+        var colors = layers[l][1];
+        for (b = 0; b < this.numBins; b += 1) {
+            var x = this.binToX(b);
+            if (this.splitStrand) {
+                ctx.fillStyle = colors[0];
+                ctx.fillRect(x, baseY - (bins[0][b] * barScale), barWidth,
+                             bins[0][b] * barScale);
+                ctx.fillStyle = colors[1];
+                ctx.fillRect(x, baseY, barWidth, bins[1][b] * barScale);
+            } else {
+                ctx.fillStyle = colors[0];
+                ctx.fillRect(x, baseY - ((bins[0][b] + bins[1][b]) * barScale),
+                             barWidth, (bins[0][b] + bins[1][b]) * barScale);
+            }
+        }
+    }
+
+    // Axes
+    ctx.strokeStyle = "#000000";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(this.leftMargin, this.topMargin);
+    ctx.lineTo(this.leftMargin, this.topMargin + this.plotHeight);
+    ctx.moveTo(this.leftMargin, baseY + 0.5);
+    ctx.lineTo(this.leftMargin + this.plotWidth, baseY + 0.5);
+    ctx.stroke();
+
+    ctx.fillStyle = "#000000";
+    ctx.font = "10px sans-serif";
+    ctx.textAlign = "right";
+    ctx.fillText(maxCount, this.leftMargin - 3, this.topMargin + 8);
+    if (this.splitStrand) {
+        ctx.fillText("F", this.leftMargin - 3, baseY - 3);
+        ctx.fillText("R", this.leftMargin - 3, baseY + 11);
+        ctx.fillText(maxCount, this.leftMargin - 3, this.topMargin + this.plotHeight);
+    }
+
+    // Divergence labels every ~50 pixels
+    var tickBins = Math.max(1, Math.ceil(50 * this.numBins / this.plotWidth));
+    var labelY = this.topMargin + this.plotHeight + 12;
+    ctx.textAlign = "center";
+    for (b = 0; b < this.numBins; b += tickBins) {
+        var tickX = this.binToX(b);
+        ctx.fillRect(tickX, this.topMargin + this.plotHeight, 1, 3);
+        ctx.fillText((b * this.binWidth).toFixed(2), tickX, labelY);
+    }
+    ctx.fillText("Kimura divergence", this.leftMargin + (this.plotWidth / 2),
+                 labelY + 13);
+    ctx.textAlign = "start";
+
+    // Brush in progress
+    if (this.brush) {
+        var left = Math.min(this.brush.startX, this.brush.endX);
+        ctx.fillStyle = "rgba(0, 0, 0, 0.15)";
+        ctx.fillRect(left, this.topMargin, Math.abs(this.brush.endX - this.brush.startX),
+                     this.plotHeight);
+    }
+};
+
+
+DivergenceHistogram.prototype.getMousePos = function (evt) {
+    var rect = this.canvas.getBoundingClientRect();
+    return {
+        x: evt.clientX - rect.left,
+        y: evt.clientY - rect.top
+    };
+};
+
+
+DivergenceHistogram.prototype.mouseDownHndlr = function (evt) {
+    var mousePos = this.getMousePos(evt);
+    if (mousePos.x < this.leftMargin ||
+        mousePos.x > this.leftMargin + this.plotWidth) {
+        return;
+    }
+    this.brush = {
+        startX: mousePos.x,
+        endX: mousePos.x
+    };
+    document.addEventListener("mouseup", this.mouseUpListener, false);
+    evt.preventDefault();
+};
+
+
+DivergenceHistogram.prototype.mouseMoveHndlr = function (evt) {
+    if (!this.brush) {
+        return;
+    }
+    var mousePos = this.getMousePos(evt);
+    this.brush.endX = Math.max(this.leftMargin,
+                               Math.min(this.leftMargin + this.plotWidth, mousePos.x));
+    this.draw();
+};
+
+
+DivergenceHistogram.prototype.mouseUpHndlr = function (evt) {
+    if (!this.brush) {
+        return;
+    }
+    var brush = this.brush;
+    this.brush = null;
+    document.removeEventListener("mouseup", this.mouseUpListener, false);
+    if (Math.abs(brush.endX - brush.startX) < 3) {
+        this.setSelection(null, null);
+        return;
+    }
+    var startBin = this.xToBin(Math.min(brush.startX, brush.endX));
+    var endBin = this.xToBin(Math.max(brush.startX, brush.endX));
+    // The upper bound is the last value in the bin at the precision
+    // of the summary data ( two decimal places ).
+    this.setSelection(this.round(startBin * this.binWidth),
+                      this.round(((endBin + 1) * this.binWidth) - 0.01));
+};
+
+
+DivergenceHistogram.prototype.round = function (val) {
+    return Math.round(val * 100) / 100;
+};
+
+
+//
+// Select the divergence range [minDiv, maxDiv] and apply it to the
+// summary according to brushAction.  Pass nulls to clear.
+//
+DivergenceHistogram.prototype.setSelection = function (minDiv, maxDiv) {
+    if (minDiv === null || maxDiv === null) {
+        this.selection = null;
+    } else {
+        this.selection = {
+            minDiv: minDiv,
+            maxDiv: maxDiv
+        };
+    }
+
+    if (this.brushAction == "filter") {
+        this.summary.setDivergenceHighlight(null, null);
+        var filter = {};
+        var current = this.summary.getFilter();
+        for (var key in current) {
+            if (current.hasOwnProperty(key)) {
+                filter[key] = current[key];
+            }
+        }
+        filter.minDiv = this.selection ? minDiv : undefined;
+        filter.maxDiv = this.selection ? maxDiv : undefined;
+        // setFilter() calls back into update()
+        this.summary.setFilter(filter);
+    } else {
+        this.summary.setDivergenceHighlight(minDiv, maxDiv);
+        this.draw();
+    }
+
+    if (this.options.onSelect) {
+        this.options.onSelect(minDiv, maxDiv);
+    }
+};
+
+
+DivergenceHistogram.prototype.getSelection = function () {
+    return this.selection;
+};
+
+
+//
+// Switch between "highlight" and "filter" brushing.  The current
+// selection is reapplied using the new action.
+//
+DivergenceHistogram.prototype.setBrushAction = function (action) {
+    if (this.brushAction == "filter" && action != "filter" && this.selection) {
+        // Drop the divergence range from the summary filter
+        var selection = this.selection;
+        this.setSelection(null, null);
+        this.selection = selection;
+    }
+    this.brushAction = action;
+    if (this.selection) {
+        this.setSelection(this.selection.minDiv, this.selection.maxDiv);
+    }
+};
+
+
+DivergenceHistogram.prototype.setSplitStrand = function (split) {
+    this.splitStrand = split;
+    this.draw();
+};
+
+
+//
+// Remove the event listeners, unlink the summary and clear the canvas.
+// The histogram must not be used afterwards.
+//
+DivergenceHistogram.prototype.destroy = function () {
+    if (this.summary.linkedHistogram === this) {
+        this.summary.linkedHistogram = null;
+    }
+    this.canvas.removeEventListener("mousedown", this.mouseDownListener, false);
+    this.canvas.removeEventListener("mousemove", this.mouseMoveListener, false);
+    document.removeEventListener("mouseup", this.mouseUpListener, false);
+    this.brush = null;
+    this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+};
+
+
+return DivergenceHistogram;
+}));
@@ -0,0 +1,174 @@
+//
+// Alignment Header Panel
+//
+//   Shows the header fields of an alignment ( the #=GF lines of a
+//  Stockholm file, see StockholmReader.js ) above an AlignmentViewer.
+//  The title bar gives the ID, accession and the first line of the
+//  description, and the full set of fields is listed below it.  Click
+//  the title bar to collapse or expand the list.  Consecutive lines
+//  with the same tag ( e.g. a multi-line description ) are shown as a
+//  single field.
+//
+//  The viewer creates the panel when its data has a header ( see
+//  AlignmentViewer.updateHeader() ):
+//
+//    var panel = new HeaderPanel(parentElement, canvas);
+//    panel.setHeader([{ tag: "ID", value: "Jumbo1" }, ...]);
+//
+//  where the panel is inserted into parentElement before canvas.
+//
+// UMD wrapper ( see index.mjs )
+(function (root, factory) {
+    if (typeof define === "function" && define.amd) {
+        define([], factory);
+    } else if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.HeaderPanel = factory();
+    }
+}(typeof self !== "undefined" ? self : this, function () {
+
+function HeaderPanel(parent, before) {
+    this.parent = parent;
+    this.collapsed = false;
+    this.buildDOM();
+    parent.insertBefore(this.div, before || null);
+}
+
+
+// Names of the Stockholm and Dfam header tags
+HeaderPanel.tagNames = {
+    ID: "Identifier",
+    AC: "Accession",
+    DE: "Description",
+    AU: "Author",
+    SE: "Source",
+    SS: "Source of structure",
+    BM: "Build method",
+    SM: "Search method",
+    GA: "Gathering threshold",
+    TC: "Trusted cutoff",
+    NC: "Noise cutoff",
+    TP: "Type",
+    TD: "Target site duplication",
+    OC: "Clade",
+    SQ: "Sequences",
+    DC: "Database comment",
+    DR: "Database reference",
+    RC: "Reference comment",
+    RN: "Reference number",
+    RM: "Reference PubMed ID",
+    RT: "Reference title",
+    RA: "Reference author",
+    RL: "Reference location",
+    PI: "Previous identifiers",
+    KW: "Keywords",
+    CC: "Comment",
+    NE: "Pfam accession",
+    NL: "Location",
+    WK: "Wikipedia link",
+    CL: "Clan",
+    MB: "Membership",
+    "**": "Curator comment"
+};
+
+
+HeaderPanel.prototype.buildDOM = function () {
+    var that = this;
+
+    this.div = document.createElement("div");
+    this.div.style.cssText = "border:1px solid #404040;margin-bottom:4px;" +
+                             "font:12px sans-serif;background:#ffffff";
+
+    this.title = document.createElement("div");
+    this.title.style.cssText = "background:#e8e8e8;padding:3px 4px;cursor:pointer;" +
+                               "white-space:nowrap;overflow:hidden;" +
+                               "text-overflow:ellipsis;font-weight:bold";
+    this.title.addEventListener("click", function () {
+        that.setCollapsed(!that.collapsed);
+    }, false);
+    this.div.appendChild(this.title);
+
+    this.body = document.createElement("div");
+    this.body.style.cssText = "max-height:200px;overflow:auto;padding:2px 4px";
+    this.div.appendChild(this.body);
+};
+
+
+// Group consecutive lines with the same tag
+HeaderPanel.prototype.fields = function (header) {
+    var fields = [];
+    for (var i = 0; i < header.length; i += 1) {
+        var last = fields[fields.length - 1];
+        if (last && last.tag == header[i].tag) {
+            last.value += "\n" + header[i].value;
+        } else {
+            fields.push({
+                tag: header[i].tag,
+                value: header[i].value
+            });
+        }
+    }
+    return fields;
+};
+
+
+HeaderPanel.prototype.setHeader = function (header) {
+    header = header || [];
+    this.div.style.display = header.length ? "block" : "none";
+
+    var fields = this.fields(header);
+    var firstValue = function (tag) {
+        for (var i = 0; i < fields.length; i += 1) {
+            if (fields[i].tag == tag) {
+                return fields[i].value.split("\n")[0];
+            }
+        }
+        return "";
+    };
+    var title = [firstValue("ID"), firstValue("AC")].filter(function (val) {
+        return val !== "";
+    }).join(" / ");
+    var description = firstValue("DE");
+    if (description) {
+        title += (title ? " : " : "") + description;
+    }
+    this.title.textContent = title || "Alignment header";
+    this.title.title = "Click to show or hide the header fields";
+
+    var table = document.createElement("table");
+    table.style.cssText = "border-collapse:collapse";
+    fields.forEach(function (field) {
+        var tr = document.createElement("tr");
+        var th = document.createElement("td");
+        th.style.cssText = "vertical-align:top;padding:1px 8px 1px 0px;" +
+                           "color:#606060;white-space:nowrap";
+        th.textContent = HeaderPanel.tagNames[field.tag] || field.tag;
+        th.title = field.tag;
+        var td = document.createElement("td");
+        td.style.cssText = "padding:1px 0px;white-space:pre-wrap";
+        td.textContent = field.value;
+        tr.appendChild(th);
+        tr.appendChild(td);
+        table.appendChild(tr);
+    });
+    this.body.innerHTML = "";
+    this.body.appendChild(table);
+};
+
+
+HeaderPanel.prototype.setCollapsed = function (collapsed) {
+    this.collapsed = collapsed;
+    this.body.style.display = collapsed ? "none" : "block";
+};
+
+
+HeaderPanel.prototype.destroy = function () {
+    if (this.div.parentNode) {
+        this.div.parentNode.removeChild(this.div);
+    }
+};
+
+
+return HeaderPanel;
+}));
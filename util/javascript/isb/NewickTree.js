@@ -0,0 +1,288 @@
+//
+// Newick Tree
+//
+//   Reads guide trees in Newick format ( e.g. the ClustalW *.phb and
+//  *.dnd files given to viewMSA.pl -clustalTree ) for the dendrogram
+//  drawn beside the rows of AlignmentSummary and AlignmentViewer ( see
+//  TreePanel.js ).
+//
+//  A tree is read into nodes of the form:
+//
+//    { name     : Label of the node ( "" if it has none ),
+//      length   : Branch length to the parent ( or null ),
+//      support  : Bootstrap support ( or null ),
+//      children : [ node, ... ] ( empty for leaves ),
+//      parent   : The parent node ( null for the root ) }
+//
+//  Leaf names are matched to the sequence IDs of the rows.  Support
+//  values are taken from a bracketed comment following the branch
+//  length ( "A:0.12[95]" as written by ClustalW ) or from a numeric
+//  internal node label ( "(A,B)95:0.12" ).  Other comments are
+//  ignored.
+//
+//  Example:
+//    var root = NewickTree.parse("((A:0.1,B:0.2):0.05,C:0.3);");
+//    NewickTree.leafNames(root);   // [ "A", "B", "C" ]
+//
+// UMD wrapper ( see index.mjs )
+(function (root, factory) {
+    if (typeof define === "function" && define.amd) {
+        define([], factory);
+    } else if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.NewickTree = factory();
+    }
+}(typeof self !== "undefined" ? self : this, function () {
+
+var NewickTree = {};
+
+
+function newNode(parent) {
+    return {
+        name: "",
+        length: null,
+        support: null,
+        children: [],
+        parent: parent
+    };
+}
+
+
+//
+// Parse a Newick string and return the root node.  Throws an Error
+// giving the position of the first problem found.
+//
+NewickTree.parse = function (text) {
+    var pos = 0;
+
+    var fail = function (message) {
+        throw new Error("Invalid Newick tree at character " + (pos + 1) + ": " +
+                        message);
+    };
+
+    // Skip whitespace and any comments.  Returns the text of the last
+    // comment skipped ( or null ).
+    var skip = function () {
+        var comment = null;
+        for (;;) {
+            while (pos < text.length && /\s/.test(text.charAt(pos))) {
+                pos += 1;
+            }
+            if (text.charAt(pos) != "[") {
+                return comment;
+            }
+            var end = text.indexOf("]", pos);
+            if (end < 0) {
+                fail("unterminated comment");
+            }
+            comment = text.substring(pos + 1, end);
+            pos = end + 1;
+        }
+    };
+
+    var readLabel = function () {
+        var label = "";
+        if (text.charAt(pos) == "'") {
+            pos += 1;
+            for (;;) {
+                if (pos >= text.length) {
+                    fail("unterminated quoted label");
+                }
+                var c = text.charAt(pos);
+                pos += 1;
+                if (c == "'") {
+                    if (text.charAt(pos) != "'") {
+                        return label;
+                    }
+                    pos += 1;
+                }
+                label += c;
+            }
+        }
+        while (pos < text.length && !/[\s()\[\]',:;]/.test(text.charAt(pos))) {
+            label += text.charAt(pos);
+            pos += 1;
+        }
+        return label;
+    };
+
+    // The label, branch length and support following a node
+    var readNodeEnd = function (node) {
+        skip();
+        node.name = readLabel();
+        skip();
+        if (text.charAt(pos) == ":") {
+            pos += 1;
+            skip();
+            var match = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(text.substr(pos));
+            if (!match) {
+                fail("expected a branch length");
+            }
+            node.length = parseFloat(match[0]);
+            pos += match[0].length;
+            var comment = skip();
+            if (comment !== null && /^\s*\d+(\.\d+)?\s*$/.test(comment)) {
+                node.support = parseFloat(comment);
+            }
+        }
+        if (node.children.length && /^\d+(\.\d+)?$/.test(node.name)) {
+            if (node.support === null) {
+                node.support = parseFloat(node.name);
+            }
+            node.name = "";
+        }
+    };
+
+    var addChild = function (parent) {
+        var child = newNode(parent);
+        parent.children.push(child);
+        return child;
+    };
+
+    // Read the nodes with a stack of the clades still open rather than
+    // by recursion, as ladder-like trees ( e.g. neighbour-joining trees
+    // of near identical copies ) may be thousands of clades deep.
+    var readTree = function () {
+        var root = newNode(null);
+        var node = root;
+        var open = [];
+        for (;;) {
+            skip();
+            if (text.charAt(pos) == "(") {
+                pos += 1;
+                open.push(node);
+                node = addChild(node);
+                continue;
+            }
+            readNodeEnd(node);
+            if (node.name === "") {
+                fail("a leaf has no name");
+            }
+            // Close the clades ended here and go on to the next sibling
+            for (;;) {
+                if (!open.length) {
+                    return root;
+                }
+                skip();
+                var c = text.charAt(pos);
+                if (c == ",") {
+                    pos += 1;
+                    node = addChild(open[open.length - 1]);
+                    break;
+                } else if (c != ")") {
+                    fail((pos >= text.length) ? "missing \")\"" :
+                         "expected \",\" or \")\" but found \"" + c + "\"");
+                }
+                pos += 1;
+                node = open.pop();
+                readNodeEnd(node);
+            }
+        }
+    };
+
+    if (typeof text !== "string" || /^\s*$/.test(text)) {
+        throw new Error("The Newick tree is empty");
+    }
+    var tree = readTree();
+    skip();
+    if (text.charAt(pos) == ";") {
+        pos += 1;
+        skip();
+    }
+    if (pos < text.length) {
+        fail("unexpected \"" + text.charAt(pos) + "\" after the end of the tree");
+    }
+    return tree;
+};
+
+
+// A tree given as Newick text or as an already parsed root node
+NewickTree.from = function (tree) {
+    return (typeof tree === "string") ? NewickTree.parse(tree) : tree;
+};
+
+
+// The leaves below a node in left to right order
+NewickTree.leaves = function (node) {
+    var leaves = [];
+    var stack = [node];
+    while (stack.length) {
+        var n = stack.pop();
+        if (!n.children.length) {
+            leaves.push(n);
+        }
+        for (var i = n.children.length - 1; i >= 0; i -= 1) {
+            stack.push(n.children[i]);
+        }
+    }
+    return leaves;
+};
+
+
+NewickTree.leafNames = function (node) {
+    return NewickTree.leaves(node).map(function (leaf) {
+        return leaf.name;
+    });
+};
+
+
+// The position of each leaf name in the tree ( { name: index } )
+NewickTree.leafOrder = function (node) {
+    var order = {};
+    NewickTree.leafNames(node).forEach(function (name, idx) {
+        if (!order.hasOwnProperty(name)) {
+            order[name] = idx;
+        }
+    });
+    return order;
+};
+
+
+//
+// A label for a node.  Unnamed clades are labelled with the first and
+// last of their leaves.
+//
+NewickTree.label = function (node) {
+    if (node.name !== "") {
+        return node.name;
+    }
+    var names = NewickTree.leafNames(node);
+    return names[0] + " .. " + names[names.length - 1];
+};
+
+
+//
+// Set the depth of each node ( its distance from the root ) and
+// return the depth of the deepest leaf.  When the tree has no branch
+// lengths each branch is given a length of 1 so the dendrogram is
+// drawn as a cladogram.
+//
+NewickTree.layout = function (root) {
+    // Parents come before their children in the list
+    var nodes = [root];
+    var hasLengths = false;
+    var i, j;
+    for (i = 0; i < nodes.length; i += 1) {
+        if (nodes[i].parent && nodes[i].length !== null) {
+            hasLengths = true;
+        }
+        for (j = 0; j < nodes[i].children.length; j += 1) {
+            nodes.push(nodes[i].children[j]);
+        }
+    }
+
+    var maxDepth = 0;
+    root.depth = 0;
+    for (i = 1; i < nodes.length; i += 1) {
+        var n = nodes[i];
+        var length = hasLengths ? Math.max(0, n.length || 0) : 1;
+        n.depth = n.parent.depth + length;
+        maxDepth = Math.max(maxDepth, n.depth);
+    }
+    return maxDepth;
+};
+
+
+return NewickTree;
+}));
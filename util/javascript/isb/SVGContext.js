@@ -0,0 +1,414 @@
+//
+// SVG Recording Context
+//
+//   A stand-in for a CanvasRenderingContext2D which records drawing
+//  calls as SVG elements.  Only the subset of the canvas API used by
+//  AlignmentSummary and AlignmentViewer is supported:
+//
+//    save/restore, translate/scale, beginPath/moveTo/lineTo/rect/
+//    closePath, stroke/fill/clip, fillRect/strokeRect/clearRect,
+//    fillText/measureText, createLinearGradient, setLineDash and the
+//    fillStyle, strokeStyle, lineWidth, font, textAlign, textBaseline
+//    and globalAlpha properties.
+//
+//  The viewers export a figure by temporarily swapping their canvas
+//  context for an SVGContext and redrawing the current view.
+//
+//  Example:
+//    var ctx = new SVGContext(800, 600, "#ffffff");
+//    ctx.fillStyle = "red";
+//    ctx.fillRect(10, 10, 100, 20);
+//    var svgText = ctx.getSerializedSvg();
+//
+// UMD wrapper ( see index.mjs )
+(function (root, factory) {
+    if (typeof define === "function" && define.amd) {
+        define([], factory);
+    } else if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SVGContext = factory();
+    }
+}(typeof self !== "undefined" ? self : this, function () {
+
+function SVGContext(width, height, background) {
+    this.width = width;
+    this.height = height;
+
+    this.fillStyle = "#000000";
+    this.strokeStyle = "#000000";
+    this.lineWidth = 1;
+    this.font = "10px sans-serif";
+    this.textAlign = "start";
+    this.textBaseline = "alphabetic";
+    this.globalAlpha = 1;
+    this.lineDash = [];
+    this.transform = { a: 1, d: 1, e: 0, f: 0 }; // scale x/y, translate x/y
+    this.clipId = null;
+
+    this.stack = [];
+    this.defs = [];
+    this.elements = [];
+    this.path = "";
+    this.idCounter = 0;
+
+    // Text is measured with a scratch canvas
+    this.measureContext = document.createElement("canvas").getContext("2d");
+
+    if (background) {
+        this.elements.push('<rect x="0" y="0" width="' + width + '" height="' +
+                           height + '" fill="' + background + '"/>');
+    }
+}
+
+
+SVGContext.prototype.save = function () {
+    this.stack.push({
+        fillStyle: this.fillStyle,
+        strokeStyle: this.strokeStyle,
+        lineWidth: this.lineWidth,
+        font: this.font,
+        textAlign: this.textAlign,
+        textBaseline: this.textBaseline,
+        globalAlpha: this.globalAlpha,
+        lineDash: this.lineDash,
+        transform: {
+            a: this.transform.a,
+            d: this.transform.d,
+            e: this.transform.e,
+            f: this.transform.f
+        },
+        clipId: this.clipId
+    });
+};
+
+
+SVGContext.prototype.restore = function () {
+    var state = this.stack.pop();
+    if (!state) {
+        return;
+    }
+    for (var key in state) {
+        if (state.hasOwnProperty(key)) {
+            this[key] = state[key];
+        }
+    }
+};
+
+
+SVGContext.prototype.translate = function (x, y) {
+    this.transform.e += x * this.transform.a;
+    this.transform.f += y * this.transform.d;
+};
+
+
+SVGContext.prototype.scale = function (sx, sy) {
+    this.transform.a *= sx;
+    this.transform.d *= sy;
+};
+
+
+// Apply the current transform to a point
+SVGContext.prototype.tx = function (x) {
+    return this.round((x * this.transform.a) + this.transform.e);
+};
+
+
+SVGContext.prototype.ty = function (y) {
+    return this.round((y * this.transform.d) + this.transform.f);
+};
+
+
+SVGContext.prototype.round = function (val) {
+    return Math.round(val * 100) / 100;
+};
+
+
+SVGContext.prototype.setLineDash = function (segments) {
+    this.lineDash = segments.slice(0);
+};
+
+
+SVGContext.prototype.getLineDash = function () {
+    return this.lineDash.slice(0);
+};
+
+
+SVGContext.prototype.beginPath = function () {
+    this.path = "";
+};
+
+
+SVGContext.prototype.closePath = function () {
+    this.path += "Z";
+};
+
+
+SVGContext.prototype.moveTo = function (x, y) {
+    this.path += "M" + this.tx(x) + " " + this.ty(y);
+};
+
+
+SVGContext.prototype.lineTo = function (x, y) {
+    this.path += "L" + this.tx(x) + " " + this.ty(y);
+};
+
+
+SVGContext.prototype.rect = function (x, y, width, height) {
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+};
+
+
+SVGContext.prototype.stroke = function () {
+    if (this.path) {
+        this.elements.push('<path d="' + this.path + '" fill="none"' +
+                           this.strokeAttributes() + this.clipAttribute() + '/>');
+    }
+};
+
+
+SVGContext.prototype.fill = function () {
+    if (this.path) {
+        this.elements.push('<path d="' + this.path + '"' +
+                           this.paintAttributes("fill", this.fillStyle) +
+                           this.clipAttribute() + '/>');
+    }
+};
+
+
+// Clip subsequent drawing to the current path ( until restore() )
+SVGContext.prototype.clip = function () {
+    var id = this.nextId("clip");
+    var clipPath = '<clipPath id="' + id + '"><path d="' + this.path + '"/>';
+    if (this.clipId) {
+        // Nested clips intersect
+        clipPath = '<clipPath id="' + id + '" clip-path="url(#' + this.clipId +
+                   ')"><path d="' + this.path + '"/>';
+    }
+    this.defs.push(clipPath + '</clipPath>');
+    this.clipId = id;
+};
+
+
+SVGContext.prototype.fillRect = function (x, y, width, height) {
+    if (width < 0) {
+        x = x + width;
+        width = -width;
+    }
+    if (height < 0) {
+        y = y + height;
+        height = -height;
+    }
+    this.elements.push('<rect x="' + this.tx(x) + '" y="' + this.ty(y) +
+                       '" width="' + this.round(width * this.transform.a) +
+                       '" height="' + this.round(height * this.transform.d) + '"' +
+                       this.paintAttributes("fill", this.fillStyle) +
+                       this.clipAttribute() + '/>');
+};
+
+
+SVGContext.prototype.strokeRect = function (x, y, width, height) {
+    var path = this.path;
+    this.beginPath();
+    this.rect(x, y, width, height);
+    this.stroke();
+    this.path = path;
+};
+
+
+// Clearing is a no-op.  Figures are drawn once onto a fresh context.
+SVGContext.prototype.clearRect = function (x, y, width, height) {
+};
+
+
+// The SVG dominant-baseline for each canvas textBaseline
+var dominantBaselines = {
+    top: "text-before-edge",
+    hanging: "hanging",
+    middle: "middle",
+    ideographic: "ideographic",
+    bottom: "text-after-edge"
+};
+
+
+SVGContext.prototype.fillText = function (text, x, y) {
+    var anchor = "start";
+    if (this.textAlign == "center") {
+        anchor = "middle";
+    } else if (this.textAlign == "right" || this.textAlign == "end") {
+        anchor = "end";
+    }
+    var size = "";
+    if (this.transform.a != 1) {
+        size = ' transform="translate(' + this.tx(x) + ' ' + this.ty(y) +
+               ') scale(' + this.transform.a + ' ' + this.transform.d +
+               ') translate(' + (-this.tx(x)) + ' ' + (-this.ty(y)) + ')"';
+    }
+    var baseline = "";
+    if (dominantBaselines[this.textBaseline]) {
+        baseline = ' dominant-baseline="' + dominantBaselines[this.textBaseline] + '"';
+    }
+    this.elements.push('<text x="' + this.tx(x) + '" y="' + this.ty(y) +
+                       '" text-anchor="' + anchor + '"' + baseline + ' style="font: ' +
+                       this.escape(this.font) + '; white-space: pre"' +
+                       this.paintAttributes("fill", this.fillStyle) + size +
+                       this.clipAttribute() + '>' +
+                       this.escape(String(text)) + '</text>');
+};
+
+
+SVGContext.prototype.measureText = function (text) {
+    this.measureContext.font = this.font;
+    return this.measureContext.measureText(text);
+};
+
+
+SVGContext.prototype.createLinearGradient = function (x0, y0, x1, y1) {
+    var that = this;
+    var gradient = {
+        id: this.nextId("grad"),
+        x0: this.tx(x0),
+        y0: this.ty(y0),
+        x1: this.tx(x1),
+        y1: this.ty(y1),
+        stops: [],
+        defined: false,
+        addColorStop: function (offset, color) {
+            this.stops.push({
+                offset: offset,
+                color: color
+            });
+        }
+    };
+    gradient.define = function () {
+        if (gradient.defined) {
+            return;
+        }
+        var def = '<linearGradient id="' + gradient.id +
+                  '" gradientUnits="userSpaceOnUse" x1="' + gradient.x0 +
+                  '" y1="' + gradient.y0 + '" x2="' + gradient.x1 + '" y2="' +
+                  gradient.y1 + '">';
+        for (var i = 0; i < gradient.stops.length; i += 1) {
+            var color = that.parseColor(gradient.stops[i].color);
+            def += '<stop offset="' + gradient.stops[i].offset +
+                   '" stop-color="' + color.color + '"' +
+                   ((color.opacity < 1) ? ' stop-opacity="' + color.opacity + '"' : '') +
+                   '/>';
+        }
+        that.defs.push(def + '</linearGradient>');
+        gradient.defined = true;
+    };
+    return gradient;
+};
+
+
+// Split "rgba()" colors into an SVG color and opacity
+SVGContext.prototype.parseColor = function (color) {
+    var match = /^rgba\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*,\s*([\d.]+)\s*\)$/.exec(color);
+    if (match) {
+        return {
+            color: "rgb(" + match[1] + "," + match[2] + "," + match[3] + ")",
+            opacity: parseFloat(match[4])
+        };
+    }
+    return {
+        color: color,
+        opacity: 1
+    };
+};
+
+
+SVGContext.prototype.paintAttributes = function (attr, style) {
+    var opacity = this.globalAlpha;
+    var paint;
+    if (style && typeof style === "object" && style.define) {
+        style.define();
+        paint = "url(#" + style.id + ")";
+    } else {
+        var color = this.parseColor(style);
+        paint = color.color;
+        opacity = opacity * color.opacity;
+    }
+    var attrs = ' ' + attr + '="' + paint + '"';
+    if (opacity < 1) {
+        attrs += ' ' + attr + '-opacity="' + this.round(opacity) + '"';
+    }
+    return attrs;
+};
+
+
+SVGContext.prototype.strokeAttributes = function () {
+    var attrs = this.paintAttributes("stroke", this.strokeStyle) +
+                ' stroke-width="' + this.round(this.lineWidth * this.transform.a) + '"';
+    if (this.lineDash.length) {
+        var that = this;
+        attrs += ' stroke-dasharray="' + this.lineDash.map(function (len) {
+            return that.round(len * that.transform.a);
+        }).join(",") + '"';
+    }
+    return attrs;
+};
+
+
+SVGContext.prototype.clipAttribute = function () {
+    if (this.clipId) {
+        return ' clip-path="url(#' + this.clipId + ')"';
+    }
+    return "";
+};
+
+
+SVGContext.prototype.nextId = function (prefix) {
+    this.idCounter += 1;
+    return prefix + this.idCounter;
+};
+
+
+SVGContext.prototype.escape = function (text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;")
+               .replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+};
+
+
+SVGContext.prototype.getSerializedSvg = function () {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+           '<svg xmlns="http://www.w3.org/2000/svg" version="1.1" width="' +
+           this.width + '" height="' + this.height + '" viewBox="0 0 ' +
+           this.width + ' ' + this.height + '">\n' +
+           '<defs>' + this.defs.join("\n") + '</defs>\n' +
+           this.elements.join("\n") + '\n</svg>\n';
+};
+
+
+//
+// Offer SVG text or a PNG data URL to the user as a file download
+//
+SVGContext.saveAs = function (data, filename) {
+    var url = data;
+    var blobUrl = null;
+    if (data.indexOf("data:") != 0) {
+        blobUrl = URL.createObjectURL(new Blob([data], {
+            type: "image/svg+xml"
+        }));
+        url = blobUrl;
+    }
+    var link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    if (blobUrl) {
+        setTimeout(function () {
+            URL.revokeObjectURL(blobUrl);
+        }, 1000);
+    }
+};
+
+
+return SVGContext;
+}));
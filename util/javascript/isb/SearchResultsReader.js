@@ -0,0 +1,529 @@
+//
+// Search Results Reader
+//
+//   Reads cross_match output ( run with -alignments ) and RepeatMasker
+//  .align and .out files into the summaryData and detailData taken by
+//  AlignmentSummary and AlignmentViewer.  This is what viewMSA.pl
+//  -search_results does with CrossmatchSearchEngine and MultAln, but
+//  without leaving the browser.
+//
+//  cross_match and .align files:
+//    The pairwise alignments are stacked into a multiple alignment on
+//   the sequence they have in common, as in
+//   MultAln::_alignFromSearchResultCollection.  If every alignment has
+//   the same query, and there are several subjects, the query is the
+//   reference.  Otherwise the subject is the reference, and each
+//   subject ( e.g. each family in a RepeatMasker .align file ) is read
+//   as a separate alignment.  Alignments on the reverse strand are
+//   complemented so that the reference reads forwards.  Where
+//   RepeatMasker gives a Kimura divergence ( with its CpG adjustment )
+//   the summary uses it; otherwise it is calculated from the alignment.
+//
+//  RepeatMasker .out files:
+//    These only give the position of each match, so they have a
+//   summary but no detail view.  Each repeat is read as a separate
+//   alignment, even when the file covers a single sequence ( see
+//   groupOut() ).  As there are no alignments to score, the quality
+//   of each block is the number of identities expected from the
+//   percent divergence of the match.
+//
+//  Reference positions start at the first reference base covered by
+//  an alignment.
+//
+//  Loading this file registers the readers with AlignmentData.read().
+//
+//  Example:
+//    var hits = SearchResultsReader.parseAlignments(fileText);
+//    var groups = SearchResultsReader.group(hits);
+//    var data = SearchResultsReader.toData(groups[0]);
+//
+// UMD wrapper ( see index.mjs )
+(function (root, factory) {
+    if (typeof define === "function" && define.amd) {
+        define(["./AlignmentData"], factory);
+    } else if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./AlignmentData.js"));
+    } else {
+        root.SearchResultsReader = factory(root.AlignmentData);
+    }
+}(typeof self !== "undefined" ? self : this, function (AlignmentData) {
+
+var SearchResultsReader = {};
+
+// score %div %del %ins query begin end (left) ...
+var scoreLine = /^\s*(ALIGNMENT\s+)?\d+\s+[\d.]+\s+[\d.]+\s+[\d.]+\s+\S+\s+\d+\s+\d+\s+\(\d+\)/;
+
+// As above with the strand, repeat name and class of a .out file
+var outLine = new RegExp(scoreLine.source + "\\s+[+C]\\s+\\S+\\s+[^\\s\\d(]\\S*" +
+                         "\\s+\\(?\\d+\\)?\\s+\\(?\\d+\\)?\\s+\\(?\\d+\\)?");
+
+// [C] name position sequence position
+var alignLine = /^(C\s+)?\s*(\S+)\s+(\d+)\s+([A-Za-z.*\-]+)\s+(\d+)\s*$/;
+
+var COMPLEMENT = { A: "T", C: "G", G: "C", T: "A", Y: "R", R: "Y", M: "K",
+                   K: "M", H: "D", D: "H", B: "V", V: "B" };
+
+
+function someLine(text, regex) {
+    return text.split(/\r?\n/).some(function (line) {
+        return regex.test(line);
+    });
+}
+
+
+function reverseComplement(seq) {
+    var rc = "";
+    for (var i = seq.length - 1; i >= 0; i -= 1) {
+        var c = seq.charAt(i);
+        rc += COMPLEMENT[c] || c;
+    }
+    return rc;
+}
+
+
+function repeatString(str, count) {
+    var result = "";
+    for (var i = 0; i < count; i += 1) {
+        result += str;
+    }
+    return result;
+}
+
+
+//
+// The begin, end and "(left)" fields of a sequence, in either order
+// ( matches on the reverse strand list the subject as "(left) end
+// begin" ).  Returns { start: , end: , remaining: }.
+//
+function sequenceRange(fields, lineNum) {
+    var positions = [];
+    var remaining = 0;
+    fields.forEach(function (field) {
+        var match = /^\((\d+)\)$/.exec(field);
+        if (match) {
+            remaining = parseInt(match[1], 10);
+        } else if (/^\d+$/.test(field)) {
+            positions.push(parseInt(field, 10));
+        }
+    });
+    if (positions.length != 2) {
+        throw new Error("Line " + lineNum + " does not give the begin, end " +
+                        "and (left) of the match: " + fields.join(" "));
+    }
+    return {
+        start: Math.min(positions[0], positions[1]),
+        end: Math.max(positions[0], positions[1]),
+        remaining: remaining
+    };
+}
+
+
+//
+// The fields shared by the score lines of both formats
+//
+function parseScoreFields(fields, lineNum) {
+    if (fields[0] == "ALIGNMENT") {
+        fields.shift();
+    }
+    var query = sequenceRange(fields.slice(5, 8), lineNum);
+    return {
+        score: parseInt(fields[0], 10),
+        pctDiverge: parseFloat(fields[1]),
+        pctDelete: parseFloat(fields[2]),
+        pctInsert: parseFloat(fields[3]),
+        queryName: fields[4],
+        queryStart: query.start,
+        queryEnd: query.end,
+        queryRemaining: query.remaining,
+        orientation: ""
+    };
+}
+
+
+//
+// Parse the alignments in cross_match output or a RepeatMasker .align
+// file.  Returns a list of hits in file order:
+//
+//    { score: , pctDiverge: , pctDelete: , pctInsert: ,
+//      queryName: , queryStart: , queryEnd: , queryRemaining: ,
+//      orientation : "C" for the reverse strand, otherwise "",
+//      subjName: , subjStart: , subjEnd: , subjRemaining: ,
+//      queryString : The aligned query ( forward strand ),
+//      subjString  : The aligned subject ( complemented for "C" ),
+//      kimura      : RepeatMasker's Kimura divergence ( % ) or null }
+//
+// Matches listed without an alignment are skipped.  Throws an Error
+// for malformed alignments.
+//
+SearchResultsReader.parseAlignments = function (text) {
+    var hits = [];
+    var hit = null;
+    var alignLines = 0;
+    var lines = text.split(/\r?\n/);
+    var match;
+    var checkHit = function (lineNum) {
+        if (hit && hit.queryString.length != hit.subjString.length) {
+            throw new Error("The alignment ending at line " + lineNum + " has a " +
+                            "query of length " + hit.queryString.length +
+                            " and a subject of length " + hit.subjString.length);
+        }
+    };
+    for (var i = 0; i < lines.length; i += 1) {
+        var line = lines[i];
+        if (scoreLine.test(line)) {
+            checkHit(i);
+            var fields = line.replace(/^\s+/, "").split(/\s+/);
+            hit = parseScoreFields(fields, i + 1);
+            var idx = 8;
+            if (fields[idx] == "C") {
+                hit.orientation = "C";
+                idx += 1;
+            }
+            var subject = sequenceRange(fields.slice(idx + 1, idx + 4), i + 1);
+            hit.subjName = fields[idx];
+            hit.subjStart = subject.start;
+            hit.subjEnd = subject.end;
+            hit.subjRemaining = subject.remaining;
+            hit.queryString = "";
+            hit.subjString = "";
+            hit.kimura = null;
+            hits.push(hit);
+            alignLines = 0;
+        } else if (!hit) {
+            continue;
+        } else if ((match = alignLine.exec(line))) {
+            // Query and subject lines alternate
+            if (alignLines % 2 === 0) {
+                hit.queryString += match[4].toUpperCase();
+            } else {
+                hit.subjString += match[4].toUpperCase();
+            }
+            alignLines += 1;
+        } else if ((match = /^Kimura.*=\s*([\d.]+)/.exec(line))) {
+            hit.kimura = parseFloat(match[1]);
+        }
+    }
+    checkHit(lines.length);
+    return hits.filter(function (found) {
+        return found.queryString !== "";
+    });
+};
+
+
+//
+// Parse the matches in a RepeatMasker .out file.  Returns a list of
+// hits as for parseAlignments() but without the alignment, and with
+// the repeat class ( subjClass ) and the RepeatMasker ID ( id ).
+//
+SearchResultsReader.parseOut = function (text) {
+    var hits = [];
+    var lines = text.split(/\r?\n/);
+    for (var i = 0; i < lines.length; i += 1) {
+        if (!outLine.test(lines[i])) {
+            continue;
+        }
+        var fields = lines[i].replace(/^\s+/, "").split(/\s+/);
+        var hit = parseScoreFields(fields, i + 1);
+        var subject = sequenceRange(fields.slice(11, 14), i + 1);
+        hit.orientation = (fields[8] == "C") ? "C" : "";
+        hit.subjName = fields[9];
+        hit.subjClass = fields[10];
+        hit.subjStart = subject.start;
+        hit.subjEnd = subject.end;
+        hit.subjRemaining = subject.remaining;
+        hit.id = fields[14] || null;
+        hits.push(hit);
+    }
+    return hits;
+};
+
+
+//
+// Split hits into the alignments they form ( see the header ).
+// Returns [{ name: , referenceIsQuery: , hits: [] }, ...] in order of
+// first appearance.
+//
+SearchResultsReader.group = function (hits) {
+    var queries = {};
+    var subjects = {};
+    var numQueries = 0;
+    var numSubjects = 0;
+    hits.forEach(function (hit) {
+        if (!queries[hit.queryName]) {
+            queries[hit.queryName] = true;
+            numQueries += 1;
+        }
+        if (!subjects[hit.subjName]) {
+            subjects[hit.subjName] = true;
+            numSubjects += 1;
+        }
+    });
+    return groupHits(hits, (numQueries == 1 && numSubjects > 1));
+};
+
+
+//
+// Split the hits of a .out file into one group per repeat, as group()
+// does but even when they all lie on one sequence.  The query is
+// never the reference as the positions of the matches on it are not
+// an alignment.
+//
+SearchResultsReader.groupOut = function (hits) {
+    return groupHits(hits, false);
+};
+
+
+function groupHits(hits, referenceIsQuery) {
+    var groups = [];
+    var byName = {};
+    hits.forEach(function (hit) {
+        var name = referenceIsQuery ? hit.queryName : hit.subjName;
+        if (hit.subjClass && !referenceIsQuery) {
+            name += "#" + hit.subjClass;
+        }
+        if (!byName[name]) {
+            byName[name] = {
+                name: name,
+                referenceIsQuery: referenceIsQuery,
+                hits: []
+            };
+            groups.push(byName[name]);
+        }
+        byName[name].hits.push(hit);
+    });
+    return groups;
+}
+
+
+// A hit as reference and instance sides
+function orientHit(hit, referenceIsQuery) {
+    if (referenceIsQuery) {
+        return {
+            refStart: hit.queryStart,
+            refEnd: hit.queryEnd,
+            refString: hit.queryString,
+            instName: hit.subjName,
+            instStart: hit.subjStart,
+            instEnd: hit.subjEnd,
+            instString: hit.subjString
+        };
+    }
+    var complement = (hit.orientation == "C");
+    return {
+        refStart: hit.subjStart,
+        refEnd: hit.subjEnd,
+        refString: complement ? reverseComplement(hit.subjString) : hit.subjString,
+        instName: hit.queryName,
+        instStart: hit.queryStart,
+        instEnd: hit.queryEnd,
+        instString: complement ? reverseComplement(hit.queryString) : hit.queryString
+    };
+}
+
+
+//
+// Stack pairwise alignments to a common reference into a multiple
+// alignment ( { reference: , rows: [] } as used by AlignmentData ).
+// Each reference base is preceded by as many gaps as the alignment
+// with the most insertions before it, and the insertions in other
+// alignments are padded to match.
+//
+SearchResultsReader.buildMSA = function (hits, referenceIsQuery) {
+    var aligned = hits.map(function (hit) {
+        return orientHit(hit, referenceIsQuery);
+    });
+    var refMin = aligned[0].refStart;
+    var refMax = aligned[0].refEnd;
+    aligned.forEach(function (a) {
+        refMin = Math.min(refMin, a.refStart);
+        refMax = Math.max(refMax, a.refEnd);
+    });
+
+    // The reference bases from the alignments.  Bases no alignment
+    // covers are unknown.
+    var refBases = [];
+    var k;
+    for (k = refMin; k <= refMax; k += 1) {
+        refBases.push("N");
+    }
+    aligned.forEach(function (a) {
+        var bases = a.refString.replace(/-/g, "");
+        for (var j = 0; j < bases.length; j += 1) {
+            refBases[a.refStart - refMin + j] = bases.charAt(j);
+        }
+    });
+
+    // gapPatterns[i][k] : The number of gaps before the k'th reference
+    // base of alignment i
+    var gapPatterns = aligned.map(function (a) {
+        var pattern = [];
+        var gaps = 0;
+        for (var j = 0; j < a.refString.length; j += 1) {
+            if (a.refString.charAt(j) == "-") {
+                gaps += 1;
+            } else {
+                pattern.push(gaps);
+                gaps = 0;
+            }
+        }
+        return pattern;
+    });
+    var maxGaps = refBases.map(function () {
+        return 0;
+    });
+    aligned.forEach(function (a, i) {
+        var offset = a.refStart - refMin;
+        gapPatterns[i].forEach(function (gaps, k) {
+            maxGaps[offset + k] = Math.max(maxGaps[offset + k], gaps);
+        });
+    });
+
+    var reference = "";
+    var columns = [];
+    for (k = 0; k < refBases.length; k += 1) {
+        reference += repeatString("-", maxGaps[k]);
+        columns.push(reference.length);
+        reference += refBases[k];
+    }
+
+    var rows = aligned.map(function (a, i) {
+        var offset = a.refStart - refMin;
+        var pattern = gapPatterns[i];
+        var sequence = "";
+        var base = 0;
+        for (var j = 0; j < a.instString.length; j += 1) {
+            if (a.refString.charAt(j) != "-") {
+                // Insertions before the first base sit against it
+                if (base > 0) {
+                    sequence += repeatString("-", maxGaps[offset + base] - pattern[base]);
+                }
+                base += 1;
+            }
+            sequence += a.instString.charAt(j);
+        }
+        var start = columns[offset] - pattern[0];
+        return {
+            id: a.instName,
+            name: a.instName,
+            start: start,
+            end: start + sequence.length - 1,
+            sequence: sequence,
+            seqStart: a.instStart,
+            seqEnd: a.instEnd,
+            orient: (hits[i].orientation == "C") ? "-" : "+"
+        };
+    });
+    return {
+        reference: reference,
+        rows: rows
+    };
+};
+
+
+//
+// Build { summaryData: , detailData: } for a group of hits with
+// alignments
+//
+SearchResultsReader.toData = function (group) {
+    var msa = SearchResultsReader.buildMSA(group.hits, group.referenceIsQuery);
+    var summaryData = AlignmentData.buildSummary(msa);
+    group.hits.forEach(function (hit, i) {
+        if (hit.kimura !== null && hit.kimura !== undefined) {
+            summaryData.alignments[i][5] = (hit.kimura / 100).toFixed(2);
+        }
+    });
+    return {
+        summaryData: summaryData,
+        detailData: AlignmentData.buildDetail(msa)
+    };
+};
+
+
+//
+// Quality block scores for a match known only by its length and
+// percent divergence
+//
+function expectedBlockScores(length, pctDiverge) {
+    var blockLen = AlignmentData.qualityBlockLen;
+    var scores = [];
+    for (var pos = 0; pos < length; pos += blockLen) {
+        var bases = Math.min(blockLen, length - pos);
+        scores.push(Math.max(1, Math.round(bases * (1 - (pctDiverge / 100)))));
+    }
+    return scores;
+}
+
+
+//
+// Build { summaryData: , detailData: null } for a group of .out hits
+//
+SearchResultsReader.outToData = function (group) {
+    var refMin = group.hits[0].subjStart;
+    var refMax = group.hits[0].subjEnd;
+    group.hits.forEach(function (hit) {
+        refMin = Math.min(refMin, hit.subjStart);
+        refMax = Math.max(refMax, hit.subjEnd);
+    });
+    var alignments = group.hits.map(function (hit) {
+        var length = hit.subjEnd - hit.subjStart + 1;
+        return [hit.queryName, hit.subjStart - refMin + 1, length,
+                expectedBlockScores(length, hit.pctDiverge),
+                (hit.orientation == "C") ? "R" : "F",
+                (hit.pctDiverge / 100).toFixed(2),
+                hit.queryStart, hit.queryEnd];
+    });
+    return {
+        summaryData: {
+            num_alignments: alignments.length,
+            length: refMax - refMin + 1,
+            qualityBlockLen: AlignmentData.qualityBlockLen,
+            alignments: alignments
+        },
+        detailData: null
+    };
+};
+
+
+function groupRecords(groups, toData) {
+    return groups.map(function (group) {
+        return {
+            name: group.name,
+            load: function () {
+                return toData(group);
+            }
+        };
+    });
+}
+
+
+if (AlignmentData) {
+    // Before the alignment reader as .out lines also start like
+    // alignment score lines
+    AlignmentData.addReader({
+        format: "repeatmasker-out",
+        test: function (head) {
+            return /^\s*SW\s+perc/.test(head) ||
+                   /^There were no repetitive sequences detected/.test(head) ||
+                   someLine(head, outLine);
+        },
+        read: function (text) {
+            var groups = SearchResultsReader.groupOut(SearchResultsReader.parseOut(text));
+            return groupRecords(groups, SearchResultsReader.outToData);
+        }
+    });
+
+    AlignmentData.addReader({
+        format: "alignments",
+        test: function (head) {
+            return /^cross_match version/.test(head) || someLine(head, scoreLine);
+        },
+        read: function (text) {
+            var groups = SearchResultsReader.group(SearchResultsReader.parseAlignments(text));
+            return groupRecords(groups, SearchResultsReader.toData);
+        }
+    });
+}
+
+
+return SearchResultsReader;
+}));
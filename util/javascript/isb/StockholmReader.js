@@ -0,0 +1,284 @@
+//
+// Stockholm Reader
+//
+//   Reads Stockholm alignments ( e.g. Dfam seed alignments ) into the
+//  summaryData and detailData taken by AlignmentSummary and
+//  AlignmentViewer, keeping the annotation that SeedAlignment.pm
+//  drops:
+//
+//    #=GF <tag> <text>                 : Alignment header fields.  These
+//                                        become detailData.header and
+//                                        are shown above the viewer.
+//    #=GS <seqname> <tag> <text>       : Sequence properties, kept as
+//                                        the "properties" of the
+//                                        detailData row.
+//    #=GR <seqname> <feature> <string> : Per-residue annotation, drawn
+//                                        beneath the sequence.
+//    #=GC <feature> <string>           : Per-column annotation, drawn
+//                                        beneath the reference.
+//
+//  Alignments may be split into blocks ( interleaved ) and a file may
+//  hold several alignments, each ending with "//".
+//
+//  The reference is taken from the #=GC RF line when there is one
+//  ( as MultAln does ): "." and "-" mark insert columns, and match
+//  columns marked "x" are filled in with the consensus base.  Without
+//  an RF line the reference is the consensus.
+//
+//  Loading this file registers the reader with AlignmentData.read().
+//
+//  Example:
+//    var records = StockholmReader.parse(fileText);
+//    var data = StockholmReader.toData(records[0]);
+//    var viewer = new AlignmentViewer(canvas, data.detailData, {});
+//
+// UMD wrapper ( see index.mjs )
+(function (root, factory) {
+    if (typeof define === "function" && define.amd) {
+        define(["./AlignmentData"], factory);
+    } else if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./AlignmentData.js"));
+    } else {
+        root.StockholmReader = factory(root.AlignmentData);
+    }
+}(typeof self !== "undefined" ? self : this, function (AlignmentData) {
+
+var StockholmReader = {};
+
+
+function newRecord() {
+    return {
+        id: null,
+        header: [],        // [{ tag: , value: }, ...] in file order
+        properties: {},    // seqname -> { tag: text }
+        columnTracks: [],  // [{ name: , annotation: }, ...]
+        rowTracks: {},     // seqname -> [{ name: , annotation: }, ...]
+        sequences: []      // [{ id: , sequence: }, ...]
+    };
+}
+
+
+// Append to the annotation of the named track, creating it on first use
+function appendTrack(tracks, name, annotation) {
+    for (var i = 0; i < tracks.length; i += 1) {
+        if (tracks[i].name == name) {
+            tracks[i].annotation += annotation;
+            return;
+        }
+    }
+    tracks.push({
+        name: name,
+        annotation: annotation
+    });
+}
+
+
+// Check that the sequences and annotation strings of a record are
+// all the same width
+function checkRecord(record, lineNum) {
+    var width = -1;
+    var check = function (what, str) {
+        if (width < 0) {
+            width = str.length;
+        } else if (str.length != width) {
+            throw new Error("The alignment ending at line " + lineNum + " has " +
+                            what + " of length " + str.length + " ( expected " +
+                            width + " )");
+        }
+    };
+    record.sequences.forEach(function (seq) {
+        check("sequence " + seq.id, seq.sequence);
+    });
+    record.columnTracks.forEach(function (track) {
+        check("#=GC " + track.name, track.annotation);
+    });
+    Object.keys(record.rowTracks).forEach(function (seqname) {
+        record.rowTracks[seqname].forEach(function (track) {
+            check("#=GR " + seqname + " " + track.name, track.annotation);
+        });
+    });
+    if (record.sequences.length === 0) {
+        throw new Error("The alignment ending at line " + lineNum +
+                        " has no sequences");
+    }
+}
+
+
+//
+// Parse the alignments in a Stockholm file.  Returns a list of
+// records:
+//
+//    { id           : The #=GF ID ( or null ),
+//      header       : [{ tag: , value: }, ...] from the #=GF lines,
+//      properties   : { seqname: { tag: text } } from the #=GS lines,
+//      columnTracks : [{ name: , annotation: }, ...] from the #=GC lines,
+//      rowTracks    : { seqname: [{ name: , annotation: }, ...] } from
+//                     the #=GR lines,
+//      sequences    : [{ id: , sequence: }, ...] }
+//
+// Throws an Error for malformed files.
+//
+StockholmReader.parse = function (text) {
+    var records = [];
+    var record = null;
+    var byId = {};
+    var lines = text.split(/\r?\n/);
+    var match;
+    for (var i = 0; i < lines.length; i += 1) {
+        var line = lines[i];
+        if (/^# STOCKHOLM/.test(line)) {
+            record = newRecord();
+            byId = {};
+            continue;
+        }
+        if (/^\s*$/.test(line)) {
+            continue;
+        }
+        if (!record) {
+            throw new Error("Missing \"# STOCKHOLM\" header before line " + (i + 1));
+        }
+        if (/^\/\//.test(line)) {
+            checkRecord(record, i + 1);
+            records.push(record);
+            record = null;
+            continue;
+        }
+        if ((match = /^#=GF\s+(\S+)\s*(.*)$/.exec(line))) {
+            record.header.push({
+                tag: match[1],
+                value: match[2]
+            });
+            if (match[1] == "ID" && record.id === null) {
+                record.id = match[2].split(/\s+/)[0];
+            }
+        } else if ((match = /^#=GS\s+(\S+)\s+(\S+)\s*(.*)$/.exec(line))) {
+            var props = record.properties[match[1]] = record.properties[match[1]] || {};
+            props[match[2]] = props[match[2]] ? props[match[2]] + " " + match[3] : match[3];
+        } else if ((match = /^#=GR\s+(\S+)\s+(\S+)\s+(\S+)\s*$/.exec(line))) {
+            record.rowTracks[match[1]] = record.rowTracks[match[1]] || [];
+            appendTrack(record.rowTracks[match[1]], match[2], match[3]);
+        } else if ((match = /^#=GC\s+(\S+)\s+(\S+)\s*$/.exec(line))) {
+            appendTrack(record.columnTracks, match[1], match[2]);
+        } else if (/^#/.test(line)) {
+            // Other comments are ignored
+            continue;
+        } else if ((match = /^(\S+)\s+(\S+)\s*$/.exec(line))) {
+            if (!byId[match[1]]) {
+                byId[match[1]] = { id: match[1], sequence: "" };
+                record.sequences.push(byId[match[1]]);
+            }
+            byId[match[1]].sequence += match[2];
+        } else {
+            throw new Error("Line " + (i + 1) + " is not valid Stockholm format: " + line);
+        }
+    }
+    if (record) {
+        throw new Error("Missing \"//\" at the end of the last alignment");
+    }
+    return records;
+};
+
+
+//
+// The reference for a record.  Returns null if there is no RF line.
+//
+function referenceFromRF(record, consensus) {
+    var rf = null;
+    record.columnTracks.forEach(function (track) {
+        if (track.name == "RF") {
+            rf = track.annotation;
+        }
+    });
+    if (rf === null) {
+        return null;
+    }
+    var reference = "";
+    for (var i = 0; i < rf.length; i += 1) {
+        var c = rf.charAt(i);
+        if (c == "." || c == "-") {
+            reference += "-";
+        } else if (c == "x" || c == "X") {
+            var base = consensus.charAt(i);
+            reference += (base === "" || base == "-") ? "N" : base;
+        } else {
+            reference += c.toUpperCase();
+        }
+    }
+    return reference;
+}
+
+
+//
+// Build { summaryData: , detailData: } for a parsed record.  The
+// detailData has the extra fields:
+//
+//    header       : The #=GF lines ( see parse() ).
+//    columnTracks : The #=GC lines.
+//
+// and each alignment row the extra fields:
+//
+//    tracks       : [{ name: , annotation: }, ...] from the #=GR lines,
+//                   trimmed to the aligned part of the sequence.
+//    properties   : { tag: text } from the #=GS lines.
+//
+// options.fullMSA gives the summary in alignment columns ( see
+// AlignmentData.buildSummary() ).
+//
+StockholmReader.toData = function (record, options) {
+    var msa = AlignmentData.importSequences(record.sequences);
+    if (msa.rows.length === 0) {
+        throw new Error("The alignment has no sequences");
+    }
+    var reference = referenceFromRF(record, msa.reference);
+    if (reference !== null) {
+        msa.reference = reference;
+    }
+
+    var detailData = AlignmentData.buildDetail(msa);
+    detailData.header = record.header;
+    detailData.columnTracks = record.columnTracks;
+    for (var i = 0; i < msa.rows.length; i += 1) {
+        var row = msa.rows[i];
+        var entry = detailData.alignment[i + 1];
+        if (record.rowTracks[row.id]) {
+            entry.tracks = record.rowTracks[row.id].map(function (track) {
+                return {
+                    name: track.name,
+                    annotation: track.annotation.substr(row.start, row.sequence.length)
+                };
+            });
+        }
+        if (record.properties[row.id]) {
+            entry.properties = record.properties[row.id];
+        }
+    }
+    return {
+        summaryData: AlignmentData.buildSummary(msa, options && options.fullMSA),
+        detailData: detailData
+    };
+};
+
+
+if (AlignmentData) {
+    AlignmentData.addReader({
+        format: "stockholm",
+        test: function (head) {
+            return /^# STOCKHOLM/.test(head);
+        },
+        read: function (text, filename) {
+            return StockholmReader.parse(text).map(function (record, idx) {
+                return {
+                    name: record.id || (filename + " #" + (idx + 1)),
+                    load: function (options) {
+                        return StockholmReader.toData(record, options);
+                    },
+                    loadOptions: ["fullMSA"]
+                };
+            });
+        }
+    });
+}
+
+
+return StockholmReader;
+}));
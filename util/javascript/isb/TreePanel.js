@@ -0,0 +1,233 @@
+//
+// Guide Tree Panel
+//
+//   Draws the dendrogram of a guide tree ( see NewickTree.js ) in a
+//  panel to the left of the rows of an AlignmentSummary or an
+//  AlignmentViewer, and finds the node under the mouse.  The panel
+//  is drawn on the canvas of the view it belongs to, which supplies
+//  the position of each leaf:
+//
+//    var panel = new TreePanel(newickText, 120);
+//    panel.draw(ctx, 0, {
+//        leafY      : function (name) { ... },
+//        collapsedY : function (node) { ... },
+//        isSelected : function (name) { ... }
+//    });
+//    var node = panel.nodeAt(x, y);
+//
+//  leafY() gives the y position of the rows of a sequence ( or null
+//  when it isn't on screen ), collapsedY() the y position of the bar
+//  standing in for a collapsed clade ( or null when it's expanded ) and
+//  isSelected() whether the sequence is selected.  Clades are drawn
+//  through their leaves that are on screen, so a view that shows only
+//  some of the rows draws the part of the tree above them.  Selected
+//  clades are drawn in blue and collapsed clades as a triangle.
+//
+// UMD wrapper ( see index.mjs )
+(function (root, factory) {
+    if (typeof define === "function" && define.amd) {
+        define(["./NewickTree"], factory);
+    } else if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./NewickTree.js"));
+    } else {
+        root.TreePanel = factory(root.NewickTree);
+    }
+}(typeof self !== "undefined" ? self : this, function (NewickTree) {
+
+function TreePanel(tree, width) {
+    this.width = width || 120;
+    this.lineColor = "#404040";
+    this.selectedColor = "#0066ff";
+    this.setTree(tree);
+}
+
+
+//
+// Replace the tree ( Newick text or a root node from NewickTree.parse() ).
+// Throws an Error if the text can't be parsed.
+//
+TreePanel.prototype.setTree = function (tree) {
+    this.root = NewickTree.from(tree);
+    this.maxDepth = NewickTree.layout(this.root);
+    this.order = NewickTree.leafOrder(this.root);
+    // The nodes drawn by the last draw() for nodeAt()
+    this.drawn = [];
+};
+
+
+// Is a sequence ID a leaf of the tree?
+TreePanel.prototype.hasLeaf = function (name) {
+    return this.order.hasOwnProperty(name);
+};
+
+
+// The x position of a node in a panel starting at left
+TreePanel.prototype.nodeX = function (node, left) {
+    var depth = (this.maxDepth > 0) ? node.depth / this.maxDepth : 0;
+    return left + 4 + (depth * (this.width - 12));
+};
+
+
+//
+// Work out where each node is drawn.  Returns the placed root ( or
+// null when none of the leaves is on screen ) as
+//
+//   { node: , x: , y: , top: , bottom: ( extent of the children ),
+//     selected: , collapsed: , children: [ placed child, ... ] }
+//
+// Guide trees may be thousands of clades deep, so the nodes are listed
+// parents first and then placed working back up the list rather than
+// by recursion.
+//
+TreePanel.prototype.place = function (left, host) {
+    var entries = [{ node: this.root, parent: -1, children: [] }];
+    var i, j, entry;
+    for (i = 0; i < entries.length; i += 1) {
+        entry = entries[i];
+        var node = entry.node;
+        entry.collapsedY = (node.children.length && host.collapsedY) ?
+                           host.collapsedY(node) : null;
+        if (entry.collapsedY === null) {
+            for (j = 0; j < node.children.length; j += 1) {
+                entries.push({ node: node.children[j], parent: i, children: [] });
+            }
+        }
+    }
+
+    for (i = entries.length - 1; i >= 0; i -= 1) {
+        entry = entries[i];
+        entry.placed = this.placeNode(entry, left, host);
+        if (entry.placed && entry.parent >= 0) {
+            entries[entry.parent].children.push(entry.placed);
+        }
+    }
+    return entries[0].placed;
+};
+
+
+// Place a node of place() given its placed children
+TreePanel.prototype.placeNode = function (entry, left, host) {
+    var node = entry.node;
+    var placed = {
+        node: node,
+        x: this.nodeX(node, left),
+        selected: false,
+        collapsed: false,
+        // Siblings are placed right to left
+        children: entry.children.reverse()
+    };
+    var y = entry.collapsedY;
+    if (y !== null) {
+        placed.collapsed = true;
+        placed.y = y;
+        placed.top = y - 3;
+        placed.bottom = y + 3;
+        placed.selected = !!host.isSelected && NewickTree.leafNames(node).every(host.isSelected);
+        return placed;
+    }
+    if (!node.children.length) {
+        y = host.leafY(node.name);
+        if (y === null || y === undefined) {
+            return null;
+        }
+        placed.y = placed.top = placed.bottom = y;
+        placed.selected = !!host.isSelected && host.isSelected(node.name);
+        return placed;
+    }
+    if (!placed.children.length) {
+        return null;
+    }
+    placed.top = placed.children[0].y;
+    placed.bottom = placed.children[placed.children.length - 1].y;
+    placed.y = (placed.top + placed.bottom) / 2;
+    placed.selected = placed.children.every(function (c) {
+        return c.selected;
+    });
+    return placed;
+};
+
+
+//
+// Draw the dendrogram in the panel starting at x = left.  The context
+// should be clipped to the rows by the caller.
+//
+TreePanel.prototype.draw = function (ctx, left, host) {
+    var that = this;
+    var right = left + this.width - 4;
+    var drawn = [];
+    var placed = this.place(left, host);
+    this.drawn = drawn;
+    if (!placed) {
+        return;
+    }
+
+    ctx.save();
+    ctx.lineWidth = 1;
+    var line = function (x0, y0, x1, y1, selected, dashed) {
+        ctx.strokeStyle = selected ? that.selectedColor : that.lineColor;
+        ctx.setLineDash(dashed ? [1, 2] : []);
+        ctx.beginPath();
+        ctx.moveTo(x0, y0);
+        ctx.lineTo(x1, y1);
+        ctx.stroke();
+    };
+    line(left, placed.y, placed.x, placed.y, placed.selected, false);
+    var stack = [placed];
+    while (stack.length) {
+        var p = stack.pop();
+        drawn.push(p);
+        if (p.collapsed) {
+            ctx.fillStyle = p.selected ? that.selectedColor : "#a0a0a0";
+            ctx.beginPath();
+            ctx.moveTo(p.x, p.y);
+            ctx.lineTo(right, p.top);
+            ctx.lineTo(right, p.bottom);
+            ctx.closePath();
+            ctx.fill();
+        } else if (!p.children.length) {
+            // Extend the leaf to the rows
+            if (right - p.x > 2) {
+                line(p.x, p.y, right, p.y, p.selected, true);
+            }
+        } else {
+            line(p.x, p.top, p.x, p.bottom, p.selected, false);
+            for (var i = p.children.length - 1; i >= 0; i -= 1) {
+                var child = p.children[i];
+                line(p.x, child.y, child.x, child.y, child.selected, false);
+                stack.push(child);
+            }
+        }
+    }
+    ctx.restore();
+};
+
+
+//
+// The node drawn nearest to x,y ( in the coordinates given to draw() )
+// or null if there isn't one.  Clades are found by their vertical
+// line ( or triangle when collapsed ) and leaves by their branch.
+//
+TreePanel.prototype.nodeAt = function (x, y) {
+    var best = null;
+    var bestDist = 5;
+    for (var i = 0; i < this.drawn.length; i += 1) {
+        var p = this.drawn[i];
+        var dist;
+        if (p.collapsed) {
+            dist = (x >= p.x - 2 && y >= p.top - 1 && y <= p.bottom + 1) ? 0 : Infinity;
+        } else if (p.children.length) {
+            dist = (y >= p.top - 2 && y <= p.bottom + 2) ? Math.abs(x - p.x) : Infinity;
+        } else {
+            dist = (x >= p.x - 2 && Math.abs(y - p.y) <= 1) ? 4 : Infinity;
+        }
+        if (dist < bestDist) {
+            best = p.node;
+            bestDist = dist;
+        }
+    }
+    return best;
+};
+
+
+return TreePanel;
+}));
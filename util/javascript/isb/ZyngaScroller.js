@@ -0,0 +1,56 @@
+//
+// Zynga Scroller Module
+//
+//   The zynga Scroller ( zynga-1.2.2-10/ ) is vendored unmodified.
+//  Animate.js and Scroller.js are plain scripts that define the
+//  globals core ( core.effect.Animate ) and Scroller, and only work
+//  when run in the global scope.  This wrapper gives the other modules
+//  ( and index.mjs ) { Scroller: , core: } however they are loaded:
+//
+//    Plain scripts : The page loads Animate.js and Scroller.js before
+//                    this file ( as viewMSA.pl, viewMultipleMSA.pl and
+//                    viewAlignment.html do ).
+//    AMD           : The vendor files are loaded as ( non-AMD )
+//                    dependencies.
+//    CommonJS      : Under Node the vendor files are run in the global
+//                    context.  Bundled for a browser the page loads
+//                    them with <script> tags before the bundle.
+//
+//  Keeping the adaptation here means the vendor files can be replaced
+//  by a newer release as they are.
+//
+// UMD wrapper ( see index.mjs )
+(function (root, factory) {
+    if (typeof define === "function" && define.amd) {
+        define(["../zynga-1.2.2-10/Animate", "../zynga-1.2.2-10/Scroller"], function () {
+            return factory(root);
+        });
+    } else if (typeof module === "object" && module.exports) {
+        var global = (typeof globalThis !== "undefined") ? globalThis : root;
+        if (!global.Scroller && typeof document === "undefined" &&
+            typeof process === "object" && process.versions && process.versions.node) {
+            // module.require rather than require keeps bundlers from
+            // pulling the Node modules into a browser build
+            var fs = module.require("fs");
+            var vm = module.require("vm");
+            ["Animate.js", "Scroller.js"].forEach(function (file) {
+                var path = __dirname + "/../zynga-1.2.2-10/" + file;
+                vm.runInThisContext(fs.readFileSync(path, "utf8"), { filename: path });
+            });
+        }
+        module.exports = factory(global);
+    } else {
+        root.ZyngaScroller = factory(root);
+    }
+}(typeof self !== "undefined" ? self : this, function (global) {
+
+if (typeof global.Scroller !== "function") {
+    throw new Error("The zynga Scroller is not loaded ( load " +
+                    "zynga-1.2.2-10/Animate.js and Scroller.js first )");
+}
+
+return {
+    Scroller: global.Scroller,
+    core: global.core || null
+};
+}));
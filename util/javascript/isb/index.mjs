@@ -0,0 +1,63 @@
+//
+// ES module entry point for the alignment viewers
+//
+//   The viewer sources are plain scripts with a UMD wrapper.  This
+//  lets viewMSA.pl and viewMultipleMSA.pl keep inlining them into a
+//  single HTML page, where each one defines a global.  AMD and
+//  CommonJS loaders get them as modules.
+//
+//  ES module users import this file.  It loads the scripts in
+//  dependency order and exports the classes:
+//
+//    import { AlignmentSummary, AlignmentViewer } from "./isb/index.mjs";
+//
+//  Each export is the value of the script's module: module.exports
+//  when a bundler ( webpack, Vite ) or Node loads it as CommonJS,
+//  otherwise the global it defined when the browser ran it as a
+//  native module.  The zynga Scroller is vendored as plain scripts,
+//  so a browser page loads zynga-1.2.2-10/Animate.js and Scroller.js
+//  with <script> tags before importing this file ( Node loads them
+//  itself, see ZyngaScroller.js ).
+//
+//  Importing it also registers the <alignment-summary> and
+//  <alignment-viewer> custom elements ( see AlignmentElements.js ).
+//
+import * as zyngaModule from "./ZyngaScroller.js";
+import * as svgModule from "./SVGContext.js";
+import * as schemaModule from "./AlignmentSchema.js";
+import * as contextModule from "./ContextPanel.js";
+import * as newickModule from "./NewickTree.js";
+import * as treeModule from "./TreePanel.js";
+import * as summaryModule from "./AlignmentSummary.js";
+import * as histogramModule from "./DivergenceHistogram.js";
+import * as headerModule from "./HeaderPanel.js";
+import * as viewerModule from "./AlignmentViewer.js";
+import * as elementsModule from "./AlignmentElements.js";
+import * as dataModule from "./AlignmentData.js";
+import * as stockholmModule from "./StockholmReader.js";
+import * as searchResultsModule from "./SearchResultsReader.js";
+
+// The value of a UMD script loaded as a module
+function moduleValue(ns, name) {
+    return (ns.default !== undefined) ? ns.default : globalThis[name];
+}
+
+var Zynga = moduleValue(zyngaModule, "ZyngaScroller");
+var AlignmentElements = moduleValue(elementsModule, "AlignmentElements");
+
+export var Scroller = Zynga.Scroller;
+export var core = Zynga.core;
+export var SVGContext = moduleValue(svgModule, "SVGContext");
+export var AlignmentSchema = moduleValue(schemaModule, "AlignmentSchema");
+export var ContextPanel = moduleValue(contextModule, "ContextPanel");
+export var NewickTree = moduleValue(newickModule, "NewickTree");
+export var TreePanel = moduleValue(treeModule, "TreePanel");
+export var AlignmentSummary = moduleValue(summaryModule, "AlignmentSummary");
+export var DivergenceHistogram = moduleValue(histogramModule, "DivergenceHistogram");
+export var HeaderPanel = moduleValue(headerModule, "HeaderPanel");
+export var AlignmentViewer = moduleValue(viewerModule, "AlignmentViewer");
+export var AlignmentData = moduleValue(dataModule, "AlignmentData");
+export var StockholmReader = moduleValue(stockholmModule, "StockholmReader");
+export var SearchResultsReader = moduleValue(searchResultsModule, "SearchResultsReader");
+export var AlignmentSummaryElement = AlignmentElements.AlignmentSummaryElement;
+export var AlignmentViewerElement = AlignmentElements.AlignmentViewerElement;
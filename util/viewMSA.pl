@@ -62,6 +62,8 @@ or
   viewMSA [-version] [-useOld]
                       -stockholm *.stk
 
+Any of the above may also be given [-features <*.tsv>]
+
 
 =head1 DESCRIPTION
 
@@ -90,6 +92,26 @@ View a one-vs-all alignment file in cross_match format.
 Order alignment instances by start position or by Kimura
 divergence.
 
+=item -clustalTree <*.phb>
+
+A guide tree in Newick format ( e.g. a ClustalW *.phb or *.dnd file )
+for the sequences.  The alignments are put in the order of the tree
+and the dendrogram is drawn beside the rows of the summary and detail
+views.  Clicking a clade selects its sequences and shift-clicking it
+collapses the clade into a single summary row.  Leaf names must match
+the sequence IDs.
+
+=item -features <*.tsv>
+
+Annotate the reference with feature tracks ( e.g. LTRs, TIRs, ORFs or
+protein domains ) drawn above the summary ruler.  The file is tab
+delimited with one feature per line:
+
+  track  start  end  [label  [strand  [color]]]
+
+Positions are 1-based and inclusive in reference coordinates.  Lines
+beginning with "#" are ignored.
+
 =item -version
 
 Displays the version of the program
@@ -173,6 +195,7 @@ my @getopt_args = (
                     '-order=s',
                     '-clustalTree=s',
                     '-stockholm=s',
+                    '-features=s',
 );
 
 my %options = ();
@@ -326,7 +349,14 @@ if ( $malign ) {
     );
   }
   else {
-    generateJavascriptSummaryAndAlignmentViewer( $malign, $MOUT );
+    my $tracks;
+    $tracks = loadFeatureTracks( $options{'features'} )
+        if ( $options{'features'} );
+    my $tree;
+    $tree = loadClustalWTree( $options{'clustalTree'} )
+        if ( $options{'clustalTree'} );
+    generateJavascriptSummaryAndAlignmentViewer( $malign, $MOUT, $tracks,
+                                                 $tree );
   }
 
   close $MOUT;
@@ -703,6 +733,64 @@ sub loadClustalWTreeProximity {
   return ( @seqIDOrder );
 }
 
+##-------------------------------------------------------------------------##
+##
+##  Use: my $tree = loadClustalWTree( $fileName );
+##
+##  Read the Newick text of a ClustalW tree file for the guide tree
+##  drawn by AlignmentSummary.js and AlignmentViewer.js.  The tree is
+##  parsed ( and any problem with it reported ) in the browser.
+##
+##-------------------------------------------------------------------------##
+sub loadClustalWTree {
+  my $fileName = shift;
+
+  open IN, "<$fileName"
+      or die "Could not open Clustalw tree file ( $fileName ): $!\n";
+  my $tree = do { local $/; <IN> };
+  close IN;
+  return ( $tree );
+}
+
+##-------------------------------------------------------------------------##
+##
+##  Use: my $tracks = loadFeatureTracks( $fileName );
+##
+##  Read a tab delimited feature file ( track, start, end and optionally
+##  label, strand and color ) into the "tracks" structure expected by
+##  AlignmentSummary.js.  Tracks are kept in the order they are first
+##  seen in the file.
+##
+##-------------------------------------------------------------------------##
+sub loadFeatureTracks {
+  my $fileName = shift;
+
+  open IN, "<$fileName"
+      or die "Could not open feature file ( $fileName ): $!\n";
+  my @tracks   = ();
+  my %trackIdx = ();
+  while ( <IN> ) {
+    s/[\r\n]+$//;
+    next if ( /^\s*(#|$)/ );
+    my ( $track, $start, $end, $label, $strand, $color ) = split( /\t/ );
+    unless ( defined $end && $start =~ /^\d+$/ && $end =~ /^\d+$/ ) {
+      warn "Skipping malformed feature line $. of $fileName: $_\n";
+      next;
+    }
+    if ( !exists $trackIdx{$track} ) {
+      $trackIdx{$track} = scalar( @tracks );
+      push @tracks, { 'name' => $track, 'features' => [] };
+    }
+    my %feature = ( 'start' => $start + 0, 'end' => $end + 0 );
+    $feature{'label'}  = $label  if ( defined $label  && $label ne "" );
+    $feature{'strand'} = $strand if ( defined $strand && $strand =~ /^[+-]$/ );
+    $feature{'color'}  = $color  if ( defined $color  && $color ne "" );
+    push @{ $tracks[ $trackIdx{$track} ]->{'features'} }, \%feature;
+  }
+  close IN;
+  return ( \@tracks );
+}
+
 sub summaryViewJS {
   my $javascript = '
 //
@@ -1152,8 +1240,8 @@ sub getMSASummaryViewJSON {
 
     # Count referene up to aligned start
     my $alignedStart = $object->getAlignedStart( $i );
-    my $refStart     = 0;
-    for ( my $j = 0 ; $j <= $alignedStart ; $j++ ) {
+    my $refStart     = 1;
+    for ( my $j = 0 ; $j < $alignedStart ; $j++ ) {
       if ( substr( $refSeq, $j, 1 ) ne "-" ) {
         $refStart++;
       }
@@ -1219,6 +1307,8 @@ sub getMSASummaryViewJSON {
 sub generateJavascriptSummaryAndAlignmentViewer {
   my $mAlign = shift;
   my $MOUT   = shift;
+  my $tracks = shift;
+  my $tree   = shift;
 
   my $subroutine = ( caller( 0 ) )[ 0 ] . "::" . ( caller( 0 ) )[ 3 ];
 
@@ -1290,12 +1380,13 @@ sub generateJavascriptSummaryAndAlignmentViewer {
   $summaryData{'length'}          = $refLen;
   $summaryData{'qualityBlockLen'} = $qualityBlockLen;
   $summaryData{'alignments'}      = [];
+  $summaryData{'tracks'}          = $tracks if ( $tracks );
   for ( my $i = 0 ; $i < $mAlign->getNumAlignedSeqs ; $i++ ) {
 
     # Count referene up to aligned start
     my $alignedStart = $mAlign->getAlignedStart( $i );
-    my $refStart     = 0;
-    for ( my $j = 0 ; $j <= $alignedStart ; $j++ ) {
+    my $refStart     = 1;
+    for ( my $j = 0 ; $j < $alignedStart ; $j++ ) {
       if ( substr( $refSeq, $j, 1 ) ne "-" ) {
         $refStart++;
       }
@@ -1351,6 +1442,11 @@ sub generateJavascriptSummaryAndAlignmentViewer {
 
   }
 
+  # The tree sort is only offered with a guide tree
+  my $treeButton = "";
+  $treeButton = "<button onClick=\"mySummary.render('tree',parseInt(document.getElementById('groupdist').value));\">Tree Sort</button>\n"
+      if ( defined $tree );
+
   # Begin writing the HTML
   print $OUT "<html>
 <H1>Summary View</H1>
@@ -1359,36 +1455,100 @@ sub generateJavascriptSummaryAndAlignmentViewer {
 <button onClick=\"mySummary.render('end',parseInt(document.getElementById('groupdist').value));\">End Sort</button>
 <button onClick=\"mySummary.render('div',parseInt(document.getElementById('groupdist').value));\">Divergence Sort</button>
 <button onClick=\"mySummary.render('groupById',parseInt(document.getElementById('groupdist').value));\">ID Sort</button>
-<label for=\"groupdist\">Grouping distance:</label>
+<button onClick=\"mySummary.render('span',parseInt(document.getElementById('groupdist').value));\">Span Sort</button>
+$treeButton<label for=\"groupdist\">Grouping distance:</label>
 <input type=\"text\" id=\"groupdist\" name=\"groupdist\" value='2000'/>
+<input type=\"checkbox\" id=\"chainFragments\" onChange=\"mySummary.setChaining(this.checked, parseInt(document.getElementById('chaindist').value));\"/>
+<label for=\"chainFragments\">Chain fragments within</label>
+<input type=\"text\" id=\"chaindist\" size=\"5\" value='1000' onChange=\"if (document.getElementById('chainFragments').checked) mySummary.setChaining(true, parseInt(this.value));\"/> bp
+<label for=\"groupBy\">Group by:</label>
+<select id=\"groupBy\" onchange=\"mySummary.setGrouping(this.value || null);\">
+  <option value=\"\">None</option>
+  <option value=\"contig\">Contig</option>
+  <option value=\"strand\">Strand</option>
+</select>
+<button onClick=\"mySummary.setAllGroupsCollapsed(true);\">Collapse Groups</button>
+<button onClick=\"mySummary.setAllGroupsCollapsed(false);\">Expand Groups</button>
+<br>
+<button onClick=\"mySummary.panBy(-(mySummary.regionEnd-mySummary.regionStart+1)/2);\">Pan Left</button>
+<button onClick=\"mySummary.panBy((mySummary.regionEnd-mySummary.regionStart+1)/2);\">Pan Right</button>
+<button onClick=\"mySummary.zoomOut();\">Zoom Out</button>
+<button onClick=\"mySummary.resetRegion();\">Reset Zoom</button>
+<i>Drag across the ruler to zoom</i>
+<input type=\"checkbox\" id=\"showCoverage\" checked onChange=\"mySummary.setCoverageVisible(this.checked);\"/>
+<label for=\"showCoverage\">Coverage</label>
+<span id=\"trackToggles\"></span>
+<label for=\"palette\">Colors:</label>
+<select id=\"palette\" onchange=\"mySummary.setPalette(this.value);\">
+  <option value=\"heat\">Heat</option>
+  <option value=\"viridis\">Viridis ( colour-blind safe )</option>
+  <option value=\"cividis\">Cividis ( colour-blind safe )</option>
+  <option value=\"greyscale\">Greyscale</option>
+</select>
+<br>
+<label for=\"fltMinDiv\">Divergence:</label>
+<input type=\"text\" id=\"fltMinDiv\" size=\"4\" oninput=\"updateSummaryFilter();\"/> -
+<input type=\"text\" id=\"fltMaxDiv\" size=\"4\" oninput=\"updateSummaryFilter();\"/>
+<label for=\"fltStrand\">Strand:</label>
+<select id=\"fltStrand\" onchange=\"updateSummaryFilter();\">
+  <option value=\"\">Both</option>
+  <option value=\"F\">Forward</option>
+  <option value=\"R\">Reverse</option>
+</select>
+<label for=\"fltMinLen\">Min length:</label>
+<input type=\"text\" id=\"fltMinLen\" size=\"5\" oninput=\"updateSummaryFilter();\"/>
+<label for=\"fltID\">ID regex:</label>
+<input type=\"text\" id=\"fltID\" size=\"15\" oninput=\"updateSummaryFilter();\"/>
+<label for=\"fltMinSpan\">Min span:</label>
+<input type=\"text\" id=\"fltMinSpan\" size=\"5\" oninput=\"updateSummaryFilter();\"/>
+<label for=\"fltContigStart\">Contig range:</label>
+<input type=\"text\" id=\"fltContigStart\" size=\"8\" oninput=\"updateSummaryFilter();\"/> -
+<input type=\"text\" id=\"fltContigEnd\" size=\"8\" oninput=\"updateSummaryFilter();\"/>
+<span id=\"filterStatus\"></span>
+<br>
+<label for=\"figTitle\">Figure title:</label>
+<input type=\"text\" id=\"figTitle\" size=\"30\"/>
+<label for=\"figScale\">PNG scale:</label>
+<select id=\"figScale\">
+  <option value=\"1\">1x</option>
+  <option value=\"2\" selected>2x</option>
+  <option value=\"4\">4x</option>
+</select>
+<button onClick=\"SVGContext.saveAs(mySummary.exportSVG(figureOptions()), 'summary.svg');\">Export SVG</button>
+<button onClick=\"SVGContext.saveAs(mySummary.exportPNG(figureScale(), figureOptions()), 'summary.png');\">Export PNG</button>
 <p>    
-<div id=\"canvasesdiv\" style=\"position:relative\">
+<div style=\"display:flex;align-items:flex-start\">
+<div id=\"canvasesdiv\" style=\"position:relative;flex:1 1 auto;min-width:400px\">
   <canvas id=\"alignment_canvas\" width=\"800\" height=\"1600\" style=\"z-index:1;position:absolute;left:0px;top:0px;\">Canvas not supported</canvas>
   <canvas id=\"detail_canvas\" width=\"800\" height=\"1600\" style=\"z-index:2;position:absolute;left:0px;top:0px;\">Canvas not supported</canvas>
   <canvas id=\"guideline_canvas\" width=\"800\" height=\"1600\" style=\"z-index:3;position:absolute;left:0px;top:0px;\">Canvas not supported</canvas>
 </div>
+<div style=\"margin-left:20px\">
+  <b>Divergence</b><br>
+  <canvas id=\"histogram_canvas\" width=\"320\" height=\"220\">Canvas not supported</canvas><br>
+  <input type=\"checkbox\" id=\"histSplit\" onChange=\"myHistogram.setSplitStrand(this.checked);\"/>
+  <label for=\"histSplit\">Split by strand</label>
+  <input type=\"checkbox\" id=\"histFilter\" onChange=\"myHistogram.setBrushAction(this.checked ? 'filter' : 'highlight');\"/>
+  <label for=\"histFilter\">Brush filters</label><br>
+  <i>Drag across the histogram to select a range</i>
+</div>
+</div>
 <p>
 <h1>Detail View</h1>
 <button onClick=\"myViewer.setViewType('norm');\">Normal View</button>
 <button onClick=\"myViewer.setViewType('diffs');\">Difference View</button>
-<canvas id=\"canvas\" width=\"1500\" height=\"700\"></canvas>
+<button onClick=\"SVGContext.saveAs(myViewer.exportSVG(figureOptions()), 'detail.svg');\">Export SVG</button>
+<button onClick=\"SVGContext.saveAs(myViewer.exportPNG(figureScale(), figureOptions()), 'detail.png');\">Export PNG</button>
+<br>
+<div id=\"viewerdiv\">
+<canvas id=\"canvas\" width=\"1500\" height=\"700\" style=\"display:block\"></canvas>
+</div>
 <p><script>\n";
 
   # Inline javascript dependencies
-  open IN, "<$FindBin::RealBin/javascript/zynga-1.2.2-10/Animate.js"
-      or die "Could not inline $FindBin::RealBin/javascript/"
-      . "zynga-1.2.2-10/Animate.js file!";
-  while ( <IN> ) {
-    print $OUT "$_";
-  }
-  close IN;
-  open IN, "<$FindBin::RealBin/javascript/zynga-1.2.2-10/Scroller.js"
-      or die "Could not inline $FindBin::RealBin/javascript/"
-      . "zynga-1.2.2-10/Scroller.js file!";
-  while ( <IN> ) {
-    print $OUT "$_";
-  }
-  close IN;
+  inlineJavascript( $OUT, "zynga-1.2.2-10/Animate.js" );
+  inlineJavascript( $OUT, "zynga-1.2.2-10/Scroller.js" );
+  inlineJavascript( $OUT, "isb/ZyngaScroller.js" );
 
   print $OUT "var summaryData = ";
   my $jsonStr = $json->encode( \%summaryData );
@@ -1398,13 +1558,13 @@ sub generateJavascriptSummaryAndAlignmentViewer {
   #$jsonStr =~ s/\[/\n[/g;
   print $OUT "$jsonStr;\n";
 
-  open IN, "<$FindBin::RealBin/javascript/isb/AlignmentSummary.js"
-      or die "Could not inline $FindBin::RealBin/javascript/"
-      . "isb/AlignmentSummary.js file!";
-  while ( <IN> ) {
-    print $OUT "$_";
-  }
-  close IN;
+  inlineJavascript( $OUT, "isb/SVGContext.js" );
+  inlineJavascript( $OUT, "isb/ContextPanel.js" );
+  inlineJavascript( $OUT, "isb/AlignmentSchema.js" );
+  inlineJavascript( $OUT, "isb/NewickTree.js" );
+  inlineJavascript( $OUT, "isb/TreePanel.js" );
+  inlineJavascript( $OUT, "isb/AlignmentSummary.js" );
+  inlineJavascript( $OUT, "isb/DivergenceHistogram.js" );
 
   print $OUT "\n\n";
 
@@ -1415,23 +1575,99 @@ sub generateJavascriptSummaryAndAlignmentViewer {
   #$jsonStr =~ s/\},/\},\n/g;
   print $OUT "$jsonStr;\n";
 
-  open IN, "<$FindBin::RealBin/javascript/isb/AlignmentViewer.js"
-      or die "Could not inline $FindBin::RealBin/javascript/"
-      . "isb/AlignmentViewer.js file!";
-  while ( <IN> ) {
-    print $OUT "$_";
-  }
-  close IN;
+  inlineJavascript( $OUT, "isb/HeaderPanel.js" );
+  inlineJavascript( $OUT, "isb/AlignmentViewer.js" );
+
+  # The guide tree as a JSON string ( parsed by NewickTree.js )
+  print $OUT "var treeData = "
+      . ( defined $tree ? $json->allow_nonref->encode( $tree ) : "null" )
+      . ";\n";
 
   print $OUT "var mySummary = new AlignmentSummary( "
       . "  document.getElementById('alignment_canvas'), "
       . "  document.getElementById('guideline_canvas'), "
       . "  document.getElementById('detail_canvas'), "
-      . " summaryData, {});\n";
+      . " summaryData, { tree: treeData });\n";
 
   print $OUT "var myViewer = new AlignmentViewer( "
-      . "document.getElementById('canvas'), detailData, {} );\n";
+      . "document.getElementById('canvas'), detailData, { tree: treeData } );\n";
+  print $OUT "mySummary.linkViewer( myViewer );\n";
+  print $OUT "var myHistogram = new DivergenceHistogram( "
+      . "document.getElementById('histogram_canvas'), mySummary, "
+      . "{ onSelect: histogramSelect } );\n";
+  print $OUT <<'END';
+function filterValue(id, parse) {
+  var val = parse(document.getElementById(id).value);
+  return isNaN(val) ? undefined : val;
+}
+function updateSummaryFilter() {
+  var counts = mySummary.setFilter({
+    minDiv: filterValue('fltMinDiv', parseFloat),
+    maxDiv: filterValue('fltMaxDiv', parseFloat),
+    strand: document.getElementById('fltStrand').value,
+    minLength: filterValue('fltMinLen', parseInt),
+    idPattern: document.getElementById('fltID').value,
+    contigStart: filterValue('fltContigStart', parseInt),
+    contigEnd: filterValue('fltContigEnd', parseInt),
+    minSpan: filterValue('fltMinSpan', parseInt)
+  });
+  document.getElementById('filterStatus').innerHTML =
+      'Showing ' + counts.shown + ' of ' + counts.total + ' alignments';
+}
+updateSummaryFilter();
+function addTrackToggles() {
+  var tracks = mySummary.getTracks();
+  var span = document.getElementById('trackToggles');
+  tracks.forEach(function (track) {
+    var box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = track.visible;
+    box.onchange = function () {
+      mySummary.setTrackVisible(track.name, this.checked);
+    };
+    var label = document.createElement('label');
+    label.appendChild(box);
+    label.appendChild(document.createTextNode(track.name));
+    span.appendChild(label);
+  });
+}
+addTrackToggles();
+function histogramSelect(minDiv, maxDiv) {
+  // Keep the divergence filter fields in step with a filtering brush
+  if (document.getElementById('histFilter').checked) {
+    document.getElementById('fltMinDiv').value = (minDiv === null) ? '' : minDiv;
+    document.getElementById('fltMaxDiv').value = (maxDiv === null) ? '' : maxDiv;
+    updateSummaryFilter();
+  }
+}
+function figureOptions() {
+  return { title: document.getElementById('figTitle').value };
+}
+function figureScale() {
+  return parseInt(document.getElementById('figScale').value);
+}
+END
   print $OUT "</script></html>";
 }
 
+##-------------------------------------------------------------------------##
+##
+##  Use: inlineJavascript( $OUT, $relativePath );
+##
+##  Copy a javascript file from the util/javascript directory into
+##  the HTML being written to $OUT.
+##
+##-------------------------------------------------------------------------##
+sub inlineJavascript {
+  my $OUT  = shift;
+  my $file = shift;
+
+  open IN, "<$FindBin::RealBin/javascript/$file"
+      or die "Could not inline $FindBin::RealBin/javascript/$file file!";
+  while ( <IN> ) {
+    print $OUT "$_";
+  }
+  close IN;
+}
+
 1;
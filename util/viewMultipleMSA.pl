@@ -29,7 +29,7 @@ viewMultipleMSA - View multiple MSA alignments using HTML
 
 =head1 SYNOPSIS
 
-  viewMultipleMSA.pl msa.fa [msa.fa ..]
+  viewMultipleMSA.pl [-fullmsa] msa.fa [msa.fa ..]
 
 =head1 DESCRIPTION
 
@@ -39,6 +39,13 @@ The options are:
 
 =over 4
 
+=item -fullmsa
+
+Draw the summary in alignment column coordinates rather than consensus
+coordinates.  Columns where the consensus is gapped are shown, and the
+summary ruler is accompanied by a second axis labelled in alignment
+columns.
+
 =item -version
 
 Displays the version of the program
@@ -290,15 +297,28 @@ sub generateJavascriptSummaryAndAlignmentViewer {
   $summaryData{'length'}          = $refLen;
   $summaryData{'qualityBlockLen'} = $qualityBlockLen;
   $summaryData{'alignments'}      = [];
+  if ( $options{'fullmsa'} ) {
+    # Consensus position of each alignment column.  Used by the
+    # summary viewer to draw consensus and alignment column axes.
+    my @columnMap = ();
+    my $pos       = 0;
+    for ( my $j = 0 ; $j < length( $refSeq ) ; $j++ ) {
+      $pos++ if ( substr( $refSeq, $j, 1 ) ne "-" );
+      push @columnMap, $pos;
+    }
+    $summaryData{'columnMap'} = [ @columnMap ];
+  }
   for ( my $i = 0 ; $i < $mAlign->getNumAlignedSeqs ; $i++ ) {
 
     # Count referene up to aligned start
     my $alignedStart = $mAlign->getAlignedStart( $i );
     my $refStart     = 0;
     if ( $options{'fullmsa'} ) {
-      $refStart = $alignedStart;
+      # 1-based alignment column
+      $refStart = $alignedStart + 1;
     }else{
-      for ( my $j = 0 ; $j <= $alignedStart ; $j++ ) {
+      $refStart = 1;
+      for ( my $j = 0 ; $j < $alignedStart ; $j++ ) {
         if ( substr( $refSeq, $j, 1 ) ne "-" ) {
           $refStart++;
         }
@@ -386,18 +406,31 @@ sub generateJavascriptSummaryAndAlignmentViewer {
 
   }
 
+  # The file name as HTML text and as a JS string for the figure
+  # title.  The JS string sits in onClick attributes, so it's HTML
+  # escaped as well.  The name is passed through as bytes ( no utf8 ).
+  my $htmlTitle = escapeHTML( $filename );
+  my $jsTitle = escapeHTML( JSON::PP->new->allow_nonref->encode( $filename ) );
+
   # Begin writing the HTML
   print $OUT "<html>\n";
   if ( $options{'fullmsa'} ) {
-    print $OUT "<H1>Full MSA View: $filename</H1>\n";
+    print $OUT "<H1>Full MSA View: $htmlTitle</H1>\n";
   }else {
-    print $OUT "<H1>Consensus MSA View: $filename</H1>\n";
+    print $OUT "<H1>Consensus MSA View: $htmlTitle</H1>\n";
   }
 print $OUT "
 <button onClick=\"mySummary_$idx.render('orient');\">Orientation Sort</button>
 <button onClick=\"mySummary_$idx.render('norm');\">Normal Sort</button>
 <button onClick=\"mySummary_$idx.render('end');\">End Sort</button>
 <button onClick=\"mySummary_$idx.render('div');\">Divergence Sort</button>
+<br>
+<button onClick=\"mySummary_$idx.panBy(-(mySummary_$idx.regionEnd-mySummary_$idx.regionStart+1)/2);\">Pan Left</button>
+<button onClick=\"mySummary_$idx.panBy((mySummary_$idx.regionEnd-mySummary_$idx.regionStart+1)/2);\">Pan Right</button>
+<button onClick=\"mySummary_$idx.zoomOut();\">Zoom Out</button>
+<button onClick=\"mySummary_$idx.resetRegion();\">Reset Zoom</button>
+<button onClick=\"SVGContext.saveAs(mySummary_$idx.exportSVG({ title: $jsTitle }), 'summary_$idx.svg');\">Export SVG</button>
+<button onClick=\"SVGContext.saveAs(mySummary_$idx.exportPNG(2, { title: $jsTitle }), 'summary_$idx.png');\">Export PNG</button>
 <p>    
 <div id=\"canvasesdiv\" style=\"position:relative\">
   <canvas id=\"alignment_canvas_$idx\" width=\"800\" height=\"1600\" style=\"z-index:1;position:absolute;left:0px;top:0px;\">Canvas not supported</canvas>
@@ -409,6 +442,11 @@ print $OUT "
 
 print $OUT "<p><script>\n";
 
+  # Inline javascript dependencies
+  inlineJavascript( $OUT, "zynga-1.2.2-10/Animate.js" );
+  inlineJavascript( $OUT, "zynga-1.2.2-10/Scroller.js" );
+  inlineJavascript( $OUT, "isb/ZyngaScroller.js" );
+
   print $OUT "var summaryData_$idx = ";
   my $jsonStr = $json->encode( \%summaryData );
 
@@ -417,13 +455,12 @@ print $OUT "<p><script>\n";
   #$jsonStr =~ s/\[/\n[/g;
   print $OUT "$jsonStr;\n";
 
-  open IN, "<$FindBin::RealBin/javascript/isb/AlignmentSummary.js"
-      or die "Could not inline $FindBin::RealBin/javascript/"
-      . "isb/AlignmentSummary.js file!";
-  while ( <IN> ) {
-    print $OUT "$_";
-  }
-  close IN;
+  inlineJavascript( $OUT, "isb/SVGContext.js" );
+  inlineJavascript( $OUT, "isb/ContextPanel.js" );
+  inlineJavascript( $OUT, "isb/AlignmentSchema.js" );
+  inlineJavascript( $OUT, "isb/NewickTree.js" );
+  inlineJavascript( $OUT, "isb/TreePanel.js" );
+  inlineJavascript( $OUT, "isb/AlignmentSummary.js" );
 
   print $OUT "\n\n";
 
@@ -438,4 +475,42 @@ print $OUT "<p><script>\n";
   print $OUT "</script></html>";
 }
 
+##-------------------------------------------------------------------------##
+##
+##  Use: my $html = escapeHTML( $text );
+##
+##  Escape text for HTML content or a quoted attribute value.
+##
+##-------------------------------------------------------------------------##
+sub escapeHTML {
+  my $text = shift;
+
+  $text =~ s/&/&amp;/g;
+  $text =~ s/</&lt;/g;
+  $text =~ s/>/&gt;/g;
+  $text =~ s/"/&quot;/g;
+  $text =~ s/'/&#39;/g;
+  return ( $text );
+}
+
+##-------------------------------------------------------------------------##
+##
+##  Use: inlineJavascript( $OUT, $relativePath );
+##
+##  Copy a javascript file from the util/javascript directory into
+##  the HTML being written to $OUT.
+##
+##-------------------------------------------------------------------------##
+sub inlineJavascript {
+  my $OUT  = shift;
+  my $file = shift;
+
+  open IN, "<$FindBin::RealBin/javascript/$file"
+      or die "Could not inline $FindBin::RealBin/javascript/$file file!";
+  while ( <IN> ) {
+    print $OUT "$_";
+  }
+  close IN;
+}
+
 1;